@@ -3,34 +3,35 @@
 // 2) ECC Score (0–100)
 // 3) Tier1 / Tier2 / Tier3 scoring preserved
 
-import axios from "axios";
 import * as cheerio from "cheerio";
 
+import { extractScoringInputs, computeEcc } from "../shared/ecc.js";
+
+import { resolveWeightProfile, profileInfo } from "../shared/weights.js";
+import { staticCrawl } from "../lib/crawl-core/crawl-engine.js";
+import { auditLlmsTxt } from "../lib/crawl-core/llms-txt.js";
+import { analyzeTransport } from "../lib/crawl-core/transport.js";
+import { differentialCrawl } from "../lib/crawl-core/agent-diff.js";
+import { auditLocales } from "../lib/crawl-core/hreflang.js";
+import { auditIdentityMeta } from "../lib/crawl-core/identity-meta.js";
+import {
+  detectBotProtection,
+  describeProtection
+} from "../lib/crawl-core/bot-protection.js";
 import {
-  scoreTitle,
-  scoreMetaDescription,
-  scoreCanonical,
-  scoreSchemaPresence,
-  scoreOrgSchema,
-  scoreBreadcrumbSchema,
-  scoreAuthorPerson,
-  scoreSocialLinks,
-  scoreAICrawlSignals,
-  scoreContentDepth,
-  scoreInternalLinks,
-  scoreExternalLinks,
-  scoreFaviconOg,
-  tierFromScore
-} from "../shared/scoring.js";
-
-import { TOTAL_WEIGHT } from "../shared/weights.js";
+  buildRemediationPlan,
+  remediationMarkdown
+} from "../shared/remediation.js";
+import { summarizeStructuredData } from "../lib/crawl-core/structured-data.js";
+import {
+  withFixtures,
+  bufferedResponse,
+  fixtureOptions,
+  currentFixture
+} from "../lib/crawl-core/fixtures.js";
 
 /* ---------------- Helpers ---------------- */
 
-function clamp(v, min, max) {
-  return Math.max(min, Math.min(max, v));
-}
-
 function normalizeUrl(input) {
   let u = (input || "").trim();
   if (!/^https?:\/\//i.test(u)) u = `https://${u}`;
@@ -45,104 +46,74 @@ function hostnameOf(urlStr) {
   }
 }
 
-/* ----------- Tier Mapping (unchanged) ----------- */
-
-const SIGNAL_TIER = {
-  "Title Precision": "tier3",
-  "Meta Description Integrity": "tier3",
-  "Canonical Clarity": "tier3",
-  "Brand & Technical Consistency": "tier3",
-
-  "Schema Presence & Validity": "tier2",
-  "Organization Schema": "tier2",
-  "Breadcrumb Schema": "tier2",
-  "Author/Person Schema": "tier2",
-
-  "Social Entity Links": "tier1",
-  "Internal Lattice Integrity": "tier1",
-  "External Authority Signal": "tier1",
-  "AI Crawl Fidelity": "tier1",
-  "Inference Efficiency": "tier1"
-};
-
-const TIER_LABELS = {
-  tier1: "Entity comprehension & trust",
-  tier2: "Structural data fidelity",
-  tier3: "Page-level hygiene"
-};
-
-/* ----------- STATIC CRAWL ONLY (safe + fast) ----------- */
-
-async function staticCrawl(url) {
-  const resp = await axios.get(url, {
-    timeout: 7000,
-    maxRedirects: 5,
-    headers: {
-      "User-Agent":
-        "Mozilla/5.0 (compatible; exmxc-eei/7; +https://exmxc.ai)",
-      Accept: "text/html"
-    }
-  });
-
-  const html = resp.data || "";
-  const $ = cheerio.load(html);
-
-  const schemaObjects = $('script[type="application/ld+json"]')
-    .map((_, el) => {
-      try {
-        const json = JSON.parse($(el).text());
-        if (Array.isArray(json)) return json;
-        if (json["@graph"]) return json["@graph"];
-        return [json];
-      } catch {
-        return [];
-      }
-    })
-    .get()
-    .flat();
-
-  const pageLinks = $("a[href]")
-    .map((_, el) => $(el).attr("href"))
-    .get()
-    .filter(Boolean);
-
-  return {
-    status: resp.status,
-    headers: resp.headers,
-    html,
-    $,
-    schemaObjects,
-    pageLinks
-  };
-}
-
 /* --------------- CLASSIFY STATE ----------------
-   BLOCKED    = access denied / captcha / 401/403/429
-   DEFENSIVE  = bot protection / anti-scrape but content loads
+   BLOCKED    = fetch failed / 401/403/other 4xx-5xx
+                or a high-confidence challenge page served
+                or robots.txt disallows every AI agent
+                or every AI agent is refused (differential crawl)
+   DEFENSIVE  = rate limited / lower-confidence challenge
+                or bot management in front of the site, content loads
+                or robots.txt disallows some AI agents
+                or some agents are blocked, challenged or cloaked
    OPEN       = normal crawlable site
+   Returns { state, reason } — reason is null when open
 -------------------------------------------------- */
 
-function classifyState(status, htmlTextLower) {
-  if ([401, 403].includes(status)) return "blocked";
-
-  if (
-    status === 429 ||
-    htmlTextLower.includes("captcha") ||
-    htmlTextLower.includes("access denied") ||
-    htmlTextLower.includes("verify you are human") ||
-    htmlTextLower.includes("datadome") ||
-    htmlTextLower.includes("perimeterx") ||
-    htmlTextLower.includes("akamai")
-  ) {
-    return "defensive";
+function classifyState({ status, fetchError = null, protection = null, robots = null, agents = null }) {
+  const blocked = reason => ({ state: "blocked", reason });
+  const defensive = reason => ({ state: "defensive", reason });
+  const challenged = protection?.challenge && protection.challenge !== "rate-limit";
+
+  if (fetchError) return blocked(`Fetch failed: ${fetchError.message || "unknown error"}`);
+  if ([401, 403].includes(status)) return blocked(describeProtection(protection) || `HTTP ${status}`);
+  if (challenged && protection.confidence === "high") return blocked(describeProtection(protection));
+  if (status >= 400 && status !== 429) return blocked(`HTTP ${status}`);
+  if (robots?.posture === "blocked") return blocked("robots.txt disallows every AI agent");
+  if (agents?.posture === "blocked") {
+    return blocked(`Every AI agent refused (${[...agents.blocked, ...agents.challenged].join(", ")})`);
+  }
+
+  if (status === 429) return defensive(describeProtection(protection) || "HTTP 429 rate limit");
+  if (challenged && protection.confidence === "medium") return defensive(describeProtection(protection));
+  if (protection?.detected && !protection.challenge && protection.confidence === "high") {
+    return defensive(describeProtection(protection));
+  }
+  if (robots?.posture === "selective") {
+    return defensive(
+      `robots.txt disallows ${robots.blockedAgents.length} of ${Object.keys(robots.agents || {}).length} AI agents`
+    );
+  }
+  if (agents?.posture === "selective") {
+    const parts = [
+      agents.blocked.length && `blocked: ${agents.blocked.join(", ")}`,
+      agents.challenged.length && `challenged: ${agents.challenged.join(", ")}`,
+      agents.cloaked.length && `cloaked: ${agents.cloaked.join(", ")}`
+    ].filter(Boolean);
+    return defensive(`Agent-specific responses (${parts.join("; ")})`);
   }
 
-  return "open";
+  return { state: "open", reason: null };
 }
 
 /* ----------------- MAIN HANDLER ----------------- */
 
+// ?fixtures=record|replay — every request of this audit is recorded to
+// (or served from) data/fixtures/<fixture | hostname>.json; record needs FIXTURES_RECORD=1
 export default async function handler(req, res) {
+  const fixture = fixtureOptions(req.query, hostnameOf(normalizeUrl(req.query?.url)));
+  if (!fixture.mode) return runAudit(req, res);
+
+  // Respond only after the archive is saved / the replay is complete
+  const buffered = bufferedResponse();
+  try {
+    await withFixtures(fixture, () => runAudit(req, buffered.res));
+  } catch (err) {
+    return buffered.flush(res, { status: 400, json: { success: false, error: err.message } });
+  }
+  return buffered.flush(res);
+}
+
+async function runAudit(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
@@ -156,86 +127,66 @@ export default async function handler(req, res) {
     const url = normalizeUrl(input);
     const host = hostnameOf(url);
 
+    let profile;
+    try {
+      profile = await resolveWeightProfile(req.query?.profile);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
     /* ---- STATIC FETCH ---- */
+    // Error statuses resolve so block pages can be fingerprinted
     let crawl;
-    let blocked = false;
+    let fetchError = null;
 
     try {
-      crawl = await staticCrawl(url);
-    } catch {
-      blocked = true;
-      crawl = { html: "", schemaObjects: [], pageLinks: [], status: 0 };
+      crawl = await staticCrawl(url, { acceptErrors: true });
+    } catch (err) {
+      fetchError = err;
+      crawl = { html: "", schemaObjects: [], pageLinks: [], status: 0, diagnostics: {} };
     }
 
-    const htmlLower = (crawl.html || "").toLowerCase();
-    const state = blocked
-      ? "blocked"
-      : classifyState(crawl.status, htmlLower);
+    const protection = fetchError ? null : detectBotProtection(crawl);
+
+    // Nothing real to score: no page, an error page or a challenge page
+    const blocked =
+      !!fetchError ||
+      crawl.status >= 400 ||
+      (!!protection?.challenge && protection.confidence === "high");
+
+    const llms = blocked ? null : await auditLlmsTxt(url);
+    const transport = fetchError ? null : analyzeTransport(crawl);
+
+    // ?differential=1 — one fetch per AI agent + browser baseline
+    const agents = !blocked && ["1", "true"].includes(String(req.query?.differential))
+      ? await differentialCrawl(url)
+      : null;
+
+    // ?locales=1 — fetch each hreflang alternate for the consistency matrix
+    const locales = blocked
+      ? null
+      : await auditLocales(crawl, {
+          transport,
+          fetchAlternates: ["1", "true"].includes(String(req.query?.locales))
+        });
+
+    // og:image dimensions + manifest: two small asset fetches
+    const identity = blocked ? null : await auditIdentityMeta(crawl);
+
+    const { state, reason: stateReason } = classifyState({
+      status: crawl.status,
+      fetchError,
+      protection,
+      robots: crawl.robots,
+      agents
+    });
 
     /* ---- ECC SCORING (still works even if defensive) ---- */
     const $ = crawl.$ || cheerio.load("");
 
-    const results = [
-      scoreTitle($),
-      scoreMetaDescription($),
-      scoreCanonical($, url),
-      scoreSchemaPresence(crawl.schemaObjects),
-      scoreOrgSchema(crawl.schemaObjects),
-      scoreBreadcrumbSchema(crawl.schemaObjects),
-      scoreAuthorPerson(crawl.schemaObjects, $),
-      scoreSocialLinks(crawl.schemaObjects, crawl.pageLinks),
-      scoreAICrawlSignals($),
-      scoreContentDepth($),
-      scoreInternalLinks(crawl.pageLinks, host),
-      scoreExternalLinks(crawl.pageLinks, host),
-      scoreFaviconOg($)
-    ];
-
-    let totalRaw = 0;
-    const tierRaw = { tier1: 0, tier2: 0, tier3: 0 };
-    const tierMax = { tier1: 0, tier2: 0, tier3: 0 };
-
-    for (const sig of results) {
-      const safe = clamp(sig.points || 0, 0, sig.max);
-      const tier = SIGNAL_TIER[sig.key] || "tier3";
-      totalRaw += safe;
-      tierRaw[tier] += safe;
-      tierMax[tier] += sig.max;
-    }
+    const inputs = extractScoringInputs(crawl, { url, host, llms, blocked, transport, identity });
 
-    const eccScore = blocked
-      ? 0
-      : clamp(Math.round((totalRaw * 100) / TOTAL_WEIGHT), 0, 100);
-
-    const tierScores = {
-      tier1: {
-        label: TIER_LABELS.tier1,
-        raw: tierRaw.tier1,
-        maxWeight: tierMax.tier1,
-        normalized:
-          tierMax.tier1 > 0
-            ? Number(((tierRaw.tier1 / tierMax.tier1) * 100).toFixed(2))
-            : 0
-      },
-      tier2: {
-        label: TIER_LABELS.tier2,
-        raw: tierRaw.tier2,
-        maxWeight: tierMax.tier2,
-        normalized:
-          tierMax.tier2 > 0
-            ? Number(((tierRaw.tier2 / tierMax.tier2) * 100).toFixed(2))
-            : 0
-      },
-      tier3: {
-        label: TIER_LABELS.tier3,
-        raw: tierRaw.tier3,
-        maxWeight: tierMax.tier3,
-        normalized:
-          tierMax.tier3 > 0
-            ? Number(((tierRaw.tier3 / tierMax.tier3) * 100).toFixed(2))
-            : 0
-      }
-    };
+    const { results, eccScore, tierScores } = computeEcc(inputs, profile);
 
     const scoringBars = results.map(r => ({
       key: r.key,
@@ -245,16 +196,56 @@ export default async function handler(req, res) {
       notes: r.notes
     }));
 
+    const remediation = blocked
+      ? []
+      : buildRemediationPlan(results, {
+          url: inputs.finalUrl,
+          $,
+          schemaObjects: crawl.schemaObjects,
+          pageLinks: crawl.pageLinks
+        });
+
+    const profileSummary = profileInfo(profile);
+
+    if (req.query?.format === "md") {
+      res.setHeader("Content-Type", "text/markdown; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="eei-remediation-${host || "site"}.md"`
+      );
+      return res.status(200).send(
+        remediationMarkdown({
+          url,
+          ecc: { score: eccScore, max: 100 },
+          profile: profileSummary,
+          remediation
+        })
+      );
+    }
+
     return res.status(200).json({
       success: true,
       url,
       hostname: host,
 
       state,              // <-- Blocked / Defensive / Open
+      stateReason,        // <-- why (null when open)
       ecc: { score: eccScore, max: 100 },
+      profile: profileSummary,  // <-- weight profile + version used
+
+      robots: crawl.robots || null,  // <-- per-agent robots.txt matrix
+      botProtection: protection,     // <-- vendor, challenge type, confidence
+      transport,          // <-- redirect chain, HTTP headers, timing
+      agents,             // <-- per-agent matrix (?differential=1)
+      locales,            // <-- hreflang set + locale matrix (?locales=1)
+      identity,           // <-- OG / Twitter / icons / manifest field table
+      structuredData: summarizeStructuredData(crawl.schemaObjects),
 
       tierScores,         // <-- Tier1 / Tier2 / Tier3
       scoringBars,        // <-- UX-safe breakdown
+      remediation,        // <-- ranked fixes (?format=md for checklist)
+      inputs,             // <-- scoring snapshot (replayable via /api/simulate)
+      fixture: currentFixture(),  // <-- record/replay archive, null when live
       timestamp: new Date().toISOString()
     });
 
@@ -6,11 +6,25 @@ import fs from "fs/promises";
 import path from "path";
 import auditHandler from "./audit.js";
 import { saveDriftSnapshot } from "../lib/drift-db.js";
+import { resolveWeightProfile, profileInfo } from "../shared/weights.js";
+import {
+  FIXTURE_MODES,
+  withFixtures,
+  fixtureName
+} from "../lib/crawl-core/fixtures.js";
 
 function sleep(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
+function hostnameOf(url) {
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.replace(/^www\./i, "");
+  } catch {
+    return String(url || "");
+  }
+}
+
 /* -------------------------------
    NORMALIZER — STRATEGY CANONICAL
 -------------------------------- */
@@ -23,6 +37,7 @@ function normalizeResult(raw) {
     "opaque";
 
   const stateReason =
+    raw?.stateReason ??
     raw?.state?.reason ??
     raw?.visibility?.suppression?.reason ??
     null;
@@ -70,6 +85,7 @@ function normalizeResult(raw) {
 
     // Capability metric
     ecc,
+    profile: raw?.profile ?? null,
 
     mode,
 
@@ -96,18 +112,37 @@ export default async function handler(req, res) {
 
     const urls = Array.isArray(dataset.urls) ? dataset.urls : [];
 
+    // Resolved once so every URL in the run is scored on the same profile
+    let profile;
+    try {
+      profile = await resolveWeightProfile(req.query.profile);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    // ?fixtures=record|replay — one archive per URL under
+    // data/fixtures/<dataset>/<hostname>.json
+    const fixtureMode = req.query.fixtures || null;
+    if (fixtureMode && !FIXTURE_MODES.includes(fixtureMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown fixture mode "${fixtureMode}" (expected ${FIXTURE_MODES.join(" | ")})`
+      });
+    }
+
     const rawResults = [];
     const errors = [];
 
     for (const url of urls) {
 
-      await sleep(500);
+      // Replay never touches the network, so no politeness delay
+      if (fixtureMode !== "replay") await sleep(500);
 
       let out = null;
 
       try {
         const fakeReq = {
-          query: { url },
+          query: { url, profile: profile.id },
           headers: { origin: "batch-runner" },
           method: "GET"
         };
@@ -118,7 +153,10 @@ export default async function handler(req, res) {
           setHeader() {}
         };
 
-        await auditHandler(fakeReq, fakeRes);
+        await withFixtures(
+          { mode: fixtureMode, name: fixtureName(safeDataset, hostnameOf(url)) },
+          () => auditHandler(fakeReq, fakeRes)
+        );
 
         if (!out || out.success !== true) {
           throw new Error(out?.error || "Audit returned invalid payload");
@@ -197,16 +235,20 @@ export default async function handler(req, res) {
       version: "v6.7",
       vertical: dataset.vertical || safeDataset,
       dataset: safeDataset,
+      profile: profileInfo(profile),
+      fixtures: fixtureMode,
       summary,
       results,
       errors,
       timestamp: new Date().toISOString()
     };
 
-    // best-effort drift persistence
-    saveDriftSnapshot(payload.vertical, payload).catch(err => {
-      console.warn("Drift snapshot failed:", err.message);
-    });
+    // best-effort drift persistence (a replayed snapshot is not new drift)
+    if (fixtureMode !== "replay") {
+      saveDriftSnapshot(payload.vertical, payload).catch(err => {
+        console.warn("Drift snapshot failed:", err.message);
+      });
+    }
 
     return res.status(200).json(payload);
 
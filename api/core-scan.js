@@ -3,139 +3,58 @@
 // RENDERED = Intent detection ONLY
 // No scoring, no word counts, no schema credit from rendered
 
-import axios from "axios";
-import * as cheerio from "cheerio";
-
-/* ============================================================
-   GLOBAL CONFIG
-============================================================ */
-export const CRAWL_CONFIG = {
-  TIMEOUT_MS: 20000,
-  MAX_REDIRECTS: 5,
-  STATIC_UA:
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) exmxc-static/3.0 Safari/537.36",
-  AI_UAS: [
-    "Mozilla/5.0 (compatible; GPTBot/1.0; +https://openai.com/gptbot)",
-    "ClaudeBot/1.0 (+https://www.anthropic.com/claudebot)",
-    "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
-  ]
-};
-
-/* ============================================================
-   HELPERS
-============================================================ */
-function randomAiUA() {
-  return CRAWL_CONFIG.AI_UAS[
-    Math.floor(Math.random() * CRAWL_CONFIG.AI_UAS.length)
-  ];
-}
-
-function parseJsonLd(blocks = []) {
-  const objects = [];
-  for (const raw of blocks) {
-    try {
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) objects.push(...parsed);
-      else if (parsed["@graph"]) objects.push(...parsed["@graph"]);
-      else objects.push(parsed);
-    } catch {}
-  }
-  return objects;
-}
-
-/* ============================================================
-   STATIC CRAWL (ECC SOURCE OF TRUTH)
-============================================================ */
-export async function staticCrawl(url) {
-  const resp = await axios.get(url, {
-    timeout: CRAWL_CONFIG.TIMEOUT_MS,
-    maxRedirects: CRAWL_CONFIG.MAX_REDIRECTS,
-    headers: {
-      "User-Agent": CRAWL_CONFIG.STATIC_UA,
-      Accept: "text/html"
-    },
-    validateStatus: s => s >= 200 && s < 400
-  });
-
-  const finalUrl = resp.request?.res?.responseUrl || url;
-  const html = typeof resp.data === "string" ? resp.data : "";
-  const $ = cheerio.load(html);
-
-  const schemaObjects = parseJsonLd(
-    $('script[type="application/ld+json"]')
-      .map((_, el) => $(el).text())
-      .get()
-  );
-
-  const pageLinks = $("a[href]")
-    .map((_, el) => $(el).attr("href"))
-    .get()
-    .filter(Boolean);
-
-  const bodyText = $("body").text().replace(/\s+/g, " ").trim();
-
-  return {
-    mode: "static",
-    url: finalUrl,
-    html,
-    title: $("title").first().text().trim(),
-    description:
-      $('meta[name="description"]').attr("content") ||
-      $('meta[property="og:description"]').attr("content") ||
-      "",
-    canonicalHref:
-      $('link[rel="canonical"]').attr("href") ||
-      finalUrl.replace(/\/$/, ""),
-    favicon:
-      $('link[rel="icon"]').attr("href") ||
-      $('link[rel="shortcut icon"]').attr("href") ||
-      "",
-    ogImage: $('meta[property="og:image"]').attr("content") || "",
-    schemaObjects,
-    pageLinks,
-    diagnostics: {
-      wordCount: bodyText ? bodyText.split(" ").length : 0,
-      schemaCount: schemaObjects.length,
-      linkCount: pageLinks.length
-    }
-  };
-}
+import {
+  CRAWL_CONFIG,
+  ROBOTS_AGENTS,
+  parsePage,
+  staticCrawl
+} from "../lib/crawl-core/crawl-engine.js";
+import { differentialCrawl } from "../lib/crawl-core/agent-diff.js";
+import { renderDiff } from "../lib/crawl-core/render-diff.js";
+
+// Config + static pipeline live in the crawl engine; re-exported for callers
+export { CRAWL_CONFIG, ROBOTS_AGENTS, staticCrawl };
 
 /* ============================================================
    RENDERED CRAWL (INTENT ONLY — NO SCORING DATA)
 ============================================================ */
-export async function renderedIntentProbe(url) {
+// Fixed agent so repeated probes are comparable; per-agent behaviour
+// is what the differential crawl is for. With the static result the
+// rendered DOM is diffed against it (evidence only, never scored).
+export async function renderedIntentProbe(url, options = {}) {
+  const { userAgent = CRAWL_CONFIG.AI_UAS[0], staticResult = null } = options;
   const { chromium } = await import("playwright-core");
   const browser = await chromium.launch({ headless: true });
 
   try {
-    const page = await browser.newPage({ userAgent: randomAiUA() });
+    const page = await browser.newPage({ userAgent });
     await page.goto(url, { timeout: CRAWL_CONFIG.TIMEOUT_MS, waitUntil: "networkidle" });
 
-    const html = await page.content();
-    const $ = cheerio.load(html);
+    const renderedUrl = page.url();
+    const rendered = parsePage(await page.content(), renderedUrl);
+    const renderedSchemas = rendered.schemaObjects.filter(o => o._syntax === "json-ld");
 
-    const renderedSchemas = parseJsonLd(
-      await page.$$eval(
-        'script[type="application/ld+json"]',
-        nodes => nodes.map(n => n.textContent || "")
-      )
-    );
+    const diff = staticResult
+      ? renderDiff(staticResult, rendered, staticResult.finalUrl || renderedUrl)
+      : null;
 
     return {
       mode: "rendered",
       intentSignals: {
         renderedSchemaCount: renderedSchemas.length,
-        jsOnlySchema: renderedSchemas.length > 0,
+        jsOnlySchema: diff ? diff.schema.jsOnly.length > 0 : renderedSchemas.length > 0,
+        aiInvisibleRatio: diff ? diff.aiInvisibleRatio : null,
         botAccessible: true
-      }
+      },
+      diff
     };
   } catch {
     return {
       mode: "rendered",
       intentSignals: {
         botAccessible: false
-      }
+      },
+      diff: null
     };
   } finally {
     await browser.close();
@@ -145,16 +64,33 @@ export async function renderedIntentProbe(url) {
 /* ============================================================
    PUBLIC API
 ============================================================ */
-export async function crawlEntity({ url, detectIntent = false }) {
+
+// Single-surface crawl used by the multi-surface pipeline.
+// Static is always the scoring source; "rendered" only adds intent.
+export async function crawlPage({ url, mode = "static" }) {
+  const result = await staticCrawl(url);
+
+  if (mode === "rendered") {
+    result.intent = await renderedIntentProbe(url, { staticResult: result });
+  }
+
+  return result;
+}
+// differential: also fetch once per AI agent + a browser UA and return
+// the per-agent matrix (blocking / challenge / cloaking flags)
+export async function crawlEntity({ url, detectIntent = false, differential = false }) {
   const staticResult = await staticCrawl(url);
 
   let intent = null;
   if (detectIntent) {
-    intent = await renderedIntentProbe(url);
+    intent = await renderedIntentProbe(url, { staticResult });
   }
 
+  const agents = differential ? await differentialCrawl(url) : null;
+
   return {
     static: staticResult,   // ECC input
-    intent                 // posture only
+    intent,                 // posture only
+    agents                  // posture only
   };
 }
@@ -0,0 +1,137 @@
+// /api/entity-audit.js — EEI Multi-Surface Entity Audit
+// discoverSurfaces -> crawl -> aggregateSurfaces -> scoreEntity
+// Entity-level score + per-surface breakdowns in one response
+
+import { multiSurfaceScan } from "../lib/multi-surface-scan.js";
+import { aggregateSurfaces } from "../lib/surface-aggregator.js";
+import scoreEntity from "../lib/eei-score-v2.js";
+import { tierFromScore } from "../shared/scoring.js";
+import { resolveWeightProfile, profileInfo } from "../shared/weights.js";
+
+/* ---------------- Helpers ---------------- */
+
+function normalizeUrl(input) {
+  let u = (input || "").trim();
+  if (!u) return null;
+  if (!/^https?:\/\//i.test(u)) u = `https://${u}`;
+  try {
+    return new URL(u).toString().replace(/\/$/, "");
+  } catch {
+    return null;
+  }
+}
+
+function hostnameOf(urlStr) {
+  try {
+    return new URL(urlStr).hostname.replace(/^www\./i, "");
+  } catch {
+    return "";
+  }
+}
+
+// Flatten { key: { surface, url, result } } into the aggregator's
+// array contract; the discovered URL stays as `url`, the post-redirect
+// URL is kept as `finalUrl`.
+function toSurfaceArray(surfaceResults = {}) {
+  return Object.values(surfaceResults).map(({ surface, url, result }) => ({
+    ...result,
+    surface,
+    url,
+    finalUrl: result?.url || url
+  }));
+}
+
+function surfaceReport(surface, source, profile) {
+  const scored = scoreEntity({ entity: surface, surfaces: [surface], profile });
+
+  return {
+    surface: surface.surface,
+    url: surface.url,
+    finalUrl: surface.finalUrl,
+    source: source || null,
+    score: scored.entityScore,
+    breakdown: scored.breakdown,
+    diagnostics: surface.diagnostics || {}
+  };
+}
+
+/* ----------------- MAIN HANDLER ----------------- */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  try {
+    const url = normalizeUrl(req.query?.url);
+    if (!url) return res.status(400).json({ success: false, error: "Missing URL" });
+
+    const mode = req.query?.mode === "rendered" ? "rendered" : "static";
+
+    let profile;
+    try {
+      profile = await resolveWeightProfile(req.query?.profile);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const scan = await multiSurfaceScan({ url, mode });
+    const surfaces = toSurfaceArray(scan.surfaces);
+    const home = surfaces.find(s => s.surface === "home");
+
+    if (!home) {
+      return res.status(502).json({
+        success: false,
+        url,
+        error: "Homepage crawl failed",
+        errors: scan.errors
+      });
+    }
+
+    const aggregate = aggregateSurfaces({ surfaces });
+    const entity = scoreEntity({ entity: home, surfaces, profile });
+    const stage = tierFromScore(entity.entityScore);
+
+    return res.status(200).json({
+      success: true,
+      url,
+      hostname: hostnameOf(url),
+      mode,
+      profile: profileInfo(profile),
+
+      entity: {
+        score: entity.entityScore,
+        max: 100,
+        stage: stage.stage,
+        verb: stage.verb,
+        description: stage.description,
+        focus: stage.coreFocus
+      },
+      tierScores: entity.tierScores,
+      breakdown: entity.breakdown,
+
+      surfaces: surfaces.map(s => surfaceReport(s, scan.surfaceSources?.[s.surface], profile)),
+      aggregate: {
+        summary: aggregate.entitySummary,
+        signals: aggregate.entitySignals
+      },
+
+      discovery: {
+        surfacesDiscovered: scan.surfacesDiscovered,
+        sources: scan.surfaceSources,
+        degraded: scan.degradedDiscovery
+      },
+      errors: scan.errors,
+      timing: scan.timing,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      error: err.message || "Entity audit failed"
+    });
+  }
+}
@@ -1,15 +1,37 @@
 // /api/mcp-audit.js
 // MCP Readiness Scanner — single URL audit
 
-import { staticCrawl } from "./core-scan.js";
+import { staticCrawl } from "../lib/crawl-core/crawl-engine.js";
+import {
+  withFixtures,
+  bufferedResponse,
+  fixtureOptions,
+  currentFixture
+} from "../lib/crawl-core/fixtures.js";
 import { probeEndpoint } from "../lib/crawl-core/endpoint-probe.js";
+import {
+  createProbeBudget,
+  createDocsLinkSource,
+  locateManifest,
+  serviceDescLinks
+} from "../lib/crawl-core/manifest-locator.js";
+import { auditLlmsTxt } from "../lib/crawl-core/llms-txt.js";
+import {
+  mcpEndpointCandidates,
+  probeMcpServers
+} from "../lib/crawl-core/mcp-handshake.js";
 import {
   MCP_ADDITIONAL_WELL_KNOWN,
+  MCP_DISCOVERY_SIGNALS,
   MCP_PRIMARY_SIGNALS,
+  MCP_PROBE_BUDGET,
   MCP_SECONDARY_SIGNALS
 } from "../shared/mcp-signals.js";
 import { calculateMcpScore } from "../shared/mcp-scoring.js";
 import { buildMcpAuditOutput } from "../shared/mcp-schema.js";
+import { schemaIndex } from "../shared/schema-graph.js";
+import { analyzeOpenApi } from "../shared/openapi-analysis.js";
+import { lintToolRegistry } from "../shared/tool-lint.js";
 
 const PRIMARY_KEYS = ["toolRegistry", "openapi", "aiPlugin"];
 const CAPABILITY_PROBE_TIMEOUT_MS = 7000;
@@ -35,6 +57,28 @@ function normalizeUrl(input) {
   }
 }
 
+// ?endpoint= must stay on the audited site (its host or a subdomain of it);
+// anything else is dropped so the public handler can't be aimed elsewhere
+function normalizeEndpoint(input, siteUrl) {
+  if (!input || !siteUrl) return null;
+  try {
+    const u = new URL(String(input).trim());
+    const site = new URL(siteUrl).hostname.replace(/^www\./i, "").toLowerCase();
+    const host = u.hostname.toLowerCase();
+    if (!/^https?:$/.test(u.protocol)) return null;
+    return host === site || host.endsWith(`.${site}`) ? u.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// ?budget= caps primary-signal requests; out-of-range values are clamped
+function normalizeBudget(input) {
+  const n = Number.parseInt(input, 10);
+  if (!Number.isFinite(n)) return MCP_PROBE_BUDGET.total;
+  return Math.min(Math.max(n, 3), 60);
+}
+
 function baseOrigin(url) {
   const u = new URL(url);
   return `${u.protocol}//${u.host}`;
@@ -60,23 +104,19 @@ function collectLinkEvidence(pageLinks = [], matchers = []) {
 }
 
 function detectStructuredData(schemaObjects = []) {
-  const types = new Set();
+  const index = schemaIndex(schemaObjects);
 
+  const syntaxes = {};
   for (const obj of schemaObjects) {
-    if (!obj || typeof obj !== "object") continue;
-
-    const t = obj["@type"];
-    if (Array.isArray(t)) {
-      t.forEach(v => types.add(String(v)));
-    } else if (t) {
-      types.add(String(t));
-    }
+    const syntax = obj?._syntax || "json-ld";
+    syntaxes[syntax] = (syntaxes[syntax] || 0) + 1;
   }
 
   return {
     detected: schemaObjects.length > 0,
-    jsonLdCount: schemaObjects.length,
-    types: Array.from(types)
+    jsonLdCount: syntaxes["json-ld"] || 0,
+    syntaxes,
+    types: Object.keys(index.typeCounts)
   };
 }
 
@@ -149,8 +189,11 @@ async function resolveMcpOrigin(rootOrigin) {
 
   const scanOneOrigin = async (origin) => {
     const entries = await Promise.all(Object.entries(MCP_PRIMARY_SIGNALS).map(async ([key, cfg]) => {
-      const url = makeAbsolute(origin, cfg.path);
-      const probe = await probeEndpoint(url, { expectJson: true });
+      const url = makeAbsolute(origin, cfg.paths[0]);
+      const probe = await probeEndpoint(url, {
+        expectJson: true,
+        accept: data => validatePrimarySignalSchema(key, data)
+      });
       const structured = isStructuredSpecProbe(probe);
       const schemaValid = structured && validatePrimarySignalSchema(key, probe.data);
       return [key, { url, probe, schemaValid }];
@@ -243,6 +286,106 @@ function validatePrimarySignalSchema(key, data) {
   return true;
 }
 
+/* ================================
+   AGENT DISCOVERY VALIDATORS
+   Each returns a list of issues; empty means valid
+   ================================ */
+
+function hasString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+function sameOrigin(value, origin) {
+  try {
+    return new URL(value).origin === new URL(origin).origin;
+  } catch {
+    return false;
+  }
+}
+
+// A2A AgentCard: identity, an endpoint to call and at least one skill
+function agentCardIssues(data) {
+  const issues = [];
+  for (const field of ["name", "description", "version"]) {
+    if (!hasString(data[field])) issues.push(`Missing ${field}`);
+  }
+  if (!hasString(data.url) && !Array.isArray(data.supportedInterfaces)) {
+    issues.push("No url or supportedInterfaces to reach the agent");
+  }
+  if (!data.capabilities || typeof data.capabilities !== "object") issues.push("Missing capabilities");
+  if (!Array.isArray(data.skills) || !data.skills.length) {
+    issues.push("No skills declared");
+  } else if (data.skills.some(skill => !hasString(skill?.id) || !hasString(skill?.name))) {
+    issues.push("Skill(s) without id or name");
+  }
+  return issues;
+}
+
+function agentsJsonIssues(data) {
+  const issues = [];
+  if (!hasString(data.agentsJson)) issues.push("Missing agentsJson version");
+  if (!hasString(data.info?.title)) issues.push("Missing info.title");
+  if (!Array.isArray(data.sources) || !data.sources.length) issues.push("No sources declared");
+  if (!Array.isArray(data.flows) || !data.flows.length) issues.push("No flows declared");
+  return issues;
+}
+
+// RFC 8414; PKCE S256 is what MCP and most agent clients insist on
+function oauthServerIssues(data, origin) {
+  const issues = [];
+  if (!hasString(data.issuer)) issues.push("Missing issuer");
+  else if (!sameOrigin(data.issuer, origin)) issues.push(`issuer ${data.issuer} does not match ${origin}`);
+  if (!hasString(data.authorization_endpoint) && !hasString(data.token_endpoint)) {
+    issues.push("No authorization_endpoint or token_endpoint");
+  }
+  if (!Array.isArray(data.response_types_supported)) issues.push("Missing response_types_supported");
+  if (!(data.code_challenge_methods_supported || []).includes("S256")) issues.push("PKCE S256 not advertised");
+  return issues;
+}
+
+// RFC 9728
+function protectedResourceIssues(data, origin) {
+  const issues = [];
+  if (!hasString(data.resource)) issues.push("Missing resource");
+  else if (!sameOrigin(data.resource, origin)) issues.push(`resource ${data.resource} does not match ${origin}`);
+  if (!Array.isArray(data.authorization_servers) || !data.authorization_servers.length) {
+    issues.push("No authorization_servers listed");
+  }
+  return issues;
+}
+
+// RFC 9116: Contact and a future Expires are required
+function parseSecurityTxt(text) {
+  const fields = {};
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Za-z-]+)\s*:\s*(.+?)\s*$/);
+    if (!m) continue;
+    const name = m[1].toLowerCase();
+    (fields[name] ||= []).push(m[2]);
+  }
+  return fields;
+}
+
+function securityTxtIssues(text) {
+  const fields = parseSecurityTxt(text);
+  const issues = [];
+  if (!fields.contact?.length) issues.push("Missing Contact");
+  const expires = fields.expires?.[0];
+  if (!expires) issues.push("Missing Expires");
+  else if (!(Date.parse(expires) > Date.now())) issues.push(`Expires ${expires} is past or unparseable`);
+  return issues;
+}
+
+function discoverySignalIssues(key, data, origin) {
+  if (key === "securityTxt") return securityTxtIssues(data);
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["Not a JSON object"];
+  if (key === "a2aAgentCard") return agentCardIssues(data);
+  if (key === "agentsJson") return agentsJsonIssues(data);
+  if (key === "oauthAuthorizationServer") return oauthServerIssues(data, origin);
+  if (key === "oauthProtectedResource") return protectedResourceIssues(data, origin);
+  return [];
+}
+
 function hostWithoutWww(origin) {
   try {
     return new URL(origin).hostname.replace(/^www\./i, "");
@@ -306,6 +449,26 @@ function collectAuthHints(primarySignals = {}, probes = []) {
   return false;
 }
 
+// A server that answered initialize (or demanded auth for it) is evidence,
+// not inference
+function handshakeCapability(handshake) {
+  const server = handshake?.server;
+  if (!server) return null;
+
+  const tools = server.tools ? `${server.tools.count} tool(s)` : "no tools capability";
+  const line = server.ok
+    ? `${server.url} [${server.transport}] initialize ok, protocol ${server.protocolVersion}; ${tools}`
+    : `${server.url} [${server.status}] initialize requires auth${server.wwwAuthenticate ? ` (${server.wwwAuthenticate})` : ""}`;
+
+  return {
+    mcp_present: true,
+    mcp_exposure: "live_server",
+    mcp_auth: server.auth === "open" ? "open" : "gated",
+    mcp_verified: true,
+    evidence: { items: [line.slice(0, 240)] }
+  };
+}
+
 async function detectCapabilityFlags({ rootOrigin, mcpOrigin, primarySignals }) {
   const evidence = [];
   const addEvidence = (line) => {
@@ -320,7 +483,7 @@ async function detectCapabilityFlags({ rootOrigin, mcpOrigin, primarySignals })
       mcp_present: true,
       mcp_exposure: "public_manifest",
       mcp_auth: collectAuthHints(primarySignals) ? "gated" : "open",
-      evidence: { items: [makeAbsolute(mcpOrigin, MCP_PRIMARY_SIGNALS.toolRegistry.path)] }
+      evidence: { items: [primarySignals.toolRegistry.url] }
     };
   }
 
@@ -408,8 +571,20 @@ async function detectCapabilityFlags({ rootOrigin, mcpOrigin, primarySignals })
   };
 }
 
-function deriveNotes({ score, primary, secondary, discoveryEndpoint, mcpOrigin, rootOrigin, capability }) {
+function deriveNotes({
+  score,
+  primary,
+  secondary,
+  discovery = {},
+  discoveryEndpoint,
+  mcpOrigin,
+  rootOrigin,
+  capability,
+  handshake,
+  ecosystems = []
+}) {
   const notes = [];
+  const server = handshake?.server;
 
   if (discoveryEndpoint && mcpOrigin !== rootOrigin) {
     notes.push(`Discovery pointer found; MCP host resolved to ${mcpOrigin}.`);
@@ -419,15 +594,79 @@ function deriveNotes({ score, primary, secondary, discoveryEndpoint, mcpOrigin,
     notes.push("Core machine interface signals detected (tool registry + OpenAPI).");
   }
 
+  const openapi = primary.openapi?.analysis;
+  if (openapi && openapi.usability < 60) {
+    const worst = openapi.worst[0];
+    notes.push(
+      `OpenAPI agent-usability ${openapi.usability}/100` +
+      (worst ? `; weakest: ${worst.method} ${worst.path} (missing ${worst.missing.slice(0, 3).join(", ")}).` : ".")
+    );
+  }
+
+  // Tool descriptions are what agents select and call by
+  const toolSets = [
+    ["Tool registry", primary.toolRegistry?.quality],
+    ["MCP server tools/list", server?.tools?.quality]
+  ].filter(([, quality]) => quality);
+  for (const [label, quality] of toolSets) {
+    if (quality.byRule["prompt-injection"]) {
+      const flagged = quality.findings
+        .filter(t => t.findings.some(f => f.rule === "prompt-injection"))
+        .map(t => t.name || "?");
+      notes.push(`${label}: possible prompt injection in tool description(s): ${flagged.slice(0, 5).join(", ")}.`);
+    } else if (["D", "F"].includes(quality.grade)) {
+      const top = Object.entries(quality.byRule).sort((a, b) => b[1] - a[1])[0];
+      notes.push(`${label} quality grade ${quality.grade} (${quality.score}/100)${top ? `; most common finding: ${top[0]} (${top[1]})` : ""}.`);
+    }
+  }
+
   if (!primary.aiPlugin?.detected) {
-    notes.push("AI plugin manifest not found at /.well-known/ai-plugin.json.");
+    notes.push("AI plugin manifest not found at /.well-known/ai-plugin.json or alternate locations.");
+  }
+
+  const offWellKnown = PRIMARY_KEYS
+    .filter(key => primary[key]?.matched && primary[key].matched.source !== "well-known")
+    .map(key => `${MCP_PRIMARY_SIGNALS[key].label} at ${primary[key].matched.url}`);
+  if (offWellKnown.length) {
+    notes.push(`Found outside /.well-known/: ${offWellKnown.join("; ")}. Mirror to the well-known path for agents that only check there.`);
+  }
+
+  if (PRIMARY_KEYS.some(key => primary[key]?.deadlineReached)) {
+    notes.push(`Manifest search stopped at its ${MCP_PROBE_BUDGET.deadlineMs / 1000}s time limit before every candidate location was checked; the site may be slow to answer.`);
+  } else if (PRIMARY_KEYS.some(key => primary[key]?.budgetExhausted)) {
+    notes.push("Request budget ran out before every candidate location was checked; raise ?budget= for a fuller search.");
+  }
+
+  const unchecked = Object.keys(discovery).filter(key => discovery[key]?.budgetExhausted);
+  if (unchecked.length) {
+    notes.push(`Discovery request allowance ran out before every location was checked for: ${unchecked.map(key => MCP_DISCOVERY_SIGNALS[key].label).join(", ")}.`);
   }
 
+  const reachable = ecosystems.filter(eco => eco.discoverable).map(eco => eco.label);
+  notes.push(
+    reachable.length
+      ? `Discoverable by agents via: ${reachable.join(", ")}.`
+      : "Not discoverable through any agent ecosystem manifest."
+  );
+
   if (!secondary.structuredData?.detected) {
     notes.push("No JSON-LD structured data detected on homepage.");
   }
 
-  if (capability?.mcp_exposure === "docs_led") {
+  if (!secondary.llmsTxt?.detected) {
+    notes.push("No llms.txt found at site root.");
+  } else if (secondary.llmsTxt.broken?.length) {
+    notes.push(`llms.txt has ${secondary.llmsTxt.broken.length} broken link entries.`);
+  }
+
+  if (server?.ok) {
+    notes.push(`Live MCP server at ${server.url} answered initialize (protocol ${server.protocolVersion}).`);
+    if (server.tools?.schemaInvalid) {
+      notes.push(`${server.tools.schemaInvalid} of ${server.tools.count} tools have invalid input schemas.`);
+    }
+  } else if (server?.auth === "required") {
+    notes.push(`MCP server at ${server.url} requires authentication before initialize.`);
+  } else if (capability?.mcp_exposure === "docs_led") {
     notes.push("Capability evidence suggests docs-led MCP onboarding despite missing public manifests.");
   } else if (capability?.mcp_exposure === "runtime_only") {
     notes.push("Capability evidence suggests runtime MCP host without public well-known manifests.");
@@ -446,7 +685,56 @@ function deriveNotes({ score, primary, secondary, discoveryEndpoint, mcpOrigin,
   return notes;
 }
 
-export async function runMcpAudit(inputUrl) {
+// First valid location wins; otherwise the most complete miss is reported
+// Every request spends the shared discovery budget
+async function probeDiscoverySignal(key, cfg, origins, budget) {
+  const text = cfg.format === "text";
+  let best = null;
+
+  for (const origin of origins) {
+    for (const path of cfg.paths) {
+      const url = makeAbsolute(origin, path);
+      if (!budget.take()) {
+        return {
+          ...(best || { detected: false, url, status: 0, valid: false, format: null, contentType: null, issues: [], dataPreview: null }),
+          budgetExhausted: true
+        };
+      }
+      const probe = await probeEndpoint(url, {
+        expectJson: !text,
+        sampleChars: text ? 20000 : undefined,
+        // Untyped bodies only count when they fully validate
+        accept: data => !discoverySignalIssues(key, data, origin).length
+      });
+
+      // security.txt soft-404s as HTML; a Contact line is the tell
+      const present = text
+        ? probe.detected && /^\s*contact\s*:/im.test(probe.textSample || "")
+        : isStructuredSpecProbe(probe);
+      const issues = present ? discoverySignalIssues(key, text ? probe.textSample : probe.data, origin) : [];
+
+      const entry = {
+        detected: present,
+        url,
+        status: probe.status,
+        valid: present && !issues.length,
+        format: text ? (present ? "text" : null) : probe.format,
+        contentType: probe.contentType,
+        issues,
+        dataPreview: probe.dataPreview
+      };
+
+      if (entry.valid) return entry;
+      if (!best || (entry.detected && !best.detected)) best = entry;
+    }
+  }
+
+  return best;
+}
+
+// options.endpoint: probe this MCP server URL first (already vetted by the caller)
+// options.budget: request budget for locating the primary manifests
+export async function runMcpAudit(inputUrl, options = {}) {
   const url = normalizeUrl(inputUrl);
 
   if (!url) {
@@ -482,26 +770,66 @@ export async function runMcpAudit(inputUrl) {
   const primarySignals = {};
   const primaryData = {};
 
-  for (const [key, cfg] of Object.entries(MCP_PRIMARY_SIGNALS)) {
-    const endpointUrl = makeAbsolute(mcpOrigin, cfg.path);
-    const probe = await probeEndpoint(endpointUrl, { expectJson: true });
+  // Declared service-desc links, ranked paths, then specs linked from docs pages
+  const budget = createProbeBudget(options.budget ?? MCP_PROBE_BUDGET.total, {
+    deadlineMs: MCP_PROBE_BUDGET.deadlineMs
+  });
+  const declared = serviceDescLinks({ $: homepage.$, headers: homepage.headers, baseUrl: mcpOrigin });
+  const docs = createDocsLinkSource({
+    origin: mcpOrigin,
+    docsPaths: MCP_SECONDARY_SIGNALS.apiDocs.paths,
+    pageLinks,
+    budget,
+    maxPages: MCP_PROBE_BUDGET.docsPages
+  });
 
-    const structured = isStructuredSpecProbe(probe);
-    const schemaValid = structured && validatePrimarySignalSchema(key, probe.data);
+  // The three searches run side by side, sharing one budget and deadline
+  const locatedAll = await Promise.all(
+    Object.entries(MCP_PRIMARY_SIGNALS).map(([key, cfg]) =>
+      locateManifest(cfg, {
+        origin: mcpOrigin,
+        budget,
+        perSignal: MCP_PROBE_BUDGET.perSignal,
+        docsLinks: MCP_PROBE_BUDGET.docsLinks,
+        declared,
+        docs,
+        accept: data => validatePrimarySignalSchema(key, data),
+        validate: probe => isStructuredSpecProbe(probe) && validatePrimarySignalSchema(key, probe.data)
+      })
+    )
+  );
+
+  for (const [i, key] of Object.keys(MCP_PRIMARY_SIGNALS).entries()) {
+    const located = locatedAll[i];
+    const probe = located.probe || { status: 0, format: null, data: null };
+    const schemaValid = located.found;
 
     primaryData[key] = probe.data;
     primarySignals[key] = {
       detected: schemaValid,
-      url: endpointUrl,
+      url: located.url,
       status: probe.status,
       valid: schemaValid,
       schemaValid,
       format: probe.format,
-      contentType: probe.contentType,
-      dataPreview: probe.dataPreview
+      contentType: probe.contentType || null,
+      parseError: probe.parseError || null,
+      dataPreview: probe.dataPreview || null,
+      matched: schemaValid ? { url: located.url, source: located.source, rank: located.rank } : null,
+      attempts: located.attempts,
+      budgetExhausted: located.budgetExhausted,
+      deadlineReached: located.deadlineReached
     };
   }
 
+  // Quality, not just presence: feeds the OpenAPI line item
+  if (primarySignals.openapi.valid) {
+    primarySignals.openapi.analysis = analyzeOpenApi(primaryData.openapi);
+  }
+  if (primarySignals.toolRegistry.valid) {
+    primarySignals.toolRegistry.quality = lintToolRegistry(primaryData.toolRegistry.tools);
+  }
+
   const mcpManifestUrl = makeAbsolute(mcpOrigin, MCP_ADDITIONAL_WELL_KNOWN.mcpManifest.path);
   const mcpManifestProbe = await probeEndpoint(mcpManifestUrl, { expectJson: true });
   const manifestValid = isStructuredSpecProbe(mcpManifestProbe);
@@ -515,11 +843,32 @@ export async function runMcpAudit(inputUrl) {
     dataPreview: mcpManifestProbe.dataPreview
   };
 
-  const capability = await detectCapabilityFlags({
-    rootOrigin,
-    mcpOrigin,
-    primarySignals
-  });
+  // Other agent ecosystems (A2A, agents.json, OAuth metadata, security.txt)
+  const discoveryOrigins = [mcpOrigin, rootOrigin].filter((o, i, arr) => arr.indexOf(o) === i);
+  const discoveryBudget = createProbeBudget(MCP_PROBE_BUDGET.discovery);
+  const discoverySignals = Object.fromEntries(
+    await Promise.all(
+      Object.entries(MCP_DISCOVERY_SIGNALS).map(async ([key, cfg]) => [
+        key,
+        await probeDiscoverySignal(key, cfg, discoveryOrigins, discoveryBudget)
+      ])
+    )
+  );
+
+  // Active JSON-RPC probe: endpoints the manifests name, then conventional paths
+  const handshake = await probeMcpServers(
+    mcpEndpointCandidates({
+      rootOrigin,
+      mcpOrigin,
+      manifests: [mcpManifestProbe.data, primaryData.toolRegistry, rootRegistryData],
+      explicit: options.endpoint || null
+    })
+  );
+
+  const capability = handshakeCapability(handshake) || {
+    ...(await detectCapabilityFlags({ rootOrigin, mcpOrigin, primarySignals })),
+    mcp_verified: false
+  };
 
   const apiDocsEvidence = collectLinkEvidence(pageLinks, MCP_SECONDARY_SIGNALS.apiDocs.paths);
   for (const path of MCP_SECONDARY_SIGNALS.apiDocs.paths) {
@@ -578,20 +927,37 @@ export async function runMcpAudit(inputUrl) {
   secondarySignals.datasets.evidence = Array.from(new Set(datasetEvidence)).slice(0, 10);
   secondarySignals.datasets.detected = secondarySignals.datasets.evidence.length > 0;
 
+  const llms = await auditLlmsTxt(rootOrigin);
+  secondarySignals.llmsTxt = {
+    detected: llms.detected,
+    valid: llms.valid,
+    count: llms.coverage?.links ?? 0,
+    evidence: [llms.llmsTxt, llms.llmsFullTxt]
+      .filter(item => item.detected)
+      .map(item => item.url),
+    coverage: llms.coverage,
+    broken: llms.broken,
+    issues: llms.llmsTxt.issues
+  };
+
   const signals = {
     primary: primarySignals,
-    secondary: secondarySignals
+    secondary: secondarySignals,
+    discovery: discoverySignals
   };
 
-  const scoring = calculateMcpScore(signals);
+  const scoring = calculateMcpScore(signals, { handshake });
   const notes = deriveNotes({
     score: scoring.score,
     primary: primarySignals,
     secondary: secondarySignals,
+    discovery: discoverySignals,
     discoveryEndpoint,
     mcpOrigin,
     rootOrigin,
-    capability
+    capability,
+    handshake,
+    ecosystems: scoring.ecosystems
   });
 
   const output = buildMcpAuditOutput({
@@ -601,20 +967,26 @@ export async function runMcpAudit(inputUrl) {
     signals,
     breakdown: scoring.breakdown,
     notes,
-    capability
+    capability,
+    ecosystems: scoring.ecosystems
   });
 
+  output.handshake = handshake;
+
   output.discovery = {
     rootOrigin,
     mcpOrigin,
     pointer: discoveryEndpoint,
     pointerDetected: Boolean(discoveryEndpoint),
-    rootRegistryStatus: rootRegistryProbe?.status ?? 0
+    rootRegistryStatus: rootRegistryProbe?.status ?? 0,
+    budget: { limit: budget.limit, used: budget.used, deadlineMs: budget.deadlineMs },
+    discoveryBudget: { limit: discoveryBudget.limit, used: discoveryBudget.used }
   };
 
   return output;
 }
 
+// ?fixtures=record|replay — archive defaults to data/fixtures/mcp/<hostname>.json
 export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
@@ -622,14 +994,32 @@ export default async function handler(req, res) {
 
   if (req.method === "OPTIONS") return res.status(200).end();
 
+  const url = normalizeUrl(req.query?.url);
+  const fixture = fixtureOptions(req.query, "mcp", url ? new URL(url).hostname : "");
+  if (!fixture.mode) return respond(req, res);
+
+  // Respond only after the archive is saved / the replay is complete
+  const buffered = bufferedResponse();
   try {
-    const output = await runMcpAudit(req.query?.url);
+    await withFixtures(fixture, () => respond(req, buffered.res));
+  } catch (err) {
+    return buffered.flush(res, { status: 400, json: { success: false, error: err.message } });
+  }
+  return buffered.flush(res);
+}
+
+async function respond(req, res) {
+  try {
+    const output = await runMcpAudit(req.query?.url, {
+      endpoint: normalizeEndpoint(req.query?.endpoint, normalizeUrl(req.query?.url)),
+      budget: normalizeBudget(req.query?.budget)
+    });
 
     if (!output?.success) {
       return res.status(400).json(output);
     }
 
-    return res.status(200).json(output);
+    return res.status(200).json({ ...output, fixture: currentFixture() });
   } catch (err) {
     return res.status(500).json({
       success: false,
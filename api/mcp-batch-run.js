@@ -4,6 +4,11 @@
 import fs from "fs/promises";
 import path from "path";
 import { runMcpAudit } from "./mcp-audit.js";
+import {
+  FIXTURE_MODES,
+  withFixtures,
+  fixtureName
+} from "../lib/crawl-core/fixtures.js";
 
 const DEFAULT_CONCURRENCY = 5;
 const MAX_CONCURRENCY = 10;
@@ -123,7 +128,7 @@ function summarize(results, totalUrls) {
   return summary;
 }
 
-async function runSingleAudit(displayUrl, perDomainTimeoutMs) {
+async function runSingleAudit(displayUrl, perDomainTimeoutMs, fixture = {}) {
   const scanUrl = normalizeDomain(displayUrl);
 
   if (!scanUrl) {
@@ -139,7 +144,10 @@ async function runSingleAudit(displayUrl, perDomainTimeoutMs) {
   }
 
   const out = await withTimeout(
-    runMcpAudit(scanUrl),
+    withFixtures(
+      { mode: fixture.mode, name: fixtureName(fixture.dataset, "mcp", new URL(scanUrl).hostname) },
+      () => runMcpAudit(scanUrl)
+    ),
     perDomainTimeoutMs,
     () => new Error(`MCP audit timed out after ${perDomainTimeoutMs}ms`)
   );
@@ -180,7 +188,7 @@ async function runBatchAudits(urls, options = {}) {
 
     const slice = urls.slice(i, i + concurrency);
     const settled = await Promise.allSettled(
-      slice.map(displayUrl => runSingleAudit(displayUrl, perDomainTimeoutMs))
+      slice.map(displayUrl => runSingleAudit(displayUrl, perDomainTimeoutMs, options.fixture))
     );
 
     settled.forEach((entry, idx) => {
@@ -242,10 +250,21 @@ export default async function handler(req, res) {
     const boundedLimit = clamp(limit, 1, Math.max(urls.length - offset, 1));
     const targetUrls = urls.slice(offset, offset + boundedLimit);
 
+    // ?fixtures=record|replay — one archive per domain under
+    // data/fixtures/<dataset>/mcp/<hostname>.json
+    const fixtureMode = req.query.fixtures || null;
+    if (fixtureMode && !FIXTURE_MODES.includes(fixtureMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown fixture mode "${fixtureMode}" (expected ${FIXTURE_MODES.join(" | ")})`
+      });
+    }
+
     const { results, errors, meta } = await runBatchAudits(targetUrls, {
       concurrency: req.query.concurrency,
       perDomainTimeoutMs: req.query.perDomainTimeoutMs,
-      deadlineMs: req.query.deadlineMs
+      deadlineMs: req.query.deadlineMs,
+      fixture: { mode: fixtureMode, dataset: safeDataset }
     });
 
     const summary = summarize(results, targetUrls.length);
@@ -254,6 +273,7 @@ export default async function handler(req, res) {
       success: true,
       dataset: safeDataset,
       vertical: dataset.vertical || safeDataset,
+      fixtures: fixtureMode,
       summary,
       results,
       errors,
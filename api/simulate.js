@@ -0,0 +1,106 @@
+// /api/simulate.js — EEI What-if Simulator
+// POST { audit | url, changes[], profile? } -> projected ECC, tiers, stage transition
+// Re-scores an audit's inputs snapshot; a bare URL is audited first
+
+import auditHandler from "./audit.js";
+import { simulate } from "../shared/simulator.js";
+import { resolveWeightProfile, profileInfo } from "../shared/weights.js";
+
+/* ---------------- Helpers ---------------- */
+
+async function runAudit(url, profile) {
+  let out = null;
+  let status = 200;
+
+  const fakeReq = {
+    query: { url, profile },
+    headers: { origin: "simulate" },
+    method: "GET"
+  };
+
+  const fakeRes = {
+    status(code) { status = code; return this; },
+    json(obj) { out = obj; return obj; },
+    setHeader() {}
+  };
+
+  await auditHandler(fakeReq, fakeRes);
+
+  if (status !== 200 || !out?.success) {
+    throw new Error(out?.error || "Audit failed");
+  }
+  return out;
+}
+
+/* ----------------- MAIN HANDLER ----------------- */
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ success: false, error: "Method not allowed" });
+  }
+
+  let body = req.body;
+  if (typeof body === "string") {
+    try { body = JSON.parse(body); } catch { body = {}; }
+  }
+
+  const { audit, url, changes = [] } = body || {};
+
+  if (!audit && !url) {
+    return res.status(400).json({
+      success: false,
+      error: "Provide a prior `audit` result (from /api/audit) or a `url`."
+    });
+  }
+  if (!Array.isArray(changes) || !changes.length) {
+    return res.status(400).json({ success: false, error: "`changes` must be a non-empty array." });
+  }
+
+  // Default to the profile the audit was scored with
+  let profile;
+  try {
+    profile = await resolveWeightProfile(body.profile || audit?.profile?.id);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const base = audit || await runAudit(url, profile.id);
+
+    if (!base.inputs) {
+      return res.status(400).json({
+        success: false,
+        error: "Audit result has no `inputs` snapshot; re-run /api/audit."
+      });
+    }
+
+    let result;
+    try {
+      result = simulate(base.inputs, changes, profile);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    return res.status(200).json({
+      success: true,
+      url: base.url || base.inputs.url,
+      source: audit ? "audit" : "live",
+      profile: profileInfo(profile),
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      error: err.message || "Simulation failed"
+    });
+  }
+}
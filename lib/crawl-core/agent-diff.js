@@ -0,0 +1,144 @@
+// /lib/crawl-core/agent-diff.js
+// Differential crawl: same URL once per AI agent + a browser baseline.
+// Flags agent-specific blocking, challenge pages and cloaking.
+
+import {
+  CRAWL_CONFIG,
+  fetchPage,
+  parsePage
+} from "./crawl-engine.js";
+import { agentTokenOf } from "./robots-policy.js";
+import { detectBotProtection } from "./bot-protection.js";
+
+// Relative divergence from the browser baseline that counts as cloaking
+const CLOAK_TOLERANCE = {
+  bytes: 0.3,
+  words: 0.3
+};
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function drift(a, b) {
+  const max = Math.max(a, b);
+  return max ? Math.abs(a - b) / max : 0;
+}
+
+async function probeAgent(url, agent, userAgent) {
+  try {
+    const page = await fetchPage(url, { userAgent, acceptErrors: true });
+    const parsed = parsePage(page.html, page.finalUrl);
+    const protection = detectBotProtection(page);
+
+    return {
+      agent,
+      userAgent,
+      status: page.status,
+      ok: page.status >= 200 && page.status < 400,
+      finalUrl: page.finalUrl,
+      bytes: Buffer.byteLength(page.html || ""),
+      title: parsed.title,
+      schemaCount: parsed.diagnostics.schemaCount,
+      wordCount: parsed.diagnostics.wordCount,
+      challenge: !!protection.challenge && protection.confidence !== "low",
+      vendor: protection.vendor,
+      error: null
+    };
+  } catch (err) {
+    return {
+      agent,
+      userAgent,
+      status: 0,
+      ok: false,
+      finalUrl: null,
+      bytes: 0,
+      title: "",
+      schemaCount: 0,
+      wordCount: 0,
+      challenge: false,
+      vendor: null,
+      error: err.message || "fetch-failed"
+    };
+  }
+}
+
+// Differences between an agent's view and the browser's
+function compare(row, baseline) {
+  const flags = [];
+  const reasons = [];
+
+  if (!baseline.ok) return { flags, reasons };
+
+  if (!row.ok) {
+    flags.push("blocked");
+    reasons.push(row.error || `HTTP ${row.status} (browser got ${baseline.status})`);
+    return { flags, reasons };
+  }
+
+  if (row.challenge && !baseline.challenge) {
+    flags.push("challenge");
+    reasons.push("Challenge page served to this agent only");
+    return { flags, reasons };
+  }
+
+  if (row.title !== baseline.title) {
+    reasons.push(`Title differs ("${row.title}" vs "${baseline.title}")`);
+  }
+  if (row.schemaCount !== baseline.schemaCount) {
+    reasons.push(`${row.schemaCount} schema object(s) vs ${baseline.schemaCount}`);
+  }
+  if (drift(row.wordCount, baseline.wordCount) > CLOAK_TOLERANCE.words) {
+    reasons.push(`${row.wordCount} words vs ${baseline.wordCount}`);
+  }
+  if (drift(row.bytes, baseline.bytes) > CLOAK_TOLERANCE.bytes) {
+    reasons.push(`${row.bytes} bytes vs ${baseline.bytes}`);
+  }
+  if (reasons.length) flags.push("cloaked");
+
+  return { flags, reasons };
+}
+
+/* ============================================================
+   DIFFERENTIAL CRAWL
+   posture: open | selective | blocked (same vocabulary as robots.txt)
+============================================================ */
+
+export async function differentialCrawl(url, options = {}) {
+  const {
+    userAgents = CRAWL_CONFIG.AI_UAS,
+    browserUA = CRAWL_CONFIG.BROWSER_UA
+  } = options;
+
+  // Sequential: parallel bursts from one IP trip rate limiters and
+  // would show up as false "blocked" rows
+  const baseline = await probeAgent(url, "browser", browserUA);
+  const agents = [];
+  for (const ua of userAgents) {
+    const row = await probeAgent(url, agentTokenOf(ua), ua);
+    agents.push({ ...row, ...compare(row, baseline) });
+  }
+
+  const flagged = flag => agents.filter(a => a.flags.includes(flag)).map(a => a.agent);
+  const blocked = flagged("blocked");
+  const challenged = flagged("challenge");
+  const cloaked = flagged("cloaked");
+
+  let posture = "open";
+  if (baseline.ok && agents.length && blocked.length + challenged.length === agents.length) {
+    posture = "blocked";
+  } else if (blocked.length || challenged.length || cloaked.length) {
+    posture = "selective";
+  }
+
+  return {
+    url,
+    baseline,
+    agents,
+    blocked,
+    challenged,
+    cloaked,
+    posture,
+    comparable: baseline.ok
+  };
+}
@@ -0,0 +1,260 @@
+// /lib/crawl-core/bot-protection.js
+// Rule-based bot-protection fingerprinting: vendor, challenge type,
+// confidence. Headers, status and page structure — never bare mentions
+// of a vendor name in page copy.
+
+/* ============================================================
+   RULES
+   kind: "presence" = vendor is in front of the site
+         "challenge" = this response IS a challenge / block page
+   weight: 1 weak, 2 solid, 3 conclusive
+   contextual: also injected into normal pages; a challenge only on a
+               near-empty page, a 403/503 or with a challenge header,
+               otherwise it only shows the vendor is present
+============================================================ */
+
+const VENDOR_RULES = {
+  cloudflare: {
+    label: "Cloudflare",
+    headers: [
+      { name: "cf-mitigated", test: /challenge/i, kind: "challenge", challenge: "js-challenge", weight: 3 },
+      { name: "server", test: /cloudflare/i, kind: "presence", weight: 1 },
+      { name: "cf-ray", test: /./, kind: "presence", weight: 1 }
+    ],
+    cookies: [
+      { test: /^cf_clearance$/i, kind: "presence", weight: 2 },
+      { test: /^__cf_bm$/i, kind: "presence", weight: 1 }
+    ],
+    body: [
+      { test: /\/cdn-cgi\/challenge-platform\//i, kind: "challenge", challenge: "js-challenge", weight: 3, contextual: true },
+      { test: /window\._cf_chl_opt|cf-chl-widget|cf_chl_/i, kind: "challenge", challenge: "js-challenge", weight: 3 },
+      { test: /challenges\.cloudflare\.com\/turnstile/i, kind: "challenge", challenge: "captcha", weight: 2 },
+      { test: /<title>\s*Attention Required! \| Cloudflare/i, kind: "challenge", challenge: "block", weight: 3 },
+      { test: /<title>\s*Just a moment\.\.\.\s*<\/title>/i, kind: "challenge", challenge: "js-challenge", weight: 2 }
+    ]
+  },
+
+  datadome: {
+    label: "DataDome",
+    headers: [
+      { name: "x-datadome", test: /./, kind: "presence", weight: 2 },
+      { name: "x-dd-b", test: /./, kind: "presence", weight: 2 },
+      { name: "server", test: /datadome/i, kind: "presence", weight: 2 }
+    ],
+    cookies: [{ test: /^datadome$/i, kind: "presence", weight: 2 }],
+    body: [
+      { test: /(geo|ct)\.captcha-delivery\.com/i, kind: "challenge", challenge: "captcha", weight: 3 },
+      { test: /var dd=\{/i, kind: "challenge", challenge: "captcha", weight: 2 }
+    ]
+  },
+
+  akamai: {
+    label: "Akamai",
+    headers: [
+      { name: "server", test: /AkamaiGHost/i, kind: "presence", weight: 1 },
+      { name: "akamai-grn", test: /./, kind: "presence", weight: 1 }
+    ],
+    cookies: [
+      { test: /^_abck$/i, kind: "presence", weight: 2 },
+      { test: /^(bm_sz|ak_bmsc|bm_sv)$/i, kind: "presence", weight: 1 }
+    ],
+    body: [
+      // Edge "Access Denied" page: fixed heading + errors.edgesuite.net reference
+      { test: /errors\.edgesuite\.net|Reference&#32;&#35;\d/i, kind: "challenge", challenge: "block", weight: 3 },
+      { test: /sec-if-cpt-container|\/_sec\/cp_challenge\//i, kind: "challenge", challenge: "js-challenge", weight: 3 }
+    ]
+  },
+
+  perimeterx: {
+    label: "HUMAN (PerimeterX)",
+    headers: [{ name: "x-px-block", test: /./, kind: "challenge", challenge: "block", weight: 3 }],
+    cookies: [
+      { test: /^_px(hd|vid|3|2)?$/i, kind: "presence", weight: 2 }
+    ],
+    body: [
+      { test: /px-captcha|captcha\.px-cdn\.net/i, kind: "challenge", challenge: "captcha", weight: 3 },
+      { test: /window\._pxAppId/i, kind: "presence", weight: 1 }
+    ]
+  },
+
+  imperva: {
+    label: "Imperva (Incapsula)",
+    headers: [
+      { name: "x-iinfo", test: /./, kind: "presence", weight: 2 },
+      { name: "x-cdn", test: /incapsula|imperva/i, kind: "presence", weight: 2 }
+    ],
+    cookies: [{ test: /^(incap_ses_|visid_incap_|nlbi_)/i, kind: "presence", weight: 2 }],
+    body: [
+      { test: /_Incapsula_Resource/i, kind: "challenge", challenge: "js-challenge", weight: 3 },
+      { test: /Incapsula incident ID/i, kind: "challenge", challenge: "block", weight: 3 }
+    ]
+  },
+
+  "aws-waf": {
+    label: "AWS WAF",
+    headers: [
+      { name: "x-amzn-waf-action", test: /captcha/i, kind: "challenge", challenge: "captcha", weight: 3 },
+      { name: "x-amzn-waf-action", test: /challenge/i, kind: "challenge", challenge: "js-challenge", weight: 3 }
+    ],
+    cookies: [{ test: /^aws-waf-token$/i, kind: "presence", weight: 2 }],
+    body: [
+      { test: /\.token\.awswaf\.com|AwsWafIntegration/i, kind: "challenge", challenge: "js-challenge", weight: 3 }
+    ]
+  },
+
+  sucuri: {
+    label: "Sucuri",
+    headers: [
+      { name: "x-sucuri-id", test: /./, kind: "presence", weight: 2 },
+      { name: "server", test: /Sucuri/i, kind: "presence", weight: 2 }
+    ],
+    cookies: [],
+    body: [
+      { test: /Sucuri WebSite Firewall - (Access Denied|CloudProxy)/i, kind: "challenge", challenge: "block", weight: 3 }
+    ]
+  }
+};
+
+// Vendor-neutral captcha widgets; only meaningful on a near-empty page
+const GENERIC_CAPTCHA = /www\.google\.com\/recaptcha\/|hcaptcha\.com\/1\/api\.js|js\.hcaptcha\.com/i;
+
+const TINY_PAGE_WORDS = 60;
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function headerValue(headers = {}, name) {
+  const value = headers[name] ?? headers[name.toLowerCase()];
+  if (Array.isArray(value)) return value.join(", ");
+  return value == null ? "" : String(value);
+}
+
+function cookieNames(headers = {}) {
+  const raw = headers["set-cookie"];
+  const list = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return list.map(c => String(c).split("=")[0].trim()).filter(Boolean);
+}
+
+function pageStructure(html = "") {
+  const text = html
+    .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return {
+    words: text ? text.split(" ").length : 0,
+    metaRefresh: /<meta[^>]+http-equiv=["']?refresh/i.test(html),
+    needsJs: /enable (javascript|js) and cookies|requires javascript to (continue|proceed)/i.test(html),
+    scripts: (html.match(/<script\b/gi) || []).length
+  };
+}
+
+function confidenceOf(weight) {
+  if (weight >= 3) return "high";
+  if (weight >= 2) return "medium";
+  return "low";
+}
+
+/* ============================================================
+   DETECT
+============================================================ */
+
+export function detectBotProtection({ status = 0, headers = {}, html = "" } = {}) {
+  const cookies = cookieNames(headers);
+  const structure = pageStructure(html);
+  const tiny = structure.words < TINY_PAGE_WORDS;
+  const challengeContext =
+    tiny || [403, 503].includes(status) || /challenge/i.test(headerValue(headers, "cf-mitigated"));
+
+  const vendors = [];
+
+  for (const [id, rules] of Object.entries(VENDOR_RULES)) {
+    const hits = [];
+
+    for (const rule of rules.headers) {
+      const value = headerValue(headers, rule.name);
+      if (value && rule.test.test(value)) hits.push({ ...rule, signal: `header ${rule.name}` });
+    }
+    for (const rule of rules.cookies) {
+      const name = cookies.find(c => rule.test.test(c));
+      if (name) hits.push({ ...rule, signal: `cookie ${name}` });
+    }
+    for (const rule of rules.body) {
+      if (!rule.test.test(html)) continue;
+      if (rule.contextual && !challengeContext) {
+        hits.push({ ...rule, kind: "presence", challenge: null, weight: 1, signal: "markup (vendor script)" });
+      } else {
+        hits.push({ ...rule, signal: `markup (${rule.challenge || "vendor script"})` });
+      }
+    }
+
+    if (!hits.length) continue;
+
+    const challengeHits = hits.filter(h => h.kind === "challenge");
+    const weight = hits.reduce((sum, h) => sum + h.weight, 0);
+
+    vendors.push({
+      id,
+      label: rules.label,
+      weight,
+      challenge: challengeHits.sort((a, b) => b.weight - a.weight)[0]?.challenge || null,
+      challengeWeight: challengeHits.reduce((sum, h) => sum + h.weight, 0),
+      signals: hits.map(h => h.signal)
+    });
+  }
+
+  vendors.sort((a, b) => b.challengeWeight - a.challengeWeight || b.weight - a.weight);
+  const top = vendors[0] || null;
+
+  let challenge = top?.challenge || null;
+  let challengeWeight = top?.challengeWeight || 0;
+  const signals = [...(top?.signals || [])];
+
+  // Structural evidence: challenge-shaped responses without a known vendor
+  if (!challenge && tiny && GENERIC_CAPTCHA.test(html)) {
+    challenge = "captcha";
+    challengeWeight = 2;
+    signals.push("captcha widget on near-empty page");
+  }
+  if (!challenge && tiny && (structure.metaRefresh || structure.needsJs) && structure.scripts > 0) {
+    challenge = "interstitial";
+    challengeWeight = top ? 2 : 1;
+    signals.push(structure.metaRefresh ? "meta refresh on near-empty page" : "JS/cookie wall");
+  }
+  if (status === 429) {
+    challenge ||= "rate-limit";
+    challengeWeight = Math.max(challengeWeight, 2);
+    signals.push("HTTP 429");
+  }
+  // A challenge served with an error status is unambiguous
+  if (challenge && [401, 403, 503].includes(status)) {
+    challengeWeight += 1;
+    signals.push(`HTTP ${status}`);
+  }
+  // ...as is one served in place of a real page
+  if (challenge && challengeWeight < 3 && tiny) challengeWeight += 1;
+
+  const detected = Boolean(top || challenge);
+
+  return {
+    detected,
+    vendor: top?.id || null,
+    vendorLabel: top?.label || null,
+    challenge,
+    confidence: detected ? confidenceOf(challenge ? challengeWeight : top.weight) : null,
+    signals,
+    otherVendors: vendors.slice(1).map(v => v.id),
+    structure
+  };
+}
+
+export function describeProtection(p) {
+  if (!p?.detected) return null;
+  const what =
+    p.challenge === "rate-limit" ? "rate limited"
+    : p.challenge ? `${p.challenge} served`
+    : "bot management in front of site";
+  return `${p.vendorLabel ? `${p.vendorLabel}: ` : ""}${what} (${p.confidence} confidence)`;
+}
@@ -0,0 +1,292 @@
+// /lib/crawl-core/content-extract.js
+// Readability-style main-content extraction + text quality signals:
+// word count, heading outline, paragraph density, language, reading level.
+// Works on a clone; the crawl's `$` is left untouched.
+
+// No <form>: ASP.NET-style pages wrap the whole body in one
+const STRIP = "script, style, noscript, template, svg, iframe, canvas, button, select";
+
+const BOILERPLATE_TAGS = "nav, header, footer, aside, dialog";
+
+const BOILERPLATE_ROLES =
+  '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [aria-hidden="true"]';
+
+// class/id fragments that mark chrome rather than content; only trusted on
+// nodes that also look like chrome (little text, or mostly links)
+const BOILERPLATE_HINT =
+  /(^|[\s_-])(nav|navbar|menu|header|footer|sidebar|cookie|consent|gdpr|banner|breadcrumbs?|share|social|newsletter|subscribe|popup|modal|overlay|related|promo|advert|ads?|skip)([\s_-]|$)/i;
+
+const HINT_MAX_WORDS = 80;
+const HINT_LINK_DENSITY = 0.5;
+
+const MAX_OUTLINE = 50;
+
+// Most frequent function words per language; enough to tell them apart
+const STOPWORDS = {
+  en: ["the", "and", "of", "to", "in", "is", "that", "for", "with", "are", "on", "this", "you", "it", "be", "as", "or", "by", "we", "your"],
+  es: ["el", "la", "de", "que", "y", "en", "los", "las", "del", "se", "por", "con", "para", "una", "es", "su", "al", "lo", "como", "más"],
+  fr: ["le", "la", "les", "de", "des", "et", "en", "un", "une", "du", "est", "que", "pour", "dans", "qui", "sur", "pas", "au", "avec", "vous"],
+  de: ["der", "die", "das", "und", "in", "zu", "den", "von", "mit", "ist", "des", "sich", "nicht", "auf", "für", "ein", "eine", "dem", "sie", "wir"],
+  pt: ["o", "a", "de", "que", "e", "do", "da", "em", "um", "para", "com", "não", "uma", "os", "no", "se", "na", "por", "mais", "as"],
+  it: ["il", "di", "che", "e", "la", "per", "un", "in", "non", "sono", "una", "del", "della", "le", "con", "si", "da", "gli", "anche", "al"],
+  nl: ["de", "het", "een", "en", "van", "is", "dat", "op", "te", "in", "voor", "niet", "met", "zijn", "die", "ook", "aan", "er", "wij", "u"]
+};
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function words(text) {
+  return String(text || "")
+    .split(/[^\p{L}\p{N}'’-]+/u)
+    .filter(w => /[\p{L}\p{N}]/u.test(w));
+}
+
+// Text node by text node, so adjacent blocks don't fuse into one word
+function textOf($, el) {
+  const parts = [];
+  const walk = node => {
+    if (node.type === "text") parts.push(node.data);
+    else for (const child of node.children || []) walk(child);
+  };
+  for (const node of $(el).toArray()) walk(node);
+  return parts.join(" ").replace(/\s+/g, " ").trim();
+}
+
+function isContentNode(node) {
+  return node.type === "tag" && (["main", "article"].includes(node.name) || node.attribs?.role === "main");
+}
+
+// Per-node text stats, built once bottom-up and shared through `memo`, so
+// checking every candidate stays linear in page size. A memo is only valid
+// until the tree changes below a node it holds.
+function measure(node, memo) {
+  let m = memo.get(node);
+  if (m) return m;
+
+  if (node.type === "text") {
+    const text = node.data.replace(/\s+/g, " ").trim();
+    m = {
+      chars: text.length,
+      parts: text ? 1 : 0,
+      words: words(text).length,
+      commas: (text.match(/,/g) || []).length,
+      linked: 0,
+      content: false
+    };
+  } else {
+    m = { chars: 0, parts: 0, words: 0, commas: 0, linked: 0, content: false };
+    for (const child of node.children || []) {
+      const c = measure(child, memo);
+      // Parts are joined by one space, as in textOf
+      m.chars += c.chars + (m.parts && c.parts ? 1 : 0);
+      m.parts += c.parts;
+      m.words += c.words;
+      m.commas += c.commas;
+      m.linked += c.linked;
+      m.content ||= c.content || isContentNode(child);
+    }
+    if (node.name === "a") m.linked = m.chars;
+  }
+
+  memo.set(node, m);
+  return m;
+}
+
+function linkDensity(node, memo) {
+  const { chars, linked } = measure(node, memo);
+  return chars ? linked / chars : 0;
+}
+
+function stripBoilerplate($, root) {
+  root.find(STRIP).remove();
+  // An <article>'s own header/footer (title, byline) is content
+  root.find(BOILERPLATE_TAGS).filter((_, el) => !$(el).parents("main, article").length).remove();
+  root.find(BOILERPLATE_ROLES).remove();
+  // Document order: a node is measured before anything below it is removed
+  const memo = new Map();
+  root.find("[class], [id]").each((_, el) => {
+    const hint = `${$(el).attr("class") || ""} ${$(el).attr("id") || ""}`;
+    if (!BOILERPLATE_HINT.test(hint)) return;
+    // Never drop the main content or a wrapper around it ("layout has-sidebar")
+    if (["main", "article", "body"].includes(el.tagName) || isContentNode(el)) return;
+    const stats = measure(el, memo);
+    if (stats.content) return;
+    const chrome = stats.words < HINT_MAX_WORDS || linkDensity(el, memo) > HINT_LINK_DENSITY;
+    if (chrome) $(el).remove();
+  });
+  return root;
+}
+
+// Paragraph-weighted candidate scoring (Readability's core idea)
+function bestCandidate($, root, memo) {
+  const scores = new Map();
+  const add = (el, s) => el && el.type === "tag" && scores.set(el, (scores.get(el) || 0) + s);
+
+  root.find("p, pre, blockquote, li").each((_, p) => {
+    const { chars, commas } = measure(p, memo);
+    if (chars < 25) return;
+    const s = 1 + commas + Math.min(Math.floor(chars / 100), 3);
+    add(p.parent, s);
+    add(p.parent?.parent, s / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, s] of scores) {
+    const adjusted = s * (1 - linkDensity(el, memo));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+/* ============================================================
+   SIGNALS
+============================================================ */
+
+export function headingOutline($, root) {
+  const outline = root
+    .find("h1, h2, h3, h4, h5, h6")
+    .map((_, el) => ({
+      level: Number(el.tagName.slice(1)),
+      text: textOf($, el).slice(0, 120)
+    }))
+    .get()
+    .filter(h => h.text);
+
+  const h1s = outline.filter(h => h.level === 1);
+  const skips = [];
+  for (let i = 1; i < outline.length; i++) {
+    if (outline[i].level > outline[i - 1].level + 1) {
+      skips.push(`h${outline[i - 1].level} → h${outline[i].level} ("${outline[i].text}")`);
+    }
+  }
+
+  return {
+    outline: outline.slice(0, MAX_OUTLINE),
+    headingCount: outline.length,
+    h1Count: h1s.length,
+    h1Unique: h1s.length === 1,
+    h2Count: outline.filter(h => h.level === 2).length,
+    h3Count: outline.filter(h => h.level === 3).length,
+    skips,
+    hierarchyValid: h1s.length === 1 && !skips.length && (outline[0]?.level === 1)
+  };
+}
+
+export function detectLanguage(text, declared = "") {
+  const counts = {};
+  for (const w of words(text.toLowerCase()).slice(0, 2000)) {
+    for (const [lang, list] of Object.entries(STOPWORDS)) {
+      if (list.includes(w)) counts[lang] = (counts[lang] || 0) + 1;
+    }
+  }
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const [top, second] = ranked;
+  const declaredLang = String(declared || "").toLowerCase().split("-")[0] || null;
+
+  let confidence = "low";
+  if (top && top[1] >= 20 && (!second || top[1] >= second[1] * 2)) confidence = "high";
+  else if (top && top[1] >= 8) confidence = "medium";
+
+  const detected = top ? top[0] : null;
+
+  return {
+    declared: declared || null,
+    detected,
+    confidence,
+    matchesDeclared: !!(declaredLang && detected && declaredLang === detected)
+  };
+}
+
+// English syllable heuristic; scores are approximate for other languages
+function syllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 0;
+  if (w.length <= 3) return 1;
+  const groups = w
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "")
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+export function readingLevel(text) {
+  const sentenceCount = Math.max(1, (String(text).match(/[.!?]+(\s|$)/g) || []).length);
+  const list = words(text);
+  if (!list.length) return null;
+
+  const syllableCount = list.reduce((sum, w) => sum + syllables(w), 0);
+  const wps = list.length / sentenceCount;
+  const spw = syllableCount / list.length;
+
+  return {
+    sentences: sentenceCount,
+    avgWordsPerSentence: Number(wps.toFixed(1)),
+    fleschReadingEase: Number((206.835 - 1.015 * wps - 84.6 * spw).toFixed(1)),
+    gradeLevel: Number((0.39 * wps + 11.8 * spw - 15.59).toFixed(1))
+  };
+}
+
+/* ============================================================
+   EXTRACT
+============================================================ */
+
+export function extractMainContent($) {
+  const body = $("body").first();
+  if (!body.length) {
+    return { source: "none", text: "", wordCount: 0, ...headingOutline($, body) };
+  }
+
+  const cleaned = stripBoilerplate($, body.clone());
+  const memo = new Map();
+  const wordsIn = selection => selection.toArray().reduce((n, node) => n + measure(node, memo).words, 0);
+
+  let source = "body";
+  let main = cleaned;
+
+  const landmark = cleaned.find('main, [role="main"]').first();
+  const articles = cleaned.find("article");
+
+  if (landmark.length && wordsIn(landmark) >= 50) {
+    source = "main";
+    main = landmark;
+  } else if (articles.length === 1 && wordsIn(articles) >= 50) {
+    source = "article";
+    main = articles.first();
+  } else {
+    const candidate = bestCandidate($, cleaned, memo);
+    if (candidate) {
+      source = "scored";
+      main = $(candidate);
+    }
+  }
+
+  const text = textOf($, main);
+  const wordList = words(text);
+  const paragraphs = main
+    .find("p")
+    .map((_, p) => measure(p, memo).words)
+    .get()
+    .filter(n => n >= 8);
+  const paragraphWords = paragraphs.reduce((a, b) => a + b, 0);
+
+  return {
+    source,
+    text,
+    wordCount: wordList.length,
+    paragraphs: paragraphs.length,
+    avgParagraphWords: paragraphs.length ? Math.round(paragraphWords / paragraphs.length) : 0,
+    // Share of main-content words that sit in real paragraphs
+    paragraphDensity: wordList.length ? Number((paragraphWords / wordList.length).toFixed(2)) : 0,
+    linkDensity: Number(linkDensity(main.get(0), memo).toFixed(2)),
+    // Outline from the de-chromed page: a hero H1 often sits outside <main>
+    ...headingOutline($, cleaned),
+    language: detectLanguage(text, $("html").attr("lang")),
+    readingLevel: readingLevel(text)
+  };
+}
@@ -0,0 +1,310 @@
+// /lib/crawl-core/crawl-engine.js
+// Single static fetch-and-parse pipeline for every EEI endpoint.
+// Same URL in -> same signals out, whichever API asked.
+
+import axios from "axios";
+import * as cheerio from "cheerio";
+import { agentTokensFor, fetchRobotsPolicy } from "./robots-policy.js";
+import { collectStructuredData, summarizeStructuredData } from "./structured-data.js";
+import { extractMainContent } from "./content-extract.js";
+import { SOCIAL_HOSTS } from "../../shared/scoring.js";
+import { schemaIndex } from "../../shared/schema-graph.js";
+
+/* ============================================================
+   GLOBAL CONFIG
+============================================================ */
+
+export const CRAWL_CONFIG = {
+  TIMEOUT_MS: 15000,
+  MAX_REDIRECTS: 5,
+  MAX_HTML_BYTES: 5 * 1024 * 1024,
+  STATIC_UA:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) exmxc-static/3.0 Safari/537.36",
+  // Plain browser baseline for per-agent differential crawls
+  BROWSER_UA:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+  AI_UAS: [
+    "Mozilla/5.0 (compatible; GPTBot/1.0; +https://openai.com/gptbot)",
+    "ClaudeBot/1.0 (+https://www.anthropic.com/claudebot)",
+    "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"
+  ],
+  // robots.txt product tokens evaluated on top of the AI_UAS agents
+  ROBOTS_EXTRA_AGENTS: [
+    "CCBot",
+    "PerplexityBot",
+    "Google-Extended",
+    "Applebot-Extended"
+  ]
+};
+
+export const ROBOTS_AGENTS = agentTokensFor(
+  CRAWL_CONFIG.AI_UAS,
+  CRAWL_CONFIG.ROBOTS_EXTRA_AGENTS
+);
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+export function parseJsonLd(blocks = []) {
+  const objects = [];
+  for (const raw of blocks) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) objects.push(...parsed);
+      else if (parsed["@graph"]) objects.push(...parsed["@graph"]);
+      else objects.push(parsed);
+    } catch {}
+  }
+  return objects;
+}
+
+function hostOf(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).hostname.replace(/^www\./i, "");
+  } catch {
+    return null;
+  }
+}
+
+function isSocialHost(host) {
+  return SOCIAL_HOSTS.some(s => host === s || host.endsWith(`.${s}`));
+}
+
+// Splits page links into internal/external and collects distinct
+// outbound + social hosts (schema sameAs counts toward social)
+function linkProfile(pageLinks, schemaObjects, baseUrl) {
+  const originHost = hostOf(baseUrl, baseUrl);
+  const externalHosts = new Set();
+  const socialHosts = new Set();
+  let internal = 0;
+  let external = 0;
+
+  for (const href of pageLinks) {
+    if (/^(mailto|tel|javascript):/i.test(href)) continue;
+    const host = hostOf(href, baseUrl);
+    if (!host) continue;
+
+    if (host === originHost) {
+      internal++;
+    } else {
+      external++;
+      externalHosts.add(host);
+      if (isSocialHost(host)) socialHosts.add(host);
+    }
+  }
+
+  for (const obj of schemaIndex(schemaObjects).nodes) {
+    const sameAs = Array.isArray(obj?.sameAs) ? obj.sameAs : obj?.sameAs ? [obj.sameAs] : [];
+    for (const link of sameAs) {
+      const host = hostOf(link, baseUrl);
+      if (host && isSocialHost(host)) socialHosts.add(host);
+    }
+  }
+
+  return {
+    internal,
+    external,
+    externalHosts: Array.from(externalHosts),
+    socialHosts: Array.from(socialHosts)
+  };
+}
+
+/* ============================================================
+   FETCH
+   Redirects are followed by hand so every hop is recorded
+============================================================ */
+
+function hopMoves(from, to) {
+  try {
+    const a = new URL(from);
+    const b = new URL(to);
+    const bareA = a.hostname.replace(/^www\./i, "");
+    const bareB = b.hostname.replace(/^www\./i, "");
+    return {
+      schemeChange: a.protocol !== b.protocol,
+      wwwChange: bareA === bareB && a.hostname !== b.hostname,
+      hostChange: bareA !== bareB,
+      pathChange: a.pathname !== b.pathname
+    };
+  } catch {
+    return { schemeChange: false, wwwChange: false, hostChange: false, pathChange: false };
+  }
+}
+
+function readBody(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on("data", chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        reject(new Error(`Response exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    stream.on("error", reject);
+  });
+}
+
+export async function fetchPage(url, options = {}) {
+  const {
+    userAgent = CRAWL_CONFIG.STATIC_UA,
+    timeoutMs = CRAWL_CONFIG.TIMEOUT_MS,
+    maxRedirects = CRAWL_CONFIG.MAX_REDIRECTS,
+    // 4xx/5xx resolve instead of throwing (block pages are data)
+    acceptErrors = false
+  } = options;
+
+  const redirectChain = [];
+  const seen = new Set();
+  const startedAt = Date.now();
+  let current = url;
+
+  while (true) {
+    seen.add(current);
+    const hopStart = Date.now();
+
+    const resp = await axios.get(current, {
+      timeout: timeoutMs,
+      maxRedirects: 0,
+      responseType: "stream",
+      headers: {
+        "User-Agent": userAgent,
+        Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8"
+      },
+      validateStatus: s => acceptErrors || (s >= 200 && s < 400)
+    });
+
+    const ttfbMs = Date.now() - hopStart;
+    const location = resp.headers?.location;
+
+    if (resp.status < 300 || resp.status >= 400 || !location) {
+      const html = await readBody(resp.data, CRAWL_CONFIG.MAX_HTML_BYTES);
+      return {
+        requestedUrl: url,
+        finalUrl: current,
+        status: resp.status,
+        headers: resp.headers || {},
+        redirectChain,
+        timing: { ttfbMs, totalMs: Date.now() - startedAt },
+        html
+      };
+    }
+
+    resp.data.destroy();
+
+    const next = new URL(location, current).href;
+    redirectChain.push({
+      url: current,
+      status: resp.status,
+      location: next,
+      ...hopMoves(current, next),
+      ms: ttfbMs
+    });
+
+    if (seen.has(next)) throw new Error(`Redirect loop at ${next}`);
+    if (redirectChain.length > maxRedirects) {
+      throw new Error(`Too many redirects (more than ${maxRedirects})`);
+    }
+    current = next;
+  }
+}
+
+/* ============================================================
+   PARSE
+============================================================ */
+
+export function parsePage(html, baseUrl) {
+  const $ = cheerio.load(html || "");
+
+  const schemaObjects = collectStructuredData(
+    $,
+    parseJsonLd(
+      $('script[type="application/ld+json"]')
+        .map((_, el) => $(el).text())
+        .get()
+    ),
+    baseUrl
+  );
+
+  const pageLinks = $("a[href]")
+    .map((_, el) => $(el).attr("href"))
+    .get()
+    .filter(Boolean);
+
+  const bodyText = $("body").text().replace(/\s+/g, " ").trim();
+  const links = linkProfile(pageLinks, schemaObjects, baseUrl);
+  const content = extractMainContent($);
+
+  return {
+    $,
+    title: $("title").first().text().trim(),
+    description:
+      $('meta[name="description"]').attr("content") ||
+      $('meta[property="og:description"]').attr("content") ||
+      "",
+    canonicalHref: ($('link[rel="canonical"]').attr("href") || "").trim(),
+    favicon:
+      $('link[rel="icon"]').attr("href") ||
+      $('link[rel="shortcut icon"]').attr("href") ||
+      "",
+    ogImage: $('meta[property="og:image"]').attr("content") || "",
+    metaAuthor:
+      $('meta[name="author"]').attr("content") ||
+      $('a[rel="author"]').text() ||
+      "",
+    metaRobots: ($('meta[name="robots"]').attr("content") || "").toLowerCase(),
+    aiPing: $('img[src*="ai-crawl-ping"], img[src*="crawl-ping"]').length > 0,
+    schemaObjects,
+    pageLinks,
+    socialHosts: links.socialHosts,
+    externalLinks: links.externalHosts,
+    content,
+    diagnostics: {
+      // Main content only; rawWordCount is the whole <body> incl. chrome
+      wordCount: content.wordCount,
+      rawWordCount: bodyText ? bodyText.split(" ").length : 0,
+      schemaCount: schemaObjects.length,
+      schemaSyntaxes: summarizeStructuredData(schemaObjects).bySyntax,
+      linkCount: pageLinks.length,
+      internalLinkCount: links.internal,
+      externalLinkCount: links.external
+    }
+  };
+}
+
+/* ============================================================
+   STATIC CRAWL (ECC SOURCE OF TRUTH)
+   Contract: mode, requestedUrl, url (= finalUrl), finalUrl, status,
+   headers, redirectChain, timing, html, $, page fields, schemaObjects,
+   pageLinks, socialHosts, externalLinks, content, robots, diagnostics
+============================================================ */
+
+export async function staticCrawl(url, options = {}) {
+  const { robots: withRobots = true } = options;
+
+  const page = await fetchPage(url, options);
+  const parsed = parsePage(page.html, page.finalUrl);
+
+  const robots = withRobots
+    ? await fetchRobotsPolicy(page.finalUrl, { agents: ROBOTS_AGENTS })
+    : null;
+
+  return {
+    mode: "static",
+    requestedUrl: page.requestedUrl,
+    url: page.finalUrl,
+    finalUrl: page.finalUrl,
+    status: page.status,
+    headers: page.headers,
+    redirectChain: page.redirectChain,
+    timing: page.timing,
+    html: page.html,
+    ...parsed,
+    robots
+  };
+}
@@ -2,8 +2,10 @@
 // Reusable endpoint probing for MCP and machine-readable resources
 
 import axios from "axios";
+import YAML from "yaml";
 
 const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_SAMPLE_CHARS = 8000;
 
 function contentTypeOf(headers = {}) {
   return String(headers["content-type"] || "").toLowerCase();
@@ -30,80 +32,77 @@ function isLikelyHtml(data) {
     trimmed.includes("<head");
 }
 
-function parseScalar(value) {
-  const v = String(value || "").trim();
-  if (!v) return "";
-  if (/^(true|false)$/i.test(v)) return v.toLowerCase() === "true";
-  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
-  if ((v.startsWith('"') && v.endsWith('"')) || (v.startsWith("'") && v.endsWith("'"))) {
-    return v.slice(1, -1);
-  }
-  return v;
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
 }
 
-function parseYamlMinimal(text) {
-  if (typeof text !== "string") return null;
-  if (isLikelyHtml(text)) return null;
-
-  const lines = text
-    .split(/\r?\n/)
-    .filter(line => line.trim() && !line.trim().startsWith("#"));
-
-  if (!lines.length) return null;
-
-  const root = {};
-  let currentTop = null;
-
-  for (const line of lines) {
-    const indent = (line.match(/^\s*/)?.[0] || "").length;
-    const trimmed = line.trim();
+// Untyped bodies (text/plain, octet-stream, none) are sniffed for JSON / YAML.
+// Almost any text with a "Key: value" line parses as YAML, so a sniffed body
+// only counts when it is a mapping the caller's `accept` validator passes.
+function isUntypedContentType(contentType = "") {
+  return !contentType ||
+    contentType.includes("text/plain") ||
+    contentType.includes("application/octet-stream") ||
+    contentType.includes("binary/octet-stream");
+}
 
-    if (indent === 0) {
-      const idx = trimmed.indexOf(":");
-      if (idx === -1) continue;
+function sniffFormat(text) {
+  if (typeof text !== "string" || isLikelyHtml(text)) return null;
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (/^[[{]/.test(trimmed)) return "json";
+  // A document marker or a top-level "key:" line
+  if (/^(%YAML|---)/.test(trimmed) || /^["']?[\w$.-]+["']?\s*:(\s|$)/m.test(trimmed)) return "yaml";
+  return null;
+}
 
-      const key = trimmed.slice(0, idx).trim();
-      const rest = trimmed.slice(idx + 1).trim();
-      if (!key) continue;
+// YAML 1.2 (core schema); errors carry 1-based line / col
+function parseYaml(text) {
+  if (typeof text !== "string" || isLikelyHtml(text)) return { data: null, error: null };
 
-      if (!rest) {
-        root[key] = {};
-        currentTop = key;
-      } else {
-        root[key] = parseScalar(rest);
-        currentTop = key;
+  const doc = YAML.parseDocument(text, { uniqueKeys: false });
+  const [err] = doc.errors;
+  if (err) {
+    const pos = err.linePos?.[0];
+    return {
+      data: null,
+      error: {
+        message: err.message.split("\n")[0].replace(/ at line \d+, column \d+:?$/, ""),
+        line: pos?.line ?? null,
+        col: pos?.col ?? null
       }
+    };
+  }
 
-      continue;
-    }
-
-    if (!currentTop) continue;
+  try {
+    // Alias cap keeps "billion laughs" documents from expanding
+    const data = doc.toJS({ maxAliasCount: 100 });
+    return { data: data && typeof data === "object" ? data : null, error: null };
+  } catch (e) {
+    return { data: null, error: { message: e.message, line: null, col: null } };
+  }
+}
 
-    if (trimmed.startsWith("- ")) {
-      if (!Array.isArray(root[currentTop])) root[currentTop] = [];
-      root[currentTop].push(parseScalar(trimmed.slice(2)));
-      continue;
-    }
+function lineColAt(text, offset) {
+  const before = text.slice(0, offset).split(/\r?\n/);
+  return { line: before.length, col: before[before.length - 1].length + 1 };
+}
 
-    const idx = trimmed.indexOf(":");
-    if (idx !== -1) {
-      if (Array.isArray(root[currentTop]) || typeof root[currentTop] !== "object" || root[currentTop] === null) {
-        root[currentTop] = {};
-      }
-      const key = trimmed.slice(0, idx).trim();
-      const rest = trimmed.slice(idx + 1).trim();
-      root[currentTop][key] = parseScalar(rest);
-    }
+function parseJsonText(text) {
+  try {
+    return { data: JSON.parse(text), error: null };
+  } catch (e) {
+    // V8: "... in JSON at position 42" (not every message has one)
+    const m = String(e.message).match(/at position (\d+)/);
+    const pos = m ? lineColAt(text, Number(m[1])) : { line: null, col: null };
+    return { data: null, error: { message: e.message.split("\n")[0], ...pos } };
   }
-
-  return Object.keys(root).length ? root : null;
 }
 
-function textSampleOf(data) {
+function textSampleOf(data, maxChars = DEFAULT_SAMPLE_CHARS) {
   if (typeof data !== "string") return null;
   const trimmed = data.trim();
   if (!trimmed) return null;
-  return trimmed.length > 8000 ? `${trimmed.slice(0, 8000)}...` : trimmed;
+  return trimmed.length > maxChars ? `${trimmed.slice(0, maxChars)}...` : trimmed;
 }
 
 function previewData(data) {
@@ -126,7 +125,9 @@ export async function probeEndpoint(url, options = {}) {
   const {
     expectJson = true,
     timeoutMs = DEFAULT_TIMEOUT_MS,
-    headers = {}
+    sampleChars = DEFAULT_SAMPLE_CHARS,
+    headers = {},
+    accept = null
   } = options;
 
   try {
@@ -151,26 +152,43 @@ export async function probeEndpoint(url, options = {}) {
 
     let parsedData = null;
     let format = null;
+    let parseError = null;
+    let sniffed = false;
+
+    let kind = contentIsJson ? "json" : contentIsYaml ? "yaml" : null;
+    if (!kind && expectJson && statusOk && isUntypedContentType(contentType)) {
+      // axios may already have JSON-parsed an untyped body
+      kind = typeof resp.data === "object" && resp.data !== null ? "json" : sniffFormat(resp.data);
+      sniffed = Boolean(kind);
+    }
 
-    if (contentIsJson) {
+    if (kind === "json") {
       if (typeof resp.data === "object" && resp.data !== null) {
         parsedData = resp.data;
         format = "json";
       } else if (typeof resp.data === "string") {
-        try {
-          parsedData = JSON.parse(resp.data);
-          format = "json";
-        } catch {
-          parsedData = null;
-        }
+        const result = parseJsonText(resp.data);
+        parsedData = result.data;
+        parseError = result.error;
+        if (parsedData !== null) format = "json";
+      }
+    } else if (kind === "yaml") {
+      const result = parseYaml(resp.data);
+      parsedData = result.data;
+      parseError = result.error;
+      if (parsedData !== null) format = "yaml";
+    }
+
+    if (sniffed && parsedData !== null) {
+      const accepted = isPlainObject(parsedData) && typeof accept === "function" && Boolean(accept(parsedData));
+      if (!accepted) {
+        parsedData = null;
+        format = null;
       }
-    } else if (contentIsYaml && typeof resp.data === "string") {
-      parsedData = parseYamlMinimal(resp.data);
-      if (parsedData && typeof parsedData === "object") format = "yaml";
     }
 
     const parsed = parsedData !== null;
-    const typedStructured = (contentIsJson || contentIsYaml) && parsed;
+    const typedStructured = Boolean(kind) && parsed;
     const valid = expectJson ? statusOk && typedStructured : statusOk;
 
     return {
@@ -180,7 +198,9 @@ export async function probeEndpoint(url, options = {}) {
       data: parsedData,
       format,
       contentType,
-      textSample: textSampleOf(resp.data),
+      sniffed,
+      parseError,
+      textSample: textSampleOf(resp.data, sampleChars),
       dataPreview: previewData(expectJson ? (parsedData ?? resp.data) : resp.data)
     };
   } catch (err) {
@@ -191,6 +211,8 @@ export async function probeEndpoint(url, options = {}) {
       data: null,
       format: null,
       contentType: "",
+      sniffed: false,
+      parseError: null,
       textSample: null,
       dataPreview: null,
       error: err.message || "endpoint-probe-failed"
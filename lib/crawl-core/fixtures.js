@@ -0,0 +1,311 @@
+// /lib/crawl-core/fixtures.js
+// Record / replay for every axios call made inside a fixture scope.
+// record: live requests, each request + response saved to an archive
+// replay: responses served from the archive, no network at all
+// Scope is async-context local, so concurrent audits don't mix.
+// Recording writes to disk, so it is off unless FIXTURES_RECORD=1.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import fs from "fs/promises";
+import path from "path";
+import { Readable } from "node:stream";
+import axios, { AxiosError, AxiosHeaders } from "axios";
+
+export const FIXTURE_MODES = ["record", "replay"];
+
+const FIXTURE_VERSION = 1;
+const FIXTURE_DIR = path.join(process.cwd(), "data", "fixtures");
+
+const scope = new AsyncLocalStorage();
+const liveAdapter = axios.getAdapter(axios.defaults.adapter);
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+// "core-web/Example.com" -> "core-web/example.com"; no traversal
+export function fixtureName(...parts) {
+  return parts
+    .flatMap(p => String(p || "").split("/"))
+    .map(p => p.toLowerCase().replace(/[^a-z0-9._-]+/g, "-").replace(/^\.+/, ""))
+    .filter(Boolean)
+    .join("/");
+}
+
+function fixturePath(name) {
+  return path.join(FIXTURE_DIR, `${name}.json`);
+}
+
+// Same URL fetched as different agents (or POSTed different bodies)
+// must replay different responses
+function requestKey(config, url) {
+  const method = String(config.method || "get").toUpperCase();
+  const ua = AxiosHeaders.from(config.headers).get("User-Agent") || "";
+  const body = config.data == null ? "" : String(config.data);
+  const digest = body
+    ? crypto.createHash("sha1").update(body).digest("hex").slice(0, 12)
+    : "-";
+  return `${method} ${url} ua=${ua} body=${digest}`;
+}
+
+function encodeBody(buf) {
+  const text = buf.toString("utf8");
+  return Buffer.from(text, "utf8").equals(buf)
+    ? { body: text, encoding: "utf8" }
+    : { body: buf.toString("base64"), encoding: "base64" };
+}
+
+function decodeBody(entry) {
+  return Buffer.from(entry.body || "", entry.encoding === "base64" ? "base64" : "utf8");
+}
+
+async function toBuffer(data) {
+  if (data == null) return Buffer.alloc(0);
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (typeof data.pipe === "function") {
+    const chunks = [];
+    for await (const chunk of data) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  }
+  return Buffer.from(typeof data === "string" ? data : JSON.stringify(data));
+}
+
+// Shape the stored body the way the live adapter would have
+function asResponseData(buf, responseType) {
+  if (responseType === "stream") return Readable.from([buf]);
+  if (responseType === "arraybuffer") return buf;
+  return buf.toString("utf8");
+}
+
+function settle(response, config) {
+  const validate = config.validateStatus;
+  if (!response.status || !validate || validate(response.status)) return response;
+
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+}
+
+/* ============================================================
+   ADAPTER
+============================================================ */
+
+async function recordRequest(ctx, key, config, url) {
+  let response = null;
+  let error = null;
+
+  try {
+    response = await liveAdapter(config);
+  } catch (err) {
+    error = err;
+    response = err.response || null;
+  }
+
+  if (!response) {
+    ctx.entries.push({
+      key,
+      url,
+      error: { message: error.message, code: error.code || null }
+    });
+    throw error;
+  }
+
+  const buf = await toBuffer(response.data);
+  response.data = asResponseData(buf, config.responseType);
+
+  ctx.entries.push({
+    key,
+    url,
+    finalUrl: response.request?.res?.responseUrl || url,
+    status: response.status,
+    statusText: response.statusText || "",
+    headers: AxiosHeaders.from(response.headers).toJSON(),
+    ...encodeBody(buf)
+  });
+
+  if (error) throw error;
+  return response;
+}
+
+function replayRequest(ctx, key, config, url) {
+  const queue = ctx.index.get(key);
+  if (!queue?.length) {
+    // Callers may swallow this; withFixtures fails the replay afterwards
+    ctx.misses.push(key);
+    throw new AxiosError(`No fixture for ${key}`, "EFIXTUREMISS", config);
+  }
+
+  // Repeated requests replay in recorded order; the last one sticks
+  const entry = queue.length > 1 ? queue.shift() : queue[0];
+
+  if (entry.error) {
+    throw new AxiosError(entry.error.message, entry.error.code || undefined, config);
+  }
+
+  const request = { res: { responseUrl: entry.finalUrl || url } };
+  return settle(
+    {
+      data: asResponseData(decodeBody(entry), config.responseType),
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: AxiosHeaders.from(entry.headers),
+      config,
+      request
+    },
+    config
+  );
+}
+
+async function fixtureAdapter(config) {
+  const ctx = scope.getStore();
+  if (!ctx) return liveAdapter(config);
+
+  const url = axios.getUri(config);
+  const key = requestKey(config, url);
+
+  return ctx.mode === "replay"
+    ? replayRequest(ctx, key, config, url)
+    : recordRequest(ctx, key, config, url);
+}
+
+axios.defaults.adapter = fixtureAdapter;
+
+/* ============================================================
+   ARCHIVES
+============================================================ */
+
+export async function loadFixture(name) {
+  let raw;
+  try {
+    raw = await fs.readFile(fixturePath(name), "utf8");
+  } catch {
+    throw new Error(`No fixture archive "${name}"`);
+  }
+
+  const archive = JSON.parse(raw);
+  if (archive.version !== FIXTURE_VERSION) {
+    throw new Error(`Fixture "${name}" is version ${archive.version}, expected ${FIXTURE_VERSION}`);
+  }
+  return archive;
+}
+
+async function saveFixture(name, entries) {
+  const file = fixturePath(name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(
+    file,
+    JSON.stringify(
+      { version: FIXTURE_VERSION, name, recordedAt: new Date().toISOString(), entries },
+      null,
+      2
+    )
+  );
+}
+
+/* ============================================================
+   SCOPE
+============================================================ */
+
+// Runs fn with every axios request recorded to / replayed from the
+// archive `name`. No mode = live, unchanged behaviour.
+export async function withFixtures({ mode, name }, fn) {
+  if (!mode) return fn();
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown fixture mode "${mode}" (expected ${FIXTURE_MODES.join(" | ")})`);
+  }
+
+  if (mode === "record" && process.env.FIXTURES_RECORD !== "1") {
+    throw new Error("Fixture recording is disabled on this server (set FIXTURES_RECORD=1)");
+  }
+
+  const safeName = fixtureName(name);
+  if (!safeName) throw new Error("Fixture name is required");
+
+  const ctx = { mode, name: safeName, entries: [], index: new Map(), misses: [] };
+
+  if (mode === "replay") {
+    const archive = await loadFixture(safeName);
+    for (const entry of archive.entries || []) {
+      if (!ctx.index.has(entry.key)) ctx.index.set(entry.key, []);
+      ctx.index.get(entry.key).push(entry);
+    }
+  }
+
+  let result;
+  try {
+    result = await scope.run(ctx, fn);
+  } finally {
+    if (mode === "record") await saveFixture(safeName, ctx.entries);
+  }
+
+  // An incomplete archive must not pass for a site that failed to load
+  if (ctx.misses.length) {
+    throw new Error(
+      `Fixture "${safeName}" has no recorded response for ${ctx.misses.length} request(s), e.g. ${ctx.misses[0]}`
+    );
+  }
+  return result;
+}
+
+// Stand-in `res` that holds what a handler writes, so it can be sent
+// once the fixture scope has closed (archive saved, replay complete)
+export function bufferedResponse() {
+  const headers = {};
+  let statusCode = 200;
+  let body = null;
+
+  const res = {
+    setHeader(name, value) {
+      headers[name] = value;
+      return res;
+    },
+    status(code) {
+      statusCode = code;
+      return res;
+    },
+    json(data) {
+      body = { json: data };
+      return res;
+    },
+    send(data) {
+      body = { send: data };
+      return res;
+    },
+    end(data) {
+      body = { end: data };
+      return res;
+    }
+  };
+
+  return {
+    res,
+    // override: { status, json } sent instead of the buffered body
+    flush(target, override = null) {
+      for (const [name, value] of Object.entries(headers)) target.setHeader(name, value);
+      if (override) return target.status(override.status).json(override.json);
+      if (body && "json" in body) return target.status(statusCode).json(body.json);
+      if (body && "send" in body) return target.status(statusCode).send(body.send);
+      return target.status(statusCode).end(body?.end);
+    }
+  };
+}
+
+// ?fixtures=record|replay&fixture=<name>; the name defaults to `parts`
+export function fixtureOptions(query = {}, ...parts) {
+  return {
+    mode: query.fixtures || null,
+    name: query.fixture || fixtureName(...parts)
+  };
+}
+
+// { mode, name } of the enclosing scope, or null when live
+export function currentFixture() {
+  const ctx = scope.getStore();
+  return ctx ? { mode: ctx.mode, name: ctx.name } : null;
+}
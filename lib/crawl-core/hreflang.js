@@ -0,0 +1,247 @@
+// /lib/crawl-core/hreflang.js
+// Locale signals (hreflang alternates, html[lang], Content-Language)
+// and the multi-locale audit: reciprocity, per-locale canonical
+// self-reference and Organization consistency across locales.
+
+import { fetchPage, parsePage } from "./crawl-engine.js";
+import { parseLinkHeader } from "./transport.js";
+import { schemaIndex } from "../../shared/schema-graph.js";
+
+const MAX_LOCALES = 12;
+
+// language[-Script][-REGION] or x-default
+const HREFLANG_RE = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function absolute(href, base) {
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return null;
+  }
+}
+
+// Comparison key: no fragment, no trailing slash, case-insensitive host
+function urlKey(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+  } catch {
+    return String(url || "");
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+function primaryLang(code) {
+  return String(code || "").toLowerCase().split("-")[0] || null;
+}
+
+function orgOf(schemaObjects) {
+  const org = schemaIndex(schemaObjects).first("Organization");
+  if (!org) return null;
+  return {
+    name: typeof org.name === "string" ? org.name.trim() : null,
+    url: typeof org.url === "string" ? org.url : null,
+    sameAs: [].concat(org.sameAs || []).filter(s => typeof s === "string")
+  };
+}
+
+function overlap(a = [], b = []) {
+  const A = new Set(a.map(urlKey));
+  const B = new Set(b.map(urlKey));
+  if (!A.size && !B.size) return 1;
+  const shared = [...A].filter(x => B.has(x)).length;
+  return shared / new Set([...A, ...B]).size;
+}
+
+function ratio(values) {
+  const known = values.filter(v => typeof v === "boolean");
+  return known.length ? known.filter(Boolean).length / known.length : null;
+}
+
+/* ============================================================
+   PARSE (per page)
+============================================================ */
+
+export function parseHreflang($, baseUrl, headers = {}) {
+  const alternates = [];
+  const seen = new Set();
+
+  const push = (hreflang, href) => {
+    const url = absolute(href, baseUrl);
+    if (!hreflang || !url) return;
+    const key = `${hreflang.toLowerCase()} ${urlKey(url)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    alternates.push({ hreflang, href: url, valid: HREFLANG_RE.test(hreflang) });
+  };
+
+  $('link[rel="alternate"][hreflang]').each((_, el) => {
+    push(($(el).attr("hreflang") || "").trim(), $(el).attr("href"));
+  });
+
+  // Link: <https://example.com/de/>; rel="alternate"; hreflang="de"
+  for (const link of parseLinkHeader(headers.link || "")) {
+    if (/(^|\s)alternate(\s|$)/i.test(link.rel || "") && link.hreflang) {
+      push(link.hreflang, link.href);
+    }
+  }
+
+  return {
+    htmlLang: ($("html").attr("lang") || "").trim() || null,
+    alternates
+  };
+}
+
+/* ============================================================
+   LOCALE AUDIT
+   fetchAlternates = false: declared signals only (no extra requests)
+============================================================ */
+
+export async function auditLocales(crawl = {}, options = {}) {
+  const { transport = null, fetchAlternates = false, maxLocales = MAX_LOCALES } = options;
+
+  const pageUrl = crawl.finalUrl || crawl.url;
+  const locale = crawl.$
+    ? parseHreflang(crawl.$, pageUrl, crawl.headers)
+    : { htmlLang: null, alternates: [] };
+  const contentLanguage = transport?.headers?.contentLanguage ||
+    String(crawl.headers?.["content-language"] || "").split(",").map(s => s.trim()).filter(Boolean);
+
+  const alternates = locale.alternates || [];
+  const self = alternates.find(a => urlKey(a.href) === urlKey(pageUrl)) || null;
+  const xDefault = alternates.find(a => a.hreflang.toLowerCase() === "x-default") || null;
+
+  const issues = [];
+  const invalid = alternates.filter(a => !a.valid).map(a => a.hreflang);
+  if (invalid.length) issues.push(`Invalid hreflang code(s): ${invalid.join(", ")}`);
+  if (alternates.length && !self) issues.push("hreflang set does not include this page");
+  if (alternates.length && !xDefault) issues.push("No x-default alternate");
+  if (
+    self && locale.htmlLang && self.hreflang.toLowerCase() !== "x-default" &&
+    primaryLang(self.hreflang) !== primaryLang(locale.htmlLang)
+  ) {
+    issues.push(`html[lang]="${locale.htmlLang}" but hreflang says "${self.hreflang}"`);
+  }
+  if (
+    locale.htmlLang && contentLanguage.length &&
+    !contentLanguage.some(l => primaryLang(l) === primaryLang(locale.htmlLang))
+  ) {
+    issues.push(`Content-Language "${contentLanguage.join(", ")}" disagrees with html[lang]="${locale.htmlLang}"`);
+  }
+
+  const result = {
+    htmlLang: locale.htmlLang,
+    contentLanguage,
+    declared: alternates.length,
+    selfReferenced: !!self,
+    xDefault: xDefault?.href || null,
+    alternates,
+    matrix: null,
+    consistency: null,
+    issues
+  };
+
+  if (!fetchAlternates || !alternates.length) return result;
+
+  /* ---- Fetch each alternate (sequential, capped) ---- */
+  const homeOrg = orgOf(crawl.schemaObjects || []);
+  const candidates = alternates
+    .filter(a => a.valid && urlKey(a.href) !== urlKey(pageUrl))
+    .filter((a, i, list) => list.findIndex(b => urlKey(b.href) === urlKey(a.href)) === i);
+  const targets = candidates.slice(0, maxLocales);
+
+  const matrix = [];
+  for (const alt of targets) {
+    const row = { hreflang: alt.hreflang, url: alt.href };
+
+    try {
+      const page = await fetchPage(alt.href);
+      const parsed = parsePage(page.html, page.finalUrl);
+      const theirs = parseHreflang(parsed.$, page.finalUrl, page.headers);
+      const canonical = parsed.canonicalHref ? absolute(parsed.canonicalHref, page.finalUrl) : null;
+      const org = orgOf(parsed.schemaObjects);
+
+      Object.assign(row, {
+        status: page.status,
+        finalUrl: page.finalUrl,
+        redirected: urlKey(page.finalUrl) !== urlKey(alt.href),
+        htmlLang: theirs.htmlLang,
+        langMatches:
+          alt.hreflang.toLowerCase() === "x-default" || !theirs.htmlLang
+            ? null
+            : primaryLang(theirs.htmlLang) === primaryLang(alt.hreflang),
+        reciprocal: theirs.alternates.some(a => urlKey(a.href) === urlKey(pageUrl)),
+        canonical,
+        canonicalSelf: canonical ? urlKey(canonical) === urlKey(page.finalUrl) : false,
+        org,
+        orgNameMatches: homeOrg?.name && org?.name
+          ? homeOrg.name.toLowerCase() === org.name.toLowerCase()
+          : null,
+        orgUrlMatches: homeOrg?.url && org?.url
+          ? hostOf(absolute(homeOrg.url, pageUrl)) === hostOf(absolute(org.url, page.finalUrl))
+          : null,
+        sameAsOverlap: homeOrg && org ? Number(overlap(homeOrg.sameAs, org.sameAs).toFixed(2)) : null,
+        error: null
+      });
+    } catch (err) {
+      Object.assign(row, { status: err.response?.status || 0, error: err.message || "fetch-failed" });
+    }
+
+    matrix.push(row);
+  }
+
+  const ok = matrix.filter(r => !r.error);
+  const checks = {
+    reachable: matrix.length ? ok.length / matrix.length : null,
+    reciprocity: ratio(ok.map(r => r.reciprocal)),
+    canonicalSelf: ratio(ok.map(r => r.canonicalSelf)),
+    langMatch: ratio(ok.map(r => r.langMatches)),
+    orgName: ratio(ok.map(r => r.orgNameMatches)),
+    orgUrl: ratio(ok.map(r => r.orgUrlMatches)),
+    orgSameAs: ok.some(r => r.sameAsOverlap != null)
+      ? ok.filter(r => r.sameAsOverlap != null).reduce((s, r) => s + r.sameAsOverlap, 0) /
+        ok.filter(r => r.sameAsOverlap != null).length
+      : null,
+    orgPresent: homeOrg ? ratio(ok.map(r => !!r.org)) : null
+  };
+
+  const applicable = Object.values(checks).filter(v => v != null);
+  const score = applicable.length
+    ? Math.round((applicable.reduce((a, b) => a + b, 0) / applicable.length) * 100)
+    : null;
+
+  for (const r of matrix) {
+    if (r.error) issues.push(`${r.hreflang}: ${r.error}`);
+    else {
+      if (!r.reciprocal) issues.push(`${r.hreflang}: no return hreflang link`);
+      if (r.langMatches === false) issues.push(`${r.hreflang}: page declares html[lang]="${r.htmlLang}"`);
+      if (!r.canonicalSelf) issues.push(`${r.hreflang}: canonical ${r.canonical ? `points to ${r.canonical}` : "missing"}`);
+      if (r.orgNameMatches === false) issues.push(`${r.hreflang}: Organization name "${r.org.name}" differs`);
+    }
+  }
+  if (candidates.length > targets.length) {
+    issues.push(`Checked ${targets.length} of ${candidates.length} alternates`);
+  }
+
+  return {
+    ...result,
+    matrix,
+    consistency: {
+      score,
+      checks: Object.fromEntries(
+        Object.entries(checks).map(([k, v]) => [k, v == null ? null : Number(v.toFixed(2))])
+      )
+    }
+  };
+}
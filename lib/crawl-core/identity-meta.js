@@ -0,0 +1,441 @@
+// /lib/crawl-core/identity-meta.js
+// Identity meta: Open Graph, Twitter Card, icons, web app manifest and
+// theme-color, checked for presence, validity (og:image dimensions are
+// sniffed from the image bytes) and agreement with title, canonical and
+// the Organization schema name.
+
+import axios from "axios";
+import * as cheerio from "cheerio";
+import { CRAWL_CONFIG } from "./crawl-engine.js";
+import { schemaIndex } from "../../shared/schema-graph.js";
+
+const ASSET_TIMEOUT_MS = 8000;
+// Enough for every header format below, incl. JPEGs with big EXIF blocks
+const IMAGE_SNIFF_BYTES = 128 * 1024;
+const MANIFEST_MAX_BYTES = 256 * 1024;
+
+// Open Graph / X card guidance
+const OG_IMAGE_MIN = { width: 200, height: 200 };
+const OG_IMAGE_RECOMMENDED = { width: 1200, height: 630 };
+
+const OG_TYPES = [
+  "website", "article", "profile", "book", "product", "place", "business.business",
+  "music.song", "music.album", "music.playlist", "music.radio_station",
+  "video.movie", "video.episode", "video.tv_show", "video.other"
+];
+const TWITTER_CARDS = ["summary", "summary_large_image", "app", "player"];
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function absolute(href, base) {
+  if (!href) return null;
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return null;
+  }
+}
+
+function sameUrl(a, b) {
+  try {
+    const x = new URL(a);
+    const y = new URL(b);
+    return x.host.toLowerCase() === y.host.toLowerCase() &&
+      x.pathname.replace(/\/+$/, "") === y.pathname.replace(/\/+$/, "") &&
+      x.search === y.search;
+  } catch {
+    return false;
+  }
+}
+
+function norm(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// "Acme pricing" ~ "Pricing | Acme" ~ "Acme": every word of the shorter
+// name appears in the longer one
+function sameName(a, b) {
+  const x = norm(a).split(" ").filter(Boolean);
+  const y = norm(b).split(" ").filter(Boolean);
+  if (!x.length || !y.length) return false;
+  const [short, long] = x.length <= y.length ? [x, new Set(y)] : [y, new Set(x)];
+  return short.every(w => long.has(w));
+}
+
+function handleOf(value) {
+  const m = String(value || "").trim().match(/^@?([A-Za-z0-9_]{1,15})$/);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function xHandles(sameAs = []) {
+  return [].concat(sameAs)
+    .map(u => String(u).match(/^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/([A-Za-z0-9_]{1,15})\/?$/i))
+    .filter(Boolean)
+    .map(m => m[1].toLowerCase());
+}
+
+function colorKey(value) {
+  const v = String(value || "").trim().toLowerCase();
+  const short = v.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  return short ? `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}` : v;
+}
+
+/* ============================================================
+   IMAGE DIMENSIONS (header sniffing: PNG, GIF, JPEG, WebP, ICO, SVG)
+============================================================ */
+
+export function imageDimensions(buf) {
+  if (!buf || buf.length < 12) return null;
+
+  // PNG: IHDR is always the first chunk
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.length >= 24) {
+    return { format: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+
+  if (buf.toString("ascii", 0, 3) === "GIF") {
+    return { format: "gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+
+  if (buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP" && buf.length >= 30) {
+    const chunk = buf.toString("ascii", 12, 16);
+    if (chunk === "VP8X") {
+      return { format: "webp", width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+    }
+    if (chunk === "VP8L") {
+      const bits = buf.readUInt32LE(21);
+      return { format: "webp", width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+    }
+    if (chunk === "VP8 ") {
+      return { format: "webp", width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    }
+    return null;
+  }
+
+  // JPEG: walk segments to the first start-of-frame
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) {
+        i++;
+        continue;
+      }
+      const marker = buf[i + 1];
+      if (marker === 0xff) {
+        i++;
+        continue;
+      }
+      const length = buf.readUInt16BE(i + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { format: "jpeg", width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+      }
+      i += 2 + length;
+    }
+    return null;
+  }
+
+  // ICO: first directory entry, 0 means 256
+  if (buf.readUInt32LE(0) === 0x00010000 && buf.length >= 8) {
+    return { format: "ico", width: buf[6] || 256, height: buf[7] || 256 };
+  }
+
+  const head = buf.toString("utf8", 0, Math.min(buf.length, 4096));
+  if (/<svg[\s>]/i.test(head)) {
+    const tag = head.match(/<svg[^>]*>/i)?.[0] || "";
+    const attr = name => Number((tag.match(new RegExp(`\\s${name}=["']?([\\d.]+)(px)?["'\\s>]`, "i")) || [])[1]) || null;
+    const viewBox = (tag.match(/viewBox=["']([^"']+)["']/i)?.[1] || "").split(/[\s,]+/).map(Number);
+    return {
+      format: "svg",
+      width: attr("width") || viewBox[2] || null,
+      height: attr("height") || viewBox[3] || null
+    };
+  }
+
+  return null;
+}
+
+function readPrefix(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const done = () => resolve(Buffer.concat(chunks));
+    stream.on("data", chunk => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= limit) {
+        stream.destroy();
+        done();
+      }
+    });
+    stream.on("end", done);
+    stream.on("error", reject);
+  });
+}
+
+export async function probeImage(url) {
+  try {
+    const resp = await axios.get(url, {
+      responseType: "stream",
+      timeout: ASSET_TIMEOUT_MS,
+      maxRedirects: CRAWL_CONFIG.MAX_REDIRECTS,
+      headers: { "User-Agent": CRAWL_CONFIG.STATIC_UA, Accept: "image/*,*/*;q=0.8" },
+      validateStatus: () => true
+    });
+
+    const contentType = String(resp.headers["content-type"] || "").split(";")[0].trim() || null;
+    if (resp.status >= 400) {
+      resp.data.destroy();
+      return { url, status: resp.status, contentType, ok: false, error: `HTTP ${resp.status}` };
+    }
+
+    const dims = imageDimensions(await readPrefix(resp.data, IMAGE_SNIFF_BYTES));
+    return {
+      url,
+      status: resp.status,
+      contentType,
+      ok: !!dims?.width,
+      format: dims?.format || null,
+      width: dims?.width || null,
+      height: dims?.height || null,
+      error: dims ? null : "Unrecognised image format"
+    };
+  } catch (err) {
+    return { url, status: 0, ok: false, error: err.message || "fetch-failed" };
+  }
+}
+
+export async function fetchManifest(url) {
+  try {
+    const resp = await axios.get(url, {
+      responseType: "text",
+      timeout: ASSET_TIMEOUT_MS,
+      maxRedirects: CRAWL_CONFIG.MAX_REDIRECTS,
+      maxContentLength: MANIFEST_MAX_BYTES,
+      headers: { "User-Agent": CRAWL_CONFIG.STATIC_UA, Accept: "application/manifest+json,application/json" },
+      validateStatus: () => true
+    });
+    if (resp.status >= 400) return { url, status: resp.status, ok: false, error: `HTTP ${resp.status}` };
+
+    const json = JSON.parse(resp.data);
+    const icons = Array.isArray(json.icons) ? json.icons : [];
+    const sizes = icons.flatMap(i => String(i.sizes || "").toLowerCase().split(/\s+/)).filter(Boolean);
+
+    return {
+      url,
+      status: resp.status,
+      ok: true,
+      name: json.name || null,
+      shortName: json.short_name || null,
+      startUrl: json.start_url || null,
+      display: json.display || null,
+      themeColor: json.theme_color || null,
+      icons: icons.length,
+      // Install criteria: 192px and 512px icons
+      installableIcons: sizes.includes("192x192") && sizes.includes("512x512"),
+      error: null
+    };
+  } catch (err) {
+    return { url, status: 0, ok: false, error: err instanceof SyntaxError ? "Invalid JSON" : err.message };
+  }
+}
+
+/* ============================================================
+   PARSE (DOM only, no requests)
+============================================================ */
+
+export function parseIdentityMeta($, baseUrl) {
+  // og:* is property=, twitter:* is name= — many sites mix them up
+  const meta = key =>
+    ($(`meta[property="${key}"]`).attr("content") ||
+      $(`meta[name="${key}"]`).attr("content") ||
+      "").trim();
+
+  const favicon = $('link[rel="icon"], link[rel="shortcut icon"]').first().attr("href");
+
+  return {
+    title: ($("title").first().text() || "").trim(),
+    canonical: absolute($('link[rel="canonical"]').attr("href"), baseUrl),
+    og: {
+      title: meta("og:title"),
+      type: meta("og:type"),
+      url: absolute(meta("og:url"), baseUrl),
+      siteName: meta("og:site_name"),
+      image: absolute(meta("og:image") || meta("og:image:url") || meta("og:image:secure_url"), baseUrl),
+      imageWidth: Number(meta("og:image:width")) || null,
+      imageHeight: Number(meta("og:image:height")) || null,
+      imageAlt: meta("og:image:alt")
+    },
+    twitter: {
+      card: meta("twitter:card"),
+      site: meta("twitter:site"),
+      creator: meta("twitter:creator"),
+      title: meta("twitter:title"),
+      image: absolute(meta("twitter:image") || meta("twitter:image:src"), baseUrl)
+    },
+    favicon: absolute(favicon, baseUrl),
+    appleTouchIcon: absolute(
+      $('link[rel="apple-touch-icon"], link[rel="apple-touch-icon-precomposed"]').first().attr("href"),
+      baseUrl
+    ),
+    manifest: absolute($('link[rel="manifest"]').attr("href"), baseUrl),
+    themeColor: ($('meta[name="theme-color"]').first().attr("content") || "").trim()
+  };
+}
+
+/* ============================================================
+   AUDIT
+   Per-field table: { field, value, expected, present, valid, agrees, note }
+   agrees: true / false, or null when there is nothing to compare against
+============================================================ */
+
+export async function auditIdentityMeta(crawl = {}, options = {}) {
+  const { fetchAssets = true } = options;
+  const baseUrl = crawl.finalUrl || crawl.url;
+  const m = parseIdentityMeta(crawl.$ || cheerio.load(crawl.html || ""), baseUrl);
+
+  const org = schemaIndex(crawl.schemaObjects || []).first("Organization");
+  const orgName = typeof org?.name === "string" ? org.name.trim() : "";
+  const orgHandles = xHandles(org?.sameAs);
+  const canonical = m.canonical || baseUrl;
+
+  const image = fetchAssets && m.og.image ? await probeImage(m.og.image) : null;
+  const manifest = fetchAssets && m.manifest ? await fetchManifest(m.manifest) : null;
+
+  const fields = [];
+  const row = (field, value, { expected = true, valid = null, agrees = null, note = null } = {}) => {
+    const present = !!value;
+    fields.push({
+      field,
+      value: value || null,
+      expected,
+      present,
+      valid: present ? valid : null,
+      agrees: present ? agrees : null,
+      note: present ? note : expected ? "Missing" : null
+    });
+  };
+
+  row("og:title", m.og.title, {
+    valid: m.og.title.length <= 95,
+    agrees: m.title ? sameName(m.og.title, m.title) : null,
+    note: m.title && !sameName(m.og.title, m.title) ? `<title> is "${m.title}"` : null
+  });
+
+  row("og:type", m.og.type, {
+    valid: OG_TYPES.includes(m.og.type.toLowerCase()) || m.og.type.includes(":"),
+    note: OG_TYPES.includes(m.og.type.toLowerCase()) || m.og.type.includes(":") ? null : "Unknown og:type"
+  });
+
+  row("og:url", m.og.url, {
+    valid: !!m.og.url,
+    agrees: sameUrl(m.og.url, canonical),
+    note: sameUrl(m.og.url, canonical) ? null : `Canonical is ${canonical}`
+  });
+
+  row("og:site_name", m.og.siteName, {
+    agrees: orgName ? sameName(m.og.siteName, orgName) : null,
+    note: orgName && !sameName(m.og.siteName, orgName) ? `Organization name is "${orgName}"` : null
+  });
+
+  {
+    const width = image?.width || m.og.imageWidth;
+    const height = image?.height || m.og.imageHeight;
+    const bigEnough = width >= OG_IMAGE_MIN.width && height >= OG_IMAGE_MIN.height;
+    const declaredMismatch = image?.ok && m.og.imageWidth &&
+      (m.og.imageWidth !== image.width || m.og.imageHeight !== image.height);
+
+    let note = null;
+    if (image && !image.ok) note = image.error;
+    else if (width && !bigEnough) note = `${width}×${height} is below ${OG_IMAGE_MIN.width}×${OG_IMAGE_MIN.height}`;
+    else if (width && (width < OG_IMAGE_RECOMMENDED.width || height < OG_IMAGE_RECOMMENDED.height)) {
+      note = `${width}×${height}; ${OG_IMAGE_RECOMMENDED.width}×${OG_IMAGE_RECOMMENDED.height} recommended`;
+    } else if (width) note = `${width}×${height}`;
+
+    row("og:image", m.og.image, {
+      valid: image ? image.ok && bigEnough : width ? bigEnough : null,
+      agrees: declaredMismatch ? false : image?.ok && m.og.imageWidth ? true : null,
+      note: declaredMismatch
+        ? `Declared ${m.og.imageWidth}×${m.og.imageHeight}, actual ${image.width}×${image.height}`
+        : note
+    });
+  }
+
+  {
+    const card = m.twitter.card.toLowerCase();
+    row("twitter:card", m.twitter.card, {
+      valid: TWITTER_CARDS.includes(card),
+      note: !TWITTER_CARDS.includes(card) ? "Unknown card type"
+        : card === "summary_large_image" && !(m.twitter.image || m.og.image) ? "Large card without an image"
+        : null
+    });
+  }
+
+  row("twitter:site", m.twitter.site, {
+    valid: !!handleOf(m.twitter.site),
+    agrees: orgHandles.length ? orgHandles.includes(handleOf(m.twitter.site)) : null,
+    note: orgHandles.length && !orgHandles.includes(handleOf(m.twitter.site))
+      ? `Organization sameAs lists @${orgHandles[0]}`
+      : null
+  });
+
+  row("twitter:creator", m.twitter.creator, { expected: false, valid: !!handleOf(m.twitter.creator) });
+
+  row("favicon", m.favicon);
+
+  row("apple-touch-icon", m.appleTouchIcon);
+
+  {
+    const name = manifest?.name || manifest?.shortName;
+    let note = manifest && !manifest.ok ? manifest.error : null;
+    if (manifest?.ok && !manifest.installableIcons) note = "No 192px + 512px icons";
+    if (manifest?.ok && name && orgName && !sameName(name, orgName)) note = `Manifest name "${name}" ≠ "${orgName}"`;
+
+    row("manifest", m.manifest, {
+      valid: manifest ? manifest.ok : null,
+      agrees: manifest?.ok && name && orgName ? sameName(name, orgName) : null,
+      note
+    });
+  }
+
+  row("theme-color", m.themeColor, {
+    valid: /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\(|[a-z]+$)/i.test(m.themeColor),
+    agrees: manifest?.themeColor ? colorKey(manifest.themeColor) === colorKey(m.themeColor) : null,
+    note: manifest?.themeColor && colorKey(manifest.themeColor) !== colorKey(m.themeColor)
+      ? `Manifest theme_color is ${manifest.themeColor}`
+      : null
+  });
+
+  /* ---- Summary ---- */
+  const expected = fields.filter(f => f.expected);
+  const compared = fields.filter(f => f.agrees !== null);
+  const disagreements = compared.filter(f => f.agrees === false).map(f => f.field);
+  const invalid = fields.filter(f => f.valid === false).map(f => f.field);
+
+  const summary = {
+    expected: expected.length,
+    present: expected.filter(f => f.present).length,
+    completeness: Number((expected.filter(f => f.present).length / expected.length).toFixed(2)),
+    compared: compared.length,
+    agreement: compared.length
+      ? Number((compared.filter(f => f.agrees).length / compared.length).toFixed(2))
+      : null,
+    disagreements,
+    invalid,
+    missing: expected.filter(f => !f.present).map(f => f.field),
+    ogImageOk: fields.find(f => f.field === "og:image").valid === true
+  };
+
+  return {
+    url: baseUrl,
+    references: { title: m.title || null, canonical, organizationName: orgName || null },
+    fields,
+    image,
+    manifest,
+    summary
+  };
+}
@@ -0,0 +1,247 @@
+// /lib/crawl-core/llms-txt.js
+// llms.txt / llms-full.txt detection, markdown structure parsing and link validation
+
+import { probeEndpoint } from "./endpoint-probe.js";
+
+const LLMS_PATHS = {
+  llmsTxt: "/llms.txt",
+  llmsFullTxt: "/llms-full.txt"
+};
+
+const LLMS_SAMPLE_CHARS = 200000;
+const MAX_LINK_CHECKS = 10;
+const LINK_CHECK_TIMEOUT_MS = 5000;
+// Links are checked in parallel; any still pending at the deadline are left unchecked
+const LINK_CHECK_DEADLINE_MS = 6000;
+
+/* ============================================================
+   PARSER (llmstxt.org format)
+   # Title
+   > Summary
+   free text...
+   ## Section
+   - [name](url): notes
+============================================================ */
+
+const LINK_ITEM_RE = /^[-*+]\s+\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)\s*(?::\s*(.*))?$/;
+
+export function parseLlmsTxt(text = "") {
+  const lines = String(text || "").split(/\r?\n/);
+
+  let title = null;
+  const summaryLines = [];
+  const details = [];
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+
+    if (line.startsWith("```")) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || !line) continue;
+
+    if (/^#\s+/.test(line)) {
+      if (title === null) title = line.replace(/^#\s+/, "").trim();
+      continue;
+    }
+
+    if (/^##\s+/.test(line)) {
+      const name = line.replace(/^##\s+/, "").trim();
+      current = { title: name, optional: /^optional$/i.test(name), links: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current) {
+      if (line.startsWith(">")) summaryLines.push(line.replace(/^>\s?/, ""));
+      else if (!/^#{3,}\s+/.test(line)) details.push(line);
+      continue;
+    }
+
+    const match = line.match(LINK_ITEM_RE);
+    if (match) {
+      current.links.push({
+        name: match[1].trim(),
+        url: match[2].trim(),
+        notes: (match[3] || "").trim()
+      });
+    }
+  }
+
+  const issues = [];
+  if (!title) issues.push("Missing H1 title");
+  if (!summaryLines.length) issues.push("Missing blockquote summary");
+  if (!sections.length) issues.push("No H2 sections");
+  for (const section of sections) {
+    if (!section.links.length) issues.push(`Section "${section.title}" has no link list`);
+  }
+
+  return {
+    title,
+    summary: summaryLines.join(" ").trim() || null,
+    details: details.length ? details.join("\n") : null,
+    sections,
+    issues
+  };
+}
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function looksLikeMarkdown(probe) {
+  const contentType = probe?.contentType || "";
+  const text = probe?.textSample || "";
+  if (!text) return false;
+  if (contentType.includes("text/html")) return false;
+  if (/^\s*</.test(text)) return false;
+  return true;
+}
+
+function resolveLink(raw, origin) {
+  try {
+    const u = new URL(raw, origin);
+    if (!/^https?:$/.test(u.protocol)) return null;
+    return u;
+  } catch {
+    return null;
+  }
+}
+
+async function validateLinks(sections, origin) {
+  const entries = [];
+  const broken = [];
+  const rootOrigin = new URL(origin).origin;
+
+  for (const section of sections) {
+    for (const link of section.links) {
+      const resolved = resolveLink(link.url, origin);
+      if (!resolved) {
+        broken.push({ section: section.title, name: link.name, url: link.url, reason: "invalid-url" });
+        continue;
+      }
+      entries.push({
+        section: section.title,
+        name: link.name,
+        url: resolved.toString(),
+        sameOrigin: resolved.origin === rootOrigin
+      });
+    }
+  }
+
+  // Reachability is only checked for same-origin links, and capped
+  const toCheck = entries.filter(e => e.sameOrigin).slice(0, MAX_LINK_CHECKS);
+  let reachable = 0;
+  let unchecked = 0;
+
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), LINK_CHECK_DEADLINE_MS);
+  });
+  const probes = await Promise.all(
+    toCheck.map(entry =>
+      Promise.race([
+        probeEndpoint(entry.url, {
+          expectJson: false,
+          timeoutMs: LINK_CHECK_TIMEOUT_MS,
+          sampleChars: 200
+        }),
+        deadline
+      ])
+    )
+  );
+  clearTimeout(timer);
+
+  for (const [i, entry] of toCheck.entries()) {
+    const probe = probes[i];
+    if (!probe) {
+      unchecked += 1;
+    } else if (probe.detected) {
+      reachable += 1;
+    } else {
+      broken.push({
+        section: entry.section,
+        name: entry.name,
+        url: entry.url,
+        reason: probe.status ? `status ${probe.status}` : probe.error || "unreachable"
+      });
+    }
+  }
+
+  const total = entries.length + broken.filter(b => b.reason === "invalid-url").length;
+
+  return {
+    coverage: {
+      sections: sections.length,
+      sectionsWithLinks: sections.filter(s => s.links.length > 0).length,
+      links: total,
+      sameOrigin: entries.filter(e => e.sameOrigin).length,
+      external: entries.filter(e => !e.sameOrigin).length,
+      checked: toCheck.length - unchecked,
+      unchecked,
+      reachable,
+      ratio: toCheck.length > unchecked ? Number((reachable / (toCheck.length - unchecked)).toFixed(2)) : 0
+    },
+    broken
+  };
+}
+
+/* ============================================================
+   PUBLIC API
+============================================================ */
+
+export async function auditLlmsTxt(origin) {
+  const llmsUrl = new URL(LLMS_PATHS.llmsTxt, origin).toString();
+  const fullUrl = new URL(LLMS_PATHS.llmsFullTxt, origin).toString();
+
+  const [llmsProbe, fullProbe] = await Promise.all([
+    probeEndpoint(llmsUrl, { expectJson: false, sampleChars: LLMS_SAMPLE_CHARS }),
+    probeEndpoint(fullUrl, { expectJson: false, sampleChars: LLMS_SAMPLE_CHARS })
+  ]);
+
+  const llmsDetected = llmsProbe.detected && looksLikeMarkdown(llmsProbe);
+  const fullDetected = fullProbe.detected && looksLikeMarkdown(fullProbe);
+
+  const parsed = llmsDetected ? parseLlmsTxt(llmsProbe.textSample) : null;
+  const fullParsed = fullDetected ? parseLlmsTxt(fullProbe.textSample) : null;
+
+  const { coverage, broken } = parsed
+    ? await validateLinks(parsed.sections, origin)
+    : { coverage: null, broken: [] };
+
+  const structured = Boolean(
+    parsed?.title && coverage && coverage.sectionsWithLinks > 0
+  );
+
+  return {
+    detected: llmsDetected,
+    valid: structured && broken.length === 0,
+    structured,
+    llmsTxt: {
+      url: llmsUrl,
+      status: llmsProbe.status,
+      detected: llmsDetected,
+      title: parsed?.title || null,
+      summary: parsed?.summary || null,
+      sections: (parsed?.sections || []).map(s => ({
+        title: s.title,
+        optional: s.optional,
+        linkCount: s.links.length
+      })),
+      issues: parsed?.issues || []
+    },
+    llmsFullTxt: {
+      url: fullUrl,
+      status: fullProbe.status,
+      detected: fullDetected,
+      title: fullParsed?.title || null,
+      sectionCount: fullParsed?.sections.length || 0
+    },
+    coverage,
+    broken
+  };
+}
@@ -0,0 +1,237 @@
+// /lib/crawl-core/manifest-locator.js
+// Finds a machine-interface manifest (OpenAPI, tool registry, AI plugin)
+// across ranked candidate locations: declared service-desc links first,
+// then the signal's ranked paths, then spec links found on API docs
+// pages. Stops at the first valid hit; every request spends a shared budget,
+// which can also carry a wall-clock deadline for the whole search.
+
+import * as cheerio from "cheerio";
+import { probeEndpoint } from "./endpoint-probe.js";
+import { parseLinkHeader } from "./transport.js";
+
+const DOCS_SAMPLE_CHARS = 500000;
+const DOCS_LINK_RE = /(^|\/)(docs?|developers?|api-reference|reference|swagger|redoc)(\/|$)/i;
+const MAX_ATTEMPTS_REPORTED = 12;
+const PROBE_TIMEOUT_MS = 8000;
+
+/* ============================================================
+   BUDGET
+============================================================ */
+
+// deadlineMs: no request starts after it, and none outlives it
+export function createProbeBudget(limit, { deadlineMs = null } = {}) {
+  let used = 0;
+  const deadline = deadlineMs ? Date.now() + deadlineMs : Infinity;
+  const expired = () => Date.now() >= deadline;
+
+  return {
+    limit,
+    deadlineMs,
+    get used() {
+      return used;
+    },
+    get remaining() {
+      return expired() ? 0 : Math.max(0, limit - used);
+    },
+    get expired() {
+      return expired();
+    },
+    get exhausted() {
+      return used >= limit || expired();
+    },
+    // Per-request timeout, capped to what is left before the deadline
+    get timeoutMs() {
+      return Math.max(1, Math.min(PROBE_TIMEOUT_MS, deadline - Date.now()));
+    },
+    take() {
+      if (used >= limit || expired()) return false;
+      used++;
+      return true;
+    }
+  };
+}
+
+/* ============================================================
+   LINKED LOCATIONS
+============================================================ */
+
+function absolute(href, base) {
+  try {
+    const u = new URL(href, base);
+    return /^https?:$/.test(u.protocol) ? u.href.replace(/#.*$/, "") : null;
+  } catch {
+    return null;
+  }
+}
+
+// RFC 8631: Link: <...>; rel="service-desc" and <link rel="service-desc">
+export function serviceDescLinks({ $, headers = {}, baseUrl }) {
+  const found = [];
+
+  for (const link of parseLinkHeader(headers.link || "")) {
+    if (/(^|\s)service-desc(\s|$)/i.test(link.rel || "")) {
+      const url = absolute(link.href, baseUrl);
+      if (url) found.push({ url, source: "service-desc" });
+    }
+  }
+
+  if ($) {
+    $('link[rel~="service-desc"]').each((_, el) => {
+      const url = absolute($(el).attr("href"), baseUrl);
+      if (url) found.push({ url, source: "service-desc" });
+    });
+  }
+
+  return found;
+}
+
+// Spec URLs on a docs page: anchors, service-desc, Redoc spec-url and
+// Swagger UI `url:` / `urls: [{ url }]` config
+export function specLinksInHtml(html, baseUrl) {
+  const $ = cheerio.load(html || "");
+  const urls = new Set();
+  const add = href => {
+    const url = absolute(href, baseUrl);
+    if (url) urls.add(url);
+  };
+
+  $("a[href]").each((_, el) => {
+    const href = $(el).attr("href");
+    if (/\.(json|ya?ml)(\?|$)|api-docs/i.test(href)) add(href);
+  });
+  $('link[rel~="service-desc"]').each((_, el) => add($(el).attr("href")));
+  $("redoc[spec-url], [spec-url]").each((_, el) => add($(el).attr("spec-url")));
+
+  $("script:not([src])").each((_, el) => {
+    const code = $(el).html() || "";
+    for (const m of code.matchAll(/\burl\s*:\s*["'`]([^"'`\s]+)["'`]/g)) {
+      if (/\.(json|ya?ml)(\?|$)|api-docs|openapi|swagger/i.test(m[1])) add(m[1]);
+    }
+  });
+
+  return [...urls];
+}
+
+// Docs pages are fetched once per audit, on first need, within budget;
+// one request is always left over to probe a link they yield
+export function createDocsLinkSource({ origin, docsPaths = [], pageLinks = [], budget, maxPages }) {
+  let pending = null;
+
+  // Docs pages the homepage actually links to outrank conventional paths
+  const pages = [
+    ...pageLinks
+      .map(href => absolute(href, origin))
+      .filter(url => url && new URL(url).origin === origin && DOCS_LINK_RE.test(new URL(url).pathname)),
+    ...docsPaths.map(p => `${origin}${p}`)
+  ].filter((u, i, list) => list.indexOf(u) === i);
+
+  const crawl = async () => {
+    const links = [];
+    const visited = [];
+    let truncated = false;
+
+    for (const url of pages) {
+      if (visited.length >= maxPages) break;
+      if (budget.remaining < 2 || !budget.take()) {
+        truncated = true;
+        break;
+      }
+      const probe = await probeEndpoint(url, {
+        expectJson: false,
+        sampleChars: DOCS_SAMPLE_CHARS,
+        timeoutMs: budget.timeoutMs
+      });
+      visited.push({ url, status: probe.status });
+      if (probe.detected && probe.textSample) links.push(...specLinksInHtml(probe.textSample, url));
+    }
+
+    return { links: [...new Set(links)], visited, truncated };
+  };
+
+  return {
+    links() {
+      pending ||= crawl();
+      return pending;
+    }
+  };
+}
+
+/* ============================================================
+   LOCATE
+============================================================ */
+
+// perSignal caps declared links + ranked paths; docs links have their own
+// allowance so a long path list never crowds them out
+export async function locateManifest(cfg, {
+  origin,
+  budget,
+  perSignal,
+  docsLinks = 3,
+  declared = [],
+  docs = null,
+  accept = null,
+  validate
+}) {
+  const attempts = [];
+  const tried = new Set();
+  const spent = { ranked: 0, docs: 0 };
+  const caps = { ranked: perSignal, docs: docsLinks };
+  let firstProbe = null;
+  let cutShort = false;
+
+  const attempt = async (url, source, phase) => {
+    if (tried.has(url)) return null;
+    if (spent[phase] >= caps[phase] || !budget.take()) {
+      cutShort = true;
+      return null;
+    }
+    tried.add(url);
+    spent[phase]++;
+
+    const probe = await probeEndpoint(url, { expectJson: true, accept, timeoutMs: budget.timeoutMs });
+    const valid = validate(probe);
+    firstProbe ||= probe;
+    attempts.push({ url, source, status: probe.status, format: probe.format, valid });
+    return valid ? { url, source, probe } : null;
+  };
+
+  const ranked = [
+    ...declared.filter(d => cfg.linkPattern.test(d.url)),
+    ...cfg.paths.map((path, i) => ({ url: `${origin}${path}`, source: i === 0 ? "well-known" : "path" }))
+  ];
+
+  let hit = null;
+  for (const candidate of ranked) {
+    hit = await attempt(candidate.url, candidate.source, "ranked");
+    if (hit || cutShort) break;
+  }
+
+  let docsTried = false;
+  if (!hit && docs && caps.docs > 0 && !budget.exhausted) {
+    docsTried = true;
+    const { links, truncated } = await docs.links();
+    if (truncated) cutShort = true;
+    for (const url of links.filter(u => cfg.linkPattern.test(u))) {
+      if (budget.exhausted || spent.docs >= caps.docs) {
+        cutShort = true;
+        break;
+      }
+      hit = await attempt(url, "docs-link", "docs");
+      if (hit) break;
+    }
+  }
+
+  // Nothing valid: report the top-ranked candidate's probe
+  return {
+    found: Boolean(hit),
+    url: hit?.url || attempts[0]?.url || `${origin}${cfg.paths[0]}`,
+    source: hit?.source || null,
+    rank: hit ? attempts.length : null,
+    probe: hit?.probe || firstProbe,
+    attempts: attempts.slice(0, MAX_ATTEMPTS_REPORTED),
+    attemptCount: attempts.length,
+    docsTried,
+    budgetExhausted: !hit && cutShort,
+    deadlineReached: !hit && cutShort && budget.expired
+  };
+}
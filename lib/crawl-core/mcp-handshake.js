@@ -0,0 +1,543 @@
+// /lib/crawl-core/mcp-handshake.js
+// Active MCP probe: speaks JSON-RPC to a candidate endpoint over
+// Streamable HTTP (POST, JSON or SSE reply) and falls back to the legacy
+// HTTP+SSE transport (GET stream -> "endpoint" event -> POST).
+// initialize -> notifications/initialized -> tools / resources / prompts.
+
+import axios from "axios";
+import { currentFixture } from "./fixtures.js";
+import { lintToolRegistry } from "../../shared/tool-lint.js";
+
+const PROTOCOL_VERSION = "2025-06-18";
+const CLIENT_INFO = { name: "exmxc-mcp-probe", version: "1.0.0" };
+const USER_AGENT = "Mozilla/5.0 (compatible; exmxc-mcp/1.0; +https://exmxc.ai)";
+
+const RPC_TIMEOUT_MS = 8000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_LIST_PAGES = 3;
+const MAX_NAMES = 50;
+const MAX_ENDPOINTS = 4;
+
+// MCP tool names: 1-128 chars, letters, digits, _ - .
+const TOOL_NAME_RE = /^[A-Za-z0-9_.-]{1,128}$/;
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function header(headers = {}, name) {
+  const value = typeof headers.get === "function" ? headers.get(name) : headers[name];
+  return value == null ? "" : String(value);
+}
+
+function isAuthStatus(status) {
+  return [401, 403, 407].includes(Number(status));
+}
+
+function readAll(stream, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on("data", chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.destroy();
+        reject(new Error(`Response exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    stream.on("error", reject);
+  });
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// A JSON-RPC reply may arrive alone or inside a batch
+function pickReply(payload, id) {
+  const list = Array.isArray(payload) ? payload : [payload];
+  return list.find(m => m && typeof m === "object" && m.jsonrpc === "2.0" && m.id === id) || null;
+}
+
+/* ============================================================
+   SSE READER
+   next(timeoutMs) resolves the next { event, data }, or null when the
+   stream ends or goes quiet
+============================================================ */
+
+function sseReader(stream) {
+  const queue = [];
+  const waiters = [];
+  let buffer = "";
+  let ended = false;
+
+  const flush = () => {
+    while (waiters.length && (queue.length || ended)) waiters.shift()(queue.shift() || null);
+  };
+
+  stream.setEncoding?.("utf8");
+  stream.on("data", chunk => {
+    buffer += chunk;
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      const block = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+
+      let event = "message";
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith(":")) continue;
+        const [field, ...rest] = line.split(":");
+        const value = rest.join(":").replace(/^ /, "");
+        if (field === "event") event = value;
+        if (field === "data") data.push(value);
+      }
+      if (data.length) queue.push({ event, data: data.join("\n") });
+    }
+    flush();
+  });
+  const end = () => {
+    ended = true;
+    flush();
+  };
+  stream.on("end", end);
+  stream.on("error", end);
+  stream.on("close", end);
+
+  return {
+    next(timeoutMs = RPC_TIMEOUT_MS) {
+      if (queue.length || ended) return Promise.resolve(queue.shift() || null);
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          const i = waiters.indexOf(done);
+          if (i !== -1) waiters.splice(i, 1);
+          resolve(null);
+        }, timeoutMs);
+        const done = value => {
+          clearTimeout(timer);
+          resolve(value);
+        };
+        waiters.push(done);
+      });
+    },
+    async reply(id, timeoutMs = RPC_TIMEOUT_MS) {
+      const deadline = Date.now() + timeoutMs;
+      while (Date.now() < deadline) {
+        const ev = await this.next(deadline - Date.now());
+        if (!ev) return null;
+        const reply = pickReply(parseJson(ev.data), id);
+        if (reply) return reply;
+      }
+      return null;
+    },
+    close() {
+      stream.destroy();
+    }
+  };
+}
+
+/* ============================================================
+   TRANSPORTS
+   Both expose request(method, params) / notify(method, params) / close()
+   request resolves { status, headers, reply } — reply null if none came
+============================================================ */
+
+function streamableHttp(url, { timeoutMs = RPC_TIMEOUT_MS } = {}) {
+  let sessionId = null;
+  let protocolVersion = null;
+  let nextId = 1;
+
+  const post = async (message) => {
+    const resp = await axios.post(url, JSON.stringify(message), {
+      responseType: "stream",
+      timeout: timeoutMs,
+      maxRedirects: 3,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json, text/event-stream",
+        "User-Agent": USER_AGENT,
+        ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}),
+        ...(protocolVersion ? { "MCP-Protocol-Version": protocolVersion } : {})
+      },
+      validateStatus: () => true
+    });
+    sessionId = header(resp.headers, "mcp-session-id") || sessionId;
+    return resp;
+  };
+
+  return {
+    transport: "streamable-http",
+    get sessionId() {
+      return sessionId;
+    },
+    setProtocolVersion(v) {
+      protocolVersion = v;
+    },
+
+    async request(method, params = {}) {
+      const id = nextId++;
+      const resp = await post({ jsonrpc: "2.0", id, method, params });
+      const contentType = header(resp.headers, "content-type").toLowerCase();
+      const base = { status: resp.status, headers: resp.headers, contentType };
+
+      if (contentType.includes("text/event-stream")) {
+        const reader = sseReader(resp.data);
+        const reply = await reader.reply(id, timeoutMs);
+        reader.close();
+        return { ...base, reply };
+      }
+
+      const body = await readAll(resp.data);
+      return { ...base, reply: pickReply(parseJson(body), id), body: body.slice(0, 400) };
+    },
+
+    async notify(method, params = {}) {
+      const resp = await post({ jsonrpc: "2.0", method, params });
+      resp.data.destroy();
+      return { status: resp.status };
+    },
+
+    close() {}
+  };
+}
+
+async function legacySse(url, { timeoutMs = RPC_TIMEOUT_MS } = {}) {
+  const resp = await axios.get(url, {
+    responseType: "stream",
+    timeout: timeoutMs,
+    maxRedirects: 3,
+    headers: { Accept: "text/event-stream", "User-Agent": USER_AGENT },
+    validateStatus: () => true
+  });
+
+  const contentType = header(resp.headers, "content-type").toLowerCase();
+  if (!contentType.includes("text/event-stream")) {
+    resp.data.destroy();
+    return { status: resp.status, headers: resp.headers, contentType, session: null };
+  }
+
+  const reader = sseReader(resp.data);
+  let postUrl = null;
+  const deadline = Date.now() + timeoutMs;
+  while (!postUrl && Date.now() < deadline) {
+    const ev = await reader.next(deadline - Date.now());
+    if (!ev) break;
+    if (ev.event === "endpoint") postUrl = new URL(ev.data.trim(), url).href;
+  }
+
+  if (!postUrl) {
+    reader.close();
+    return { status: resp.status, headers: resp.headers, contentType, session: null };
+  }
+
+  let nextId = 1;
+  const post = message =>
+    axios.post(postUrl, JSON.stringify(message), {
+      timeout: timeoutMs,
+      headers: { "Content-Type": "application/json", "User-Agent": USER_AGENT },
+      validateStatus: () => true,
+      responseType: "text"
+    });
+
+  const session = {
+    transport: "sse",
+    sessionId: null,
+    setProtocolVersion() {},
+
+    async request(method, params = {}) {
+      const id = nextId++;
+      const ack = await post({ jsonrpc: "2.0", id, method, params });
+      if (isAuthStatus(ack.status) || ack.status >= 400) {
+        return { status: ack.status, headers: ack.headers, reply: null, body: String(ack.data || "").slice(0, 400) };
+      }
+      // Replies come back on the GET stream; some servers also echo in the POST body
+      const inline = pickReply(parseJson(ack.data), id);
+      return { status: ack.status, headers: ack.headers, reply: inline || await reader.reply(id, timeoutMs) };
+    },
+
+    async notify(method, params = {}) {
+      const ack = await post({ jsonrpc: "2.0", method, params });
+      return { status: ack.status };
+    },
+
+    close() {
+      reader.close();
+    }
+  };
+
+  return { status: resp.status, headers: resp.headers, contentType, session, postUrl };
+}
+
+/* ============================================================
+   TOOL SCHEMA VALIDATION
+============================================================ */
+
+export function validateToolDefinition(tool) {
+  const issues = [];
+  if (!tool || typeof tool !== "object") return { valid: false, issues: ["Not an object"] };
+
+  if (typeof tool.name !== "string" || !tool.name) issues.push("Missing name");
+  else if (!TOOL_NAME_RE.test(tool.name)) issues.push("Name has characters outside [A-Za-z0-9_.-]");
+
+  const schema = tool.inputSchema;
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    issues.push("Missing inputSchema");
+  } else {
+    if (schema.type !== "object") issues.push('inputSchema.type must be "object"');
+
+    const props = schema.properties;
+    if (props != null && (typeof props !== "object" || Array.isArray(props))) {
+      issues.push("inputSchema.properties must be an object");
+    }
+    if (schema.required != null) {
+      if (!Array.isArray(schema.required)) issues.push("inputSchema.required must be an array");
+      else {
+        const unknown = schema.required.filter(r => !props || !(r in props));
+        if (unknown.length) issues.push(`required lists undefined properties: ${unknown.join(", ")}`);
+      }
+    }
+    for (const [name, def] of Object.entries(props && typeof props === "object" ? props : {})) {
+      if (!def || typeof def !== "object") issues.push(`Property "${name}" is not a schema`);
+      else if (!["type", "$ref", "anyOf", "oneOf", "allOf", "enum", "const"].some(k => k in def)) {
+        issues.push(`Property "${name}" has no type`);
+      }
+    }
+  }
+
+  if (tool.outputSchema != null && tool.outputSchema?.type !== "object") {
+    issues.push('outputSchema.type must be "object"');
+  }
+
+  return {
+    name: typeof tool.name === "string" ? tool.name : null,
+    described: typeof tool.description === "string" && tool.description.trim().length > 0,
+    valid: !issues.length,
+    issues
+  };
+}
+
+/* ============================================================
+   HANDSHAKE
+============================================================ */
+
+async function listAll(session, method, key) {
+  const items = [];
+  let cursor;
+  let status = 0;
+  let error = null;
+
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const { status: s, reply } = await session.request(method, cursor ? { cursor } : {});
+    status = s;
+    if (isAuthStatus(s)) return { items, status, error: "auth-required", complete: false };
+    if (!reply) return { items, status, error: `No reply (HTTP ${s})`, complete: false };
+    if (reply.error) return { items, status, error: reply.error.message || `JSON-RPC ${reply.error.code}`, complete: false };
+
+    items.push(...(Array.isArray(reply.result?.[key]) ? reply.result[key] : []));
+    cursor = reply.result?.nextCursor;
+    if (!cursor) return { items, status, error, complete: true };
+  }
+
+  return { items, status, error, complete: false };
+}
+
+function listSummary(list, nameOf = item => item?.name) {
+  if (!list) return null;
+  return {
+    count: list.items.length,
+    complete: list.complete,
+    names: list.items.map(nameOf).filter(Boolean).slice(0, MAX_NAMES),
+    error: list.error
+  };
+}
+
+function emptyResult(url) {
+  return {
+    url,
+    transport: null,
+    status: 0,
+    ok: false,
+    jsonRpc: false,
+    auth: "unknown",
+    wwwAuthenticate: null,
+    protocolVersion: null,
+    serverInfo: null,
+    capabilities: [],
+    instructions: false,
+    session: false,
+    tools: null,
+    resources: null,
+    prompts: null,
+    error: null
+  };
+}
+
+async function connect(url, options) {
+  const http = streamableHttp(url, options);
+  const res = await http.request("initialize", {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO
+  });
+
+  if (res.reply || isAuthStatus(res.status)) return { session: http, init: res };
+
+  // No JSON-RPC over POST: try the pre-2025-03 HTTP+SSE transport.
+  // Fixture archives store whole bodies, so an open SSE stream can't be
+  // recorded; that transport is only tried live.
+  if (currentFixture()) return { session: null, init: res };
+
+  const legacy = await legacySse(url, options);
+  if (!legacy.session) return { session: null, init: res };
+
+  const init = await legacy.session.request("initialize", {
+    protocolVersion: PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: CLIENT_INFO
+  });
+  return { session: legacy.session, init };
+}
+
+export async function mcpHandshake(url, options = {}) {
+  const result = emptyResult(url);
+  let session = null;
+
+  try {
+    const { session: s, init } = await connect(url, options);
+    session = s;
+    result.status = init.status;
+    result.transport = session?.transport || null;
+
+    if (isAuthStatus(init.status)) {
+      result.auth = "required";
+      result.wwwAuthenticate = header(init.headers, "www-authenticate") || null;
+      return result;
+    }
+    if (!init.reply) {
+      result.error = `No JSON-RPC reply (HTTP ${init.status})`;
+      return result;
+    }
+
+    result.jsonRpc = true;
+    if (init.reply.error) {
+      result.error = init.reply.error.message || `JSON-RPC ${init.reply.error.code}`;
+      return result;
+    }
+
+    const info = init.reply.result || {};
+    if (!info.protocolVersion) {
+      result.error = "initialize result has no protocolVersion";
+      return result;
+    }
+
+    result.ok = true;
+    result.auth = "open";
+    result.protocolVersion = info.protocolVersion;
+    result.serverInfo = info.serverInfo
+      ? { name: info.serverInfo.name || null, version: info.serverInfo.version || null }
+      : null;
+    result.capabilities = Object.keys(info.capabilities || {});
+    result.instructions = typeof info.instructions === "string" && info.instructions.trim().length > 0;
+    result.session = Boolean(session.sessionId);
+
+    session.setProtocolVersion(info.protocolVersion);
+    await session.notify("notifications/initialized");
+
+    // Only list what the server advertises
+    const caps = info.capabilities || {};
+    const tools = caps.tools ? await listAll(session, "tools/list", "tools") : null;
+    const resources = caps.resources ? await listAll(session, "resources/list", "resources") : null;
+    const prompts = caps.prompts ? await listAll(session, "prompts/list", "prompts") : null;
+
+    if ([tools, resources, prompts].some(l => l?.error === "auth-required")) result.auth = "partial";
+
+    if (tools) {
+      const checks = tools.items.map(validateToolDefinition);
+      result.tools = {
+        ...listSummary(tools),
+        schemaValid: checks.filter(c => c.valid).length,
+        schemaInvalid: checks.filter(c => !c.valid).length,
+        undescribed: checks.filter(c => !c.described).length,
+        invalid: checks.filter(c => !c.valid).slice(0, 20).map(({ name, issues }) => ({ name, issues })),
+        quality: lintToolRegistry(tools.items)
+      };
+    }
+    result.resources = listSummary(resources, r => r?.uri);
+    result.prompts = listSummary(prompts);
+
+    return result;
+  } catch (err) {
+    result.error = err.message || "mcp-handshake-failed";
+    return result;
+  } finally {
+    session?.close();
+  }
+}
+
+/* ============================================================
+   DISCOVERY
+   Endpoints named by the site's own manifests come first, then
+   conventional locations
+============================================================ */
+
+const ENDPOINT_KEYS = ["endpoint", "url", "serverUrl", "server_url", "mcpUrl", "mcp_url", "streamableHttp", "sse"];
+
+function endpointsIn(data, base, depth = 0) {
+  if (!data || typeof data !== "object" || depth > 3) return [];
+  const found = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (typeof value === "string" && ENDPOINT_KEYS.includes(key)) {
+      try {
+        const u = new URL(value, base);
+        if (/^https?:$/.test(u.protocol)) found.push(u.href);
+      } catch {}
+    } else if (value && typeof value === "object") {
+      found.push(...endpointsIn(value, base, depth + 1));
+    }
+  }
+  return found;
+}
+
+export function mcpEndpointCandidates({ rootOrigin, mcpOrigin = rootOrigin, manifests = [], explicit = null }) {
+  const rootHost = new URL(rootOrigin).hostname.replace(/^www\./i, "");
+  const protocol = new URL(rootOrigin).protocol;
+
+  const declared = manifests
+    .flatMap(m => endpointsIn(m, mcpOrigin))
+    // Well-known JSON documents aren't servers
+    .filter(u => !/\.json(\?|$)/i.test(u));
+
+  // No mcp.* subdomain for IPs and localhost
+  const named = rootHost.includes(".") && !/^[\d.]+$|^\[/.test(rootHost);
+  const conventional = [
+    `${mcpOrigin}/mcp`,
+    ...(named ? [`${protocol}//mcp.${rootHost}/mcp`, `${protocol}//mcp.${rootHost}/`] : []),
+    `${rootOrigin}/mcp`,
+    `${rootOrigin}/sse`
+  ];
+
+  const all = [...(explicit ? [explicit] : []), ...declared, ...conventional]
+    .filter((u, i, list) => list.indexOf(u) === i);
+
+  return explicit ? all.slice(0, MAX_ENDPOINTS + 1) : all.slice(0, MAX_ENDPOINTS);
+}
+
+// First endpoint that answers initialize (or demands auth) wins
+export async function probeMcpServers(candidates = [], options = {}) {
+  const attempts = [];
+
+  for (const url of candidates) {
+    const res = await mcpHandshake(url, options);
+    attempts.push({ url, status: res.status, transport: res.transport, ok: res.ok, auth: res.auth, error: res.error });
+    if (res.ok || res.auth === "required") return { found: true, server: res, attempts };
+  }
+
+  return { found: false, server: null, attempts };
+}
@@ -0,0 +1,133 @@
+// /lib/crawl-core/render-diff.js
+// Static vs rendered DOM diff: what only exists after JavaScript runs,
+// i.e. what non-rendering AI crawlers never see.
+// Both sides are crawl-engine parsePage() results.
+
+const SAMPLE_SIZE = 25;
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function visibleWords($) {
+  if (!$) return [];
+  const body = $("body").clone();
+  body.find("script, style, noscript, template").remove();
+  // Text node by text node, so adjacent blocks don't fuse into one word
+  return body
+    .find("*")
+    .addBack()
+    .contents()
+    .filter((_, node) => node.type === "text")
+    .map((_, node) => node.data)
+    .get()
+    .join(" ")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}'-]+/u)
+    .filter(w => w.length > 1);
+}
+
+function counts(words) {
+  const map = new Map();
+  for (const w of words) map.set(w, (map.get(w) || 0) + 1);
+  return map;
+}
+
+function schemaKey(obj = {}) {
+  const types = [].concat(obj["@type"] || "Thing").sort().join("+");
+  return `${types}|${obj["@id"] || obj.name || obj.headline || ""}`;
+}
+
+function jsonLd(parsed) {
+  return (parsed.schemaObjects || []).filter(o => (o._syntax || "json-ld") === "json-ld");
+}
+
+function resolve(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href.replace(/#.*$/, "");
+  } catch {
+    return null;
+  }
+}
+
+function linkSet(parsed, baseUrl) {
+  return new Set((parsed.pageLinks || []).map(h => resolve(h, baseUrl)).filter(Boolean));
+}
+
+function field(staticValue = "", renderedValue = "") {
+  return {
+    static: staticValue || null,
+    rendered: renderedValue || null,
+    changed: (staticValue || "") !== (renderedValue || "")
+  };
+}
+
+/* ============================================================
+   DIFF
+============================================================ */
+
+export function renderDiff(staticParsed = {}, renderedParsed = {}, baseUrl = "") {
+  // Words: multiset difference, so repeated copy counts once per extra use
+  const staticWords = visibleWords(staticParsed.$);
+  const staticCounts = counts(staticWords);
+  const renderedWords = visibleWords(renderedParsed.$);
+  const renderedOnly = new Map();
+  for (const [w, n] of counts(renderedWords)) {
+    const extra = n - (staticCounts.get(w) || 0);
+    if (extra > 0) renderedOnly.set(w, extra);
+  }
+  const renderedOnlyWords = [...renderedOnly.values()].reduce((a, b) => a + b, 0);
+
+  const staticSchema = new Set(jsonLd(staticParsed).map(schemaKey));
+  const renderedSchema = jsonLd(renderedParsed);
+  const jsOnlySchema = renderedSchema.filter(o => !staticSchema.has(schemaKey(o)));
+
+  const staticLinks = linkSet(staticParsed, baseUrl);
+  const renderedLinks = linkSet(renderedParsed, baseUrl);
+  const injectedLinks = [...renderedLinks].filter(h => !staticLinks.has(h));
+  const removedLinks = [...staticLinks].filter(h => !renderedLinks.has(h));
+
+  const head = {
+    title: field(staticParsed.title, renderedParsed.title),
+    description: field(staticParsed.description, renderedParsed.description),
+    canonical: field(staticParsed.canonicalHref, renderedParsed.canonicalHref),
+    robots: field(staticParsed.metaRobots, renderedParsed.metaRobots)
+  };
+
+  const aiInvisibleRatio = renderedWords.length
+    ? Number((renderedOnlyWords / renderedWords.length).toFixed(3))
+    : 0;
+
+  return {
+    aiInvisibleRatio,
+    words: {
+      static: staticWords.length,
+      rendered: renderedWords.length,
+      renderedOnly: renderedOnlyWords,
+      sample: [...renderedOnly.keys()].slice(0, SAMPLE_SIZE)
+    },
+    schema: {
+      static: staticSchema.size,
+      rendered: renderedSchema.length,
+      jsOnly: jsOnlySchema.map(o => ({
+        type: o["@type"] || null,
+        id: o["@id"] || null,
+        name: o.name || o.headline || null
+      }))
+    },
+    head: {
+      ...head,
+      rewritten: Object.keys(head).filter(k => head[k].changed)
+    },
+    links: {
+      static: staticLinks.size,
+      rendered: renderedLinks.size,
+      injected: injectedLinks.length,
+      removed: removedLinks.length,
+      injectedSample: injectedLinks.slice(0, SAMPLE_SIZE)
+    },
+    // Most of the copy, or all of the structured data, needs JS
+    clientRendered:
+      aiInvisibleRatio >= 0.5 || (jsOnlySchema.length > 0 && staticSchema.size === 0)
+  };
+}
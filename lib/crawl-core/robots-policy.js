@@ -0,0 +1,254 @@
+// /lib/crawl-core/robots-policy.js
+// robots.txt parsing + per-agent allow/deny evaluation (RFC 9309 matching)
+
+import axios from "axios";
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const MAX_ROBOTS_BYTES = 512 * 1024;
+
+const ROBOTS_UA =
+  "Mozilla/5.0 (compatible; exmxc-robots/1.0; +https://exmxc.ai)";
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+// "Mozilla/5.0 (compatible; GPTBot/1.0; +https://openai.com/gptbot)" -> "GPTBot"
+export function agentTokenOf(userAgent = "") {
+  const ua = String(userAgent || "").trim();
+  const match = ua.match(/\b([A-Za-z][A-Za-z0-9-]*bot)\//i);
+  if (match) return match[1];
+  return ua.split(/[\/\s]/)[0] || "";
+}
+
+export function agentTokensFor(userAgents = [], extraTokens = []) {
+  const tokens = [];
+  const seen = new Set();
+
+  for (const token of [...userAgents.map(agentTokenOf), ...extraTokens]) {
+    const key = String(token || "").toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+function normalizeAgent(value = "") {
+  return String(value).trim().split("/")[0].trim().toLowerCase();
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const escaped = body
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}${anchored ? "$" : ""}`);
+}
+
+function pathOf(url) {
+  try {
+    const u = new URL(url);
+    return `${u.pathname || "/"}${u.search || ""}`;
+  } catch {
+    return "/";
+  }
+}
+
+/* ============================================================
+   PARSER
+============================================================ */
+
+export function parseRobotsTxt(text = "") {
+  const groups = [];
+  const sitemaps = [];
+
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+
+    const field = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === "user-agent") {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(normalizeAgent(value));
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (!value) continue;
+      current.rules.push({
+        allow: field === "allow",
+        pattern: value,
+        regex: patternToRegex(value)
+      });
+    } else if (field === "crawl-delay") {
+      const n = Number(value);
+      if (Number.isFinite(n)) current.crawlDelay = n;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/* ============================================================
+   EVALUATION
+============================================================ */
+
+function groupsFor(parsed, agentToken) {
+  const token = normalizeAgent(agentToken);
+  const exact = parsed.groups.filter(g => g.agents.includes(token));
+  if (exact.length) return { matchedGroup: token, groups: exact };
+
+  const wildcard = parsed.groups.filter(g => g.agents.includes("*"));
+  if (wildcard.length) return { matchedGroup: "*", groups: wildcard };
+
+  return { matchedGroup: null, groups: [] };
+}
+
+export function evaluateRobots(parsed, agentToken, path = "/") {
+  const { matchedGroup, groups } = groupsFor(parsed, agentToken);
+
+  // Longest matching pattern wins; on a tie Allow beats Disallow
+  let best = null;
+  for (const group of groups) {
+    for (const rule of group.rules) {
+      if (!rule.regex.test(path)) continue;
+      const better =
+        !best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow && !best.allow);
+      if (better) best = rule;
+    }
+  }
+
+  return {
+    allowed: best ? best.allow : true,
+    matchedGroup,
+    rule: best ? `${best.allow ? "Allow" : "Disallow"}: ${best.pattern}` : null
+  };
+}
+
+export function robotsMatrix(parsed, agents = [], path = "/") {
+  const matrix = {};
+  for (const agent of agents) {
+    matrix[agent] = evaluateRobots(parsed, agent, path);
+  }
+  return matrix;
+}
+
+function postureOf(matrix) {
+  const entries = Object.values(matrix);
+  if (!entries.length) return "unknown";
+
+  const blocked = entries.filter(e => e.allowed === false).length;
+  if (blocked === 0) return "open";
+  if (blocked === entries.length) return "blocked";
+  return "selective";
+}
+
+/* ============================================================
+   FETCH + EVALUATE
+============================================================ */
+
+export async function fetchRobotsPolicy(pageUrl, options = {}) {
+  const { agents = [], timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const path = pathOf(pageUrl);
+
+  let robotsUrl = null;
+  try {
+    robotsUrl = new URL("/robots.txt", pageUrl).toString();
+  } catch {
+    return emptyPolicy(null, path, 0, "invalid-url");
+  }
+
+  let resp;
+  try {
+    resp = await axios.get(robotsUrl, {
+      timeout: timeoutMs,
+      maxRedirects: 5,
+      maxContentLength: MAX_ROBOTS_BYTES,
+      responseType: "text",
+      transformResponse: [data => data],
+      headers: { "User-Agent": ROBOTS_UA, Accept: "text/plain, */*;q=0.5" },
+      validateStatus: () => true
+    });
+  } catch (err) {
+    return emptyPolicy(robotsUrl, path, 0, err.message || "robots-fetch-failed");
+  }
+
+  const status = Number(resp.status || 0);
+
+  // 4xx = no robots.txt, everything allowed (RFC 9309 §2.3.1.3).
+  // 5xx is reported as unavailable rather than "full disallow" so a flaky
+  // origin does not flip the audit posture to blocked.
+  if (status >= 400 && status < 500) {
+    const parsed = { groups: [], sitemaps: [] };
+    const matrix = robotsMatrix(parsed, agents, path);
+    return {
+      url: robotsUrl,
+      status,
+      available: false,
+      path,
+      sitemaps: [],
+      agents: matrix,
+      blockedAgents: [],
+      posture: postureOf(matrix)
+    };
+  }
+
+  if (status < 200 || status >= 300) {
+    return emptyPolicy(robotsUrl, path, status, "robots-unavailable");
+  }
+
+  const parsed = parseRobotsTxt(typeof resp.data === "string" ? resp.data : "");
+  const matrix = robotsMatrix(parsed, agents, path);
+
+  return {
+    url: robotsUrl,
+    status,
+    available: true,
+    path,
+    sitemaps: parsed.sitemaps,
+    agents: matrix,
+    blockedAgents: Object.keys(matrix).filter(a => matrix[a].allowed === false),
+    posture: postureOf(matrix)
+  };
+}
+
+function emptyPolicy(url, path, status, error) {
+  return {
+    url,
+    status,
+    available: false,
+    path,
+    sitemaps: [],
+    agents: {},
+    blockedAgents: [],
+    posture: "unknown",
+    error
+  };
+}
@@ -0,0 +1,125 @@
+// /lib/crawl-core/sitemap.js
+// Sitemap + sitemap index reader (plain and gzipped XML)
+
+import axios from "axios";
+import * as cheerio from "cheerio";
+import zlib from "zlib";
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_SITEMAPS = 6;
+const MAX_URLS = 5000;
+const MAX_SITEMAP_BYTES = 10 * 1024 * 1024;
+
+const SITEMAP_UA =
+  "Mozilla/5.0 (compatible; exmxc-sitemap/1.0; +https://exmxc.ai)";
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+function decodeBody(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data || "");
+  try {
+    return isGzip(buffer)
+      ? zlib.gunzipSync(buffer).toString("utf8")
+      : buffer.toString("utf8");
+  } catch {
+    return "";
+  }
+}
+
+function parseLastmod(value) {
+  const t = Date.parse(String(value || "").trim());
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+export function parseSitemapXml(xml = "") {
+  const $ = cheerio.load(xml, { xml: true });
+
+  const sitemaps = $("sitemapindex > sitemap")
+    .map((_, el) => ({
+      loc: $(el).children("loc").first().text().trim(),
+      lastmod: parseLastmod($(el).children("lastmod").first().text())
+    }))
+    .get()
+    .filter(s => s.loc);
+
+  const urls = $("urlset > url")
+    .map((_, el) => ({
+      loc: $(el).children("loc").first().text().trim(),
+      lastmod: parseLastmod($(el).children("lastmod").first().text())
+    }))
+    .get()
+    .filter(u => u.loc);
+
+  return { sitemaps, urls };
+}
+
+/* ============================================================
+   FETCH (BFS over sitemap indexes, capped)
+============================================================ */
+
+export async function collectSitemapUrls(origin, options = {}) {
+  const {
+    seeds = [],
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxSitemaps = MAX_SITEMAPS,
+    maxUrls = MAX_URLS
+  } = options;
+
+  const queue = [...seeds, new URL("/sitemap.xml", origin).toString()];
+  const visited = new Set();
+  const fetched = [];
+  const urls = [];
+
+  while (queue.length && fetched.length < maxSitemaps && urls.length < maxUrls) {
+    const sitemapUrl = queue.shift();
+    if (!sitemapUrl || visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    let resp;
+    try {
+      resp = await axios.get(sitemapUrl, {
+        timeout: timeoutMs,
+        maxRedirects: 5,
+        maxContentLength: MAX_SITEMAP_BYTES,
+        responseType: "arraybuffer",
+        headers: {
+          "User-Agent": SITEMAP_UA,
+          Accept: "application/xml, text/xml, application/gzip;q=0.9, */*;q=0.5"
+        },
+        validateStatus: () => true
+      });
+    } catch (err) {
+      fetched.push({ url: sitemapUrl, status: 0, error: err.message || "sitemap-fetch-failed" });
+      continue;
+    }
+
+    const status = Number(resp.status || 0);
+    if (status < 200 || status >= 300) {
+      fetched.push({ url: sitemapUrl, status });
+      continue;
+    }
+
+    const parsed = parseSitemapXml(decodeBody(resp.data));
+    fetched.push({
+      url: sitemapUrl,
+      status,
+      kind: parsed.sitemaps.length ? "index" : "urlset",
+      entries: parsed.sitemaps.length || parsed.urls.length
+    });
+
+    for (const child of parsed.sitemaps) queue.push(child.loc);
+
+    for (const entry of parsed.urls) {
+      if (urls.length >= maxUrls) break;
+      urls.push(entry);
+    }
+  }
+
+  return { sitemaps: fetched, urls };
+}
@@ -0,0 +1,216 @@
+// /lib/crawl-core/structured-data.js
+// Microdata + RDFa (Lite) extraction into JSON-LD-shaped objects.
+// Every object carries `_syntax` = "json-ld" | "microdata" | "rdfa".
+
+import { schemaTypesOf } from "../../shared/schema-graph.js";
+import { validateSchemaObjects } from "../../shared/schema-validator.js";
+
+const URL_ATTRS = {
+  a: "href",
+  area: "href",
+  link: "href",
+  audio: "src",
+  embed: "src",
+  iframe: "src",
+  img: "src",
+  source: "src",
+  track: "src",
+  video: "src",
+  object: "data"
+};
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function absolutize(value, baseUrl) {
+  if (!value) return value;
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return value;
+  }
+}
+
+function addProp(item, name, value) {
+  if (value === undefined || value === null || value === "") return;
+  if (item[name] === undefined) item[name] = value;
+  else if (Array.isArray(item[name])) item[name].push(value);
+  else item[name] = [item[name], value];
+}
+
+// "https://schema.org/Restaurant" | "schema:Restaurant" -> "Restaurant"
+function shortName(term) {
+  const t = String(term || "").trim();
+  if (/^https?:\/\/schema\.org\//i.test(t)) return t.replace(/^https?:\/\/schema\.org\//i, "");
+  if (/^schema:/i.test(t)) return t.replace(/^schema:/i, "");
+  if (/[:/]/.test(t)) return null;
+  return t || null;
+}
+
+function splitTerms(value) {
+  return String(value || "").split(/\s+/).filter(Boolean);
+}
+
+function textValue($el) {
+  return $el.text().replace(/\s+/g, " ").trim();
+}
+
+/* ============================================================
+   GENERIC WALKER
+   An item element owns every descendant property element up to
+   (but not into) the next nested item element.
+============================================================ */
+
+function extractItems($, baseUrl, syntax) {
+  const cfg = SYNTAX[syntax];
+  const items = [];
+
+  const readItem = (el, seen = new Set()) => {
+    const $el = $(el);
+    const item = { _syntax: syntax };
+
+    const types = splitTerms($el.attr(cfg.typeAttr)).map(shortName).filter(Boolean);
+    if (types.length) item["@type"] = types.length === 1 ? types[0] : types;
+
+    const id = $el.attr(cfg.idAttr);
+    if (id) item["@id"] = absolutize(id, baseUrl);
+
+    const visit = (node) => {
+      $(node).children().each((_, child) => {
+        if (seen.has(child)) return;
+        seen.add(child);
+
+        const $child = $(child);
+        const names = splitTerms($child.attr(cfg.propAttr)).map(shortName).filter(Boolean);
+        const nested = cfg.isItem($child);
+
+        if (names.length) {
+          const value = nested ? readItem(child, seen) : cfg.valueOf($child, baseUrl);
+          names.forEach(name => addProp(item, name, value));
+        }
+
+        if (!nested) visit(child);
+      });
+    };
+
+    visit(el);
+
+    // Microdata itemref pulls properties from elsewhere in the document
+    if (cfg.refAttr) {
+      for (const ref of splitTerms($el.attr(cfg.refAttr))) {
+        const target = $(`[id="${ref}"]`).get(0);
+        if (!target || seen.has(target)) continue;
+
+        const $target = $(target);
+        const names = splitTerms($target.attr(cfg.propAttr)).map(shortName).filter(Boolean);
+        if (names.length) {
+          seen.add(target);
+          const value = cfg.isItem($target) ? readItem(target, seen) : cfg.valueOf($target, baseUrl);
+          names.forEach(name => addProp(item, name, value));
+        } else {
+          visit(target);
+        }
+      }
+    }
+
+    return item;
+  };
+
+  $(cfg.topLevelSelector).each((_, el) => {
+    const item = readItem(el);
+    if (item["@type"]) items.push(item);
+  });
+
+  return items;
+}
+
+const SYNTAX = {
+  microdata: {
+    typeAttr: "itemtype",
+    idAttr: "itemid",
+    propAttr: "itemprop",
+    refAttr: "itemref",
+    topLevelSelector: "[itemscope]:not([itemprop])",
+    isItem: $el => $el.is("[itemscope]"),
+    valueOf($el, baseUrl) {
+      const tag = ($el.get(0)?.tagName || "").toLowerCase();
+      if (tag === "meta") return $el.attr("content") || "";
+      if (URL_ATTRS[tag]) return absolutize($el.attr(URL_ATTRS[tag]) || "", baseUrl);
+      if (tag === "data" || tag === "meter") return $el.attr("value") || "";
+      if (tag === "time") return $el.attr("datetime") || textValue($el);
+      return textValue($el);
+    }
+  },
+  rdfa: {
+    typeAttr: "typeof",
+    idAttr: "resource",
+    propAttr: "property",
+    refAttr: null,
+    topLevelSelector: "[typeof]:not([property])",
+    isItem: $el => $el.is("[typeof]"),
+    valueOf($el, baseUrl) {
+      const tag = ($el.get(0)?.tagName || "").toLowerCase();
+      if ($el.attr("content") !== undefined) return $el.attr("content");
+      const ref = $el.attr("resource") || $el.attr("href") || $el.attr("src");
+      if (ref) return absolutize(ref, baseUrl);
+      if (tag === "time") return $el.attr("datetime") || textValue($el);
+      return textValue($el);
+    }
+  }
+};
+
+/* ============================================================
+   PUBLIC API
+============================================================ */
+
+export function extractMicrodata($, baseUrl) {
+  return extractItems($, baseUrl, "microdata");
+}
+
+export function extractRdfa($, baseUrl) {
+  return extractItems($, baseUrl, "rdfa");
+}
+
+// Tags JSON-LD objects (and every nested typed object) with their syntax
+export function tagSyntax(objects = [], syntax = "json-ld") {
+  const visited = new Set();
+  const walk = (value) => {
+    if (!value || typeof value !== "object" || visited.has(value)) return;
+    visited.add(value);
+    if (Array.isArray(value)) return value.forEach(walk);
+    if (value["@type"] && value._syntax === undefined) value._syntax = syntax;
+    Object.values(value).forEach(walk);
+  };
+  objects.forEach(walk);
+  return objects;
+}
+
+export function collectStructuredData($, jsonLdObjects = [], baseUrl) {
+  return [
+    ...tagSyntax(jsonLdObjects, "json-ld"),
+    ...extractMicrodata($, baseUrl),
+    ...extractRdfa($, baseUrl)
+  ];
+}
+
+export function summarizeStructuredData(schemaObjects = []) {
+  const bySyntax = { "json-ld": 0, microdata: 0, rdfa: 0 };
+  const validation = validateSchemaObjects(schemaObjects);
+
+  const objects = schemaObjects.map((obj, i) => {
+    const syntax = obj?._syntax || "json-ld";
+    const { valid, errors, warnings } = validation.objects[i];
+    bySyntax[syntax] = (bySyntax[syntax] || 0) + 1;
+    return {
+      types: schemaTypesOf(obj),
+      id: obj?.["@id"] || null,
+      syntax,
+      valid,
+      errors,
+      warnings
+    };
+  });
+
+  return { bySyntax, validation: validation.summary, objects };
+}
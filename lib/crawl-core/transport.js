@@ -0,0 +1,214 @@
+// /lib/crawl-core/transport.js
+// HTTP-level diagnostics for a crawl-engine result: redirect chain,
+// indexing/language/canonical headers, caching, HSTS and timing
+
+// Redirect hops beyond this count as sprawl (http→https→www→/en/)
+const SPRAWL_HOPS = 2;
+
+// X-Robots-Tag directives that carry their own "name: value"
+const VALUED_DIRECTIVES = new Set([
+  "unavailable_after",
+  "max-snippet",
+  "max-image-preview",
+  "max-video-preview"
+]);
+
+/* ============================================================
+   HELPERS
+============================================================ */
+
+function header(headers = {}, name) {
+  const value = headers[name] ?? headers[name.toLowerCase()];
+  if (Array.isArray(value)) return value.join(", ");
+  return value == null ? "" : String(value);
+}
+
+function list(value) {
+  return String(value || "")
+    .split(",")
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function intOrNull(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* ============================================================
+   HEADER PARSERS
+============================================================ */
+
+// "noindex, googlebot: nofollow" -> { directives: [noindex], agents: { googlebot: [nofollow] } }
+export function parseXRobotsTag(value) {
+  const all = [];
+  const agents = {};
+  let scope = null;
+
+  for (const part of list(value)) {
+    const m = part.match(/^([a-z0-9_-]+)\s*:\s*(.+)$/i);
+    let directive = part.toLowerCase();
+
+    if (m && !VALUED_DIRECTIVES.has(m[1].toLowerCase())) {
+      scope = m[1].toLowerCase();
+      directive = m[2].trim().toLowerCase();
+    }
+
+    if (scope) (agents[scope] ||= []).push(directive);
+    else all.push(directive);
+  }
+
+  const blocks = d => d.includes("noindex") || d.includes("none");
+
+  return {
+    raw: value || "",
+    directives: all,
+    agents,
+    noindex: blocks(all),
+    nofollow: all.includes("nofollow") || all.includes("none")
+  };
+}
+
+// RFC 8288: <https://a/b>; rel="canonical", <...>; rel=alternate
+export function parseLinkHeader(value) {
+  const links = [];
+  const re = /<([^>]*)>\s*((?:;\s*[^;,]+)*)/g;
+  let m;
+
+  while ((m = re.exec(String(value || "")))) {
+    const params = {};
+    for (const p of m[2].split(";").map(s => s.trim()).filter(Boolean)) {
+      const [k, ...v] = p.split("=");
+      params[k.trim().toLowerCase()] = v.join("=").trim().replace(/^"|"$/g, "");
+    }
+    links.push({ href: m[1], ...params });
+  }
+
+  return links;
+}
+
+function parseCacheControl(value) {
+  const directives = {};
+  for (const part of list(value)) {
+    const [k, v] = part.split("=");
+    directives[k.trim().toLowerCase()] = v == null ? true : v.trim().replace(/^"|"$/g, "");
+  }
+  return directives;
+}
+
+function parseHsts(value) {
+  if (!value) return { present: false };
+  const d = {};
+  for (const part of value.split(";").map(s => s.trim()).filter(Boolean)) {
+    const [k, v] = part.split("=");
+    d[k.trim().toLowerCase()] = v == null ? true : v.trim();
+  }
+  return {
+    present: true,
+    maxAge: intOrNull(d["max-age"]),
+    includeSubDomains: !!d.includesubdomains,
+    preload: !!d.preload
+  };
+}
+
+// "db;dur=53, app;dur=47.2;desc=\"render\""
+function parseServerTiming(value) {
+  return list(value).map(entry => {
+    const [name, ...params] = entry.split(";").map(s => s.trim());
+    const metric = { name };
+    for (const p of params) {
+      const [k, v = ""] = p.split("=");
+      const val = v.replace(/^"|"$/g, "");
+      if (k === "dur") metric.dur = Number(val);
+      else if (k === "desc") metric.desc = val;
+    }
+    return metric;
+  });
+}
+
+/* ============================================================
+   TRANSPORT ANALYSIS
+============================================================ */
+
+export function analyzeTransport(crawl = {}) {
+  const headers = crawl.headers || {};
+  const chain = crawl.redirectChain || [];
+  const finalUrl = crawl.finalUrl || crawl.url || null;
+
+  const xRobots = parseXRobotsTag(header(headers, "x-robots-tag"));
+  const links = parseLinkHeader(header(headers, "link"));
+  const canonicalLink = links.find(l => /(^|\s)canonical(\s|$)/i.test(l.rel || ""));
+  const vary = list(header(headers, "vary")).map(v => v.toLowerCase());
+  const cacheControl = parseCacheControl(header(headers, "cache-control"));
+  const hsts = parseHsts(header(headers, "strict-transport-security"));
+  const serverTiming = parseServerTiming(header(headers, "server-timing"));
+
+  let headerCanonical = "";
+  if (canonicalLink) {
+    try {
+      headerCanonical = new URL(canonicalLink.href, finalUrl).href;
+    } catch {
+      headerCanonical = canonicalLink.href;
+    }
+  }
+
+  const redirects = {
+    count: chain.length,
+    chain,
+    schemeChanges: chain.filter(h => h.schemeChange).length,
+    wwwChanges: chain.filter(h => h.wwwChange).length,
+    hostChanges: chain.filter(h => h.hostChange).length,
+    permanent: chain.every(h => [301, 308].includes(h.status)),
+    sprawl: chain.length > SPRAWL_HOPS
+  };
+
+  const issues = [];
+  if (redirects.sprawl) {
+    issues.push(`${chain.length}-hop redirect chain; link straight to ${finalUrl}`);
+  }
+  if (chain.length && !redirects.permanent) {
+    issues.push("Temporary (302/307) redirect in the chain");
+  }
+  if (chain.some(h => h.schemeChange && h.location?.startsWith("http:"))) {
+    issues.push("Redirect downgrades to http");
+  }
+  if (xRobots.noindex) issues.push("X-Robots-Tag blocks indexing");
+  if (Object.keys(xRobots.agents).length) {
+    issues.push(`X-Robots-Tag targets ${Object.keys(xRobots.agents).join(", ")}`);
+  }
+  if (vary.includes("user-agent")) {
+    issues.push("Vary: User-Agent — AI crawlers may be served different content");
+  }
+  if (finalUrl?.startsWith("https:") && !hsts.present) issues.push("No HSTS header");
+  if (cacheControl["no-store"]) issues.push("Cache-Control: no-store");
+
+  return {
+    requestedUrl: crawl.requestedUrl || null,
+    finalUrl,
+    status: crawl.status ?? null,
+    redirects,
+    headers: {
+      xRobotsTag: xRobots,
+      contentLanguage: list(header(headers, "content-language")),
+      linkCanonical: headerCanonical || null,
+      vary,
+      cache: {
+        cacheControl,
+        maxAge: intOrNull(cacheControl["s-maxage"] ?? cacheControl["max-age"]),
+        age: intOrNull(header(headers, "age")),
+        etag: header(headers, "etag") || null,
+        lastModified: header(headers, "last-modified") || null,
+        expires: header(headers, "expires") || null
+      },
+      hsts,
+      contentType: header(headers, "content-type") || null,
+      server: header(headers, "server") || null
+    },
+    timing: {
+      ttfbMs: crawl.timing?.ttfbMs ?? null,
+      totalMs: crawl.timing?.totalMs ?? null,
+      serverTiming
+    },
+    issues
+  };
+}
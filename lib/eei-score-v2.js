@@ -3,28 +3,13 @@
 // Supports single-page OR multi-surface crawls
 // Deterministic, AI-comprehension aligned
 
+import { schemaIndex } from "../shared/schema-graph.js";
+import { WEIGHT_PROFILES, profileInfo } from "../shared/weights.js";
+
 /* ============================================================
    CONFIG
    ============================================================ */
 
-const MAX_SCORE = 100;
-
-const SIGNAL_WEIGHTS = {
-  title: 3,
-  meta: 3,
-  canonical: 2,
-  schema: 8,
-  orgSchema: 7,
-  breadcrumb: 5,
-  author: 5,
-  social: 8,
-  aiFidelity: 6,
-  inference: 12,
-  lattice: 15,
-  external: 12,
-  brand: 2
-};
-
 const SURFACE_WEIGHT = 0.35; // how much surfaces influence total score
 
 /* ============================================================
@@ -36,15 +21,21 @@ function clamp(n, min, max) {
 }
 
 function pct(points, max) {
-  return Math.round((points / max) * 100);
+  return max > 0 ? Math.round((points / max) * 100) : 0;
+}
+
+// Signal ratio (0–1) -> points on the active profile's weight
+function weighted(ratio, weight) {
+  return Number((clamp(ratio, 0, 1) * (weight || 0)).toFixed(2));
 }
 
 function safeArray(v) {
   return Array.isArray(v) ? v : [];
 }
 
+// Subtype + nested aware (Corporation counts as Organization)
 function hasSchemaType(objs, type) {
-  return objs.some(o => o?.["@type"] === type);
+  return schemaIndex(objs).has(type);
 }
 
 /* ============================================================
@@ -82,7 +73,8 @@ function aggregateSurfaces(surfaces = []) {
    CORE SCORING
    ============================================================ */
 
-function scoreEntity({ entity, surfaces = [] }) {
+function scoreEntity({ entity, surfaces = [], profile = WEIGHT_PROFILES.default }) {
+  const W = profile.weights;
   const breakdown = [];
   let total = 0;
 
@@ -91,101 +83,103 @@ function scoreEntity({ entity, surfaces = [] }) {
   const surfaceAgg = aggregateSurfaces(surfaces);
 
   /* ---------- Title ---------- */
-  let titlePts = entity.title?.length > 20 ? 3 : entity.title ? 1 : 0;
+  const titleRatio = entity.title?.length > 20 ? 1 : entity.title ? 1 / 3 : 0;
+  const titlePts = weighted(titleRatio, W.title);
   total += titlePts;
   breakdown.push({
     key: "Title Precision",
     points: titlePts,
-    max: SIGNAL_WEIGHTS.title,
-    notes: titlePts === 3 ? "Specific & contextual" : titlePts ? "Weak" : "Missing",
+    max: W.title,
+    notes: titleRatio === 1 ? "Specific & contextual" : titleRatio ? "Weak" : "Missing",
     raw: { title: entity.title || "" }
   });
 
   /* ---------- Meta ---------- */
-  let metaPts = entity.description?.length > 50 ? 3 : entity.description ? 1 : 0;
+  const metaRatio = entity.description?.length > 50 ? 1 : entity.description ? 1 / 3 : 0;
+  const metaPts = weighted(metaRatio, W.metaDescription);
   total += metaPts;
   breakdown.push({
     key: "Meta Description Integrity",
     points: metaPts,
-    max: SIGNAL_WEIGHTS.meta,
-    notes: metaPts === 3 ? "Descriptive & complete" : metaPts ? "Thin" : "Missing",
+    max: W.metaDescription,
+    notes: metaRatio === 1 ? "Descriptive & complete" : metaRatio ? "Thin" : "Missing",
     raw: { meta: entity.description || "" }
   });
 
   /* ---------- Canonical ---------- */
-  let canonPts = entity.canonicalHref ? 1 : 0;
+  const canonPts = weighted(entity.canonicalHref ? 0.5 : 0, W.canonical);
   total += canonPts;
   breakdown.push({
     key: "Canonical Clarity",
     points: canonPts,
-    max: SIGNAL_WEIGHTS.canonical,
+    max: W.canonical,
     notes: canonPts ? "Present but inconsistent" : "Missing",
     raw: { canonical: entity.canonicalHref || "" }
   });
 
   /* ---------- Schema Presence ---------- */
-  let schemaPts = clamp(schemaObjects.length, 0, 8);
+  const schemaPts = weighted(schemaObjects.length / 8, W.schemaPresence);
   total += schemaPts;
   breakdown.push({
     key: "Schema Presence & Validity",
     points: schemaPts,
-    max: SIGNAL_WEIGHTS.schema,
-    notes: schemaPts > 3 ? "Multiple schema blocks" : schemaPts ? "Minimal" : "None",
+    max: W.schemaPresence,
+    notes: schemaObjects.length > 3 ? "Multiple schema blocks" : schemaObjects.length ? "Minimal" : "None",
     raw: { schemaBlocks: schemaObjects.length }
   });
 
   /* ---------- Organization Schema (surface-aware) ---------- */
-  let orgPts = surfaceAgg.hasOrgSchema ? 7 : 0;
+  const orgPts = weighted(surfaceAgg.hasOrgSchema ? 1 : 0, W.orgSchema);
   total += orgPts;
   breakdown.push({
     key: "Organization Schema",
     points: orgPts,
-    max: SIGNAL_WEIGHTS.orgSchema,
+    max: W.orgSchema,
     notes: orgPts ? "Organization schema valid" : "Missing",
     raw: null
   });
 
   /* ---------- Breadcrumb ---------- */
-  let bcPts = surfaceAgg.hasBreadcrumb ? 5 : 0;
+  const bcPts = weighted(surfaceAgg.hasBreadcrumb ? 1 : 0, W.breadcrumbSchema);
   total += bcPts;
   breakdown.push({
     key: "Breadcrumb Schema",
     points: bcPts,
-    max: SIGNAL_WEIGHTS.breadcrumb,
+    max: W.breadcrumbSchema,
     notes: bcPts ? "Breadcrumb schema present" : "Missing",
     raw: null
   });
 
   /* ---------- Author ---------- */
-  let authorPts = surfaceAgg.hasAuthor ? 5 : 0;
+  const authorPts = weighted(surfaceAgg.hasAuthor ? 1 : 0, W.authorPerson);
   total += authorPts;
   breakdown.push({
     key: "Author/Person Schema",
     points: authorPts,
-    max: SIGNAL_WEIGHTS.author,
-    notes: authorPts ? "Person schema present" : "Missing",
-    raw: { person: !!authorPts }
+    max: W.authorPerson,
+    notes: surfaceAgg.hasAuthor ? "Person schema present" : "Missing",
+    raw: { person: surfaceAgg.hasAuthor }
   });
 
   /* ---------- Social ---------- */
   const socialCount = safeArray(entity.socialHosts).length;
-  let socialPts = socialCount >= 3 ? 8 : socialCount ? 4 : 0;
+  const socialPts = weighted(socialCount >= 3 ? 1 : socialCount ? 0.5 : 0, W.socialLinks);
   total += socialPts;
   breakdown.push({
     key: "Social Entity Links",
     points: socialPts,
-    max: SIGNAL_WEIGHTS.social,
-    notes: socialPts === 8 ? "Strong (3+)" : socialPts ? "Weak" : "None",
+    max: W.socialLinks,
+    notes: socialCount >= 3 ? "Strong (3+)" : socialCount ? "Weak" : "None",
     raw: { distinctSocialHosts: entity.socialHosts || [] }
   });
 
   /* ---------- AI Fidelity ---------- */
-  let aiPts = entity.aiPing ? 6 : 4;
+  const aiPts = weighted(entity.aiPing ? 1 : 4 / 6, W.aiCrawl);
   total += aiPts;
   breakdown.push({
     key: "AI Crawl Fidelity",
     points: aiPts,
-    max: SIGNAL_WEIGHTS.aiFidelity,
+    max: W.aiCrawl,
     notes: entity.aiPing ? "Explicit crawl ping" : "Indexable, no ping",
     raw: { aiPing: !!entity.aiPing }
   });
@@ -193,16 +187,17 @@ function scoreEntity({ entity, surfaces = [] }) {
   /* ---------- Inference (surface weighted) ---------- */
   const inferredWords =
     d.wordCount + surfaceAgg.wordCount * SURFACE_WEIGHT;
-  let infPts =
-    inferredWords > 1500 ? 12 :
-    inferredWords > 600 ? 6 : 0;
+  const infRatio =
+    inferredWords > 1500 ? 1 :
+    inferredWords > 600 ? 0.5 : 0;
+  const infPts = weighted(infRatio, W.contentDepth);
 
   total += infPts;
   breakdown.push({
     key: "Inference Efficiency",
     points: infPts,
-    max: SIGNAL_WEIGHTS.inference,
-    notes: infPts === 12 ? "Deep context" : infPts ? "Moderate" : "Shallow",
+    max: W.contentDepth,
+    notes: infRatio === 1 ? "Deep context" : infRatio ? "Moderate" : "Shallow",
     raw: { wordCount: Math.round(inferredWords) }
   });
 
@@ -212,16 +207,17 @@ function scoreEntity({ entity, surfaces = [] }) {
       ? surfaceAgg.internalLinks / surfaceAgg.totalLinks
       : 0;
 
-  let latticePts =
-    latticeRatio > 0.5 ? 15 :
-    latticeRatio > 0.25 ? 8 : 0;
+  const latticeStrength =
+    latticeRatio > 0.5 ? 1 :
+    latticeRatio > 0.25 ? 8 / 15 : 0;
+  const latticePts = weighted(latticeStrength, W.internalLinks);
 
   total += latticePts;
   breakdown.push({
     key: "Internal Lattice Integrity",
     points: latticePts,
-    max: SIGNAL_WEIGHTS.lattice,
-    notes: latticePts === 15 ? "Strong lattice" : latticePts ? "Partial" : "None",
+    max: W.internalLinks,
+    notes: latticeStrength === 1 ? "Strong lattice" : latticeStrength ? "Partial" : "None",
     raw: {
       internal: surfaceAgg.internalLinks,
       total: surfaceAgg.totalLinks,
@@ -230,24 +226,26 @@ function scoreEntity({ entity, surfaces = [] }) {
   });
 
   /* ---------- External ---------- */
-  let extPts = entity.externalLinks?.length ? 12 : 0;
+  const hasExternal = !!entity.externalLinks?.length;
+  const extPts = weighted(hasExternal ? 1 : 0, W.externalLinks);
   total += extPts;
   breakdown.push({
     key: "External Authority Signal",
     points: extPts,
-    max: SIGNAL_WEIGHTS.external,
-    notes: extPts ? "Outbound credibility present" : "No outbound links",
+    max: W.externalLinks,
+    notes: hasExternal ? "Outbound credibility present" : "No outbound links",
     raw: { distinctOutboundHosts: entity.externalLinks || [] }
   });
 
   /* ---------- Brand ---------- */
-  let brandPts = entity.favicon || entity.ogImage ? 2 : 0;
+  const hasBrand = !!(entity.favicon || entity.ogImage);
+  const brandPts = weighted(hasBrand ? 1 : 0, W.faviconOg);
   total += brandPts;
   breakdown.push({
     key: "Brand & Technical Consistency",
     points: brandPts,
-    max: SIGNAL_WEIGHTS.brand,
-    notes: brandPts ? "Branding consistent" : "Missing",
+    max: W.faviconOg,
+    notes: hasBrand ? "Branding consistent" : "Missing",
     raw: { favicon: entity.favicon || "", ogImage: entity.ogImage || "" }
   });
 
@@ -255,15 +253,21 @@ function scoreEntity({ entity, surfaces = [] }) {
      FINAL
      ============================================================ */
 
-  const entityScore = clamp(Math.round((total / MAX_SCORE) * 100), 0, 100);
+  // Denominator is what this scorer can award under the profile
+  const maxTotal = breakdown.reduce((sum, b) => sum + b.max, 0);
+  const entityScore = clamp(pct(total, maxTotal), 0, 100);
 
   return {
     entityScore,
     breakdown,
+    profile: profileInfo(profile),
     tierScores: {
       tier1: { label: "Entity comprehension & trust", normalized: entityScore },
-      tier2: { label: "Structural data fidelity", normalized: clamp(schemaPts * 12.5, 0, 100) },
-      tier3: { label: "Page-level hygiene", normalized: clamp((titlePts + metaPts + brandPts) * 10, 0, 100) }
+      tier2: { label: "Structural data fidelity", normalized: pct(schemaPts, W.schemaPresence) },
+      tier3: {
+        label: "Page-level hygiene",
+        normalized: pct(titlePts + metaPts + brandPts, W.title + W.metaDescription + W.faviconOg)
+      }
     }
   };
 }
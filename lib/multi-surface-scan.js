@@ -21,15 +21,30 @@ export async function multiSurfaceScan({
 }) {
   const startedAt = Date.now();
 
-  // 1️⃣ Discover identity surfaces
-  const discovery = await discoverSurfaces(url);
-
-  const surfaces = discovery.surfaceMap || {};
   const surfaceResults = {};
   const errors = [];
 
-  // 2️⃣ Crawl each surface (sequential = safer, more realistic)
+  // 1️⃣ Crawl the homepage once; discovery reuses it
+  let home = null;
+  try {
+    home = await crawlPage({ url, mode });
+    surfaceResults.home = { surface: "home", url: url.replace(/\/$/, ""), result: home };
+  } catch (err) {
+    errors.push({
+      surface: "home",
+      url,
+      error: err.message || "surface-crawl-failed"
+    });
+  }
+
+  // 2️⃣ Discover identity surfaces
+  const discovery = await discoverSurfaces(url, { home });
+  const surfaces = discovery.surfaceMap || {};
+
+  // 3️⃣ Crawl each remaining surface (sequential = safer, more realistic)
   for (const [surfaceKey, surfaceUrl] of Object.entries(surfaces)) {
+    if (surfaceKey === "home") continue;
+
     try {
       const result = await crawlPage({
         url: surfaceUrl,
@@ -50,7 +65,7 @@ export async function multiSurfaceScan({
     }
   }
 
-  // 3️⃣ Return unified response
+  // 4️⃣ Return unified response
   return {
     success: true,
     baseUrl: url,
@@ -58,6 +73,7 @@ export async function multiSurfaceScan({
     surfacesDiscovered: Object.keys(surfaces),
     surfaceCount: Object.keys(surfaces).length,
     degradedDiscovery: discovery.degraded || false,
+    surfaceSources: discovery.sources || {},
 
     surfaces: surfaceResults,
     errors,
@@ -4,6 +4,8 @@
 // Contract: surfaces MUST be an array of crawl results
 // No ontology. No guessing. No reshaping upstream.
 
+import { schemaIndex, schemaTypesOf } from "../shared/schema-graph.js";
+
 export function aggregateSurfaces({ surfaces }) {
   if (!Array.isArray(surfaces)) {
     throw new Error("surface-aggregator: surfaces must be an array");
@@ -70,17 +72,8 @@ export function aggregateSurfaces({ surfaces }) {
     if (canonicalHref) totals.canonicals.add(canonicalHref);
 
     /* ---------- Schema aggregation ---------- */
-    for (const obj of schemaObjects) {
-      if (!obj || typeof obj !== "object") continue;
-
-      const type = obj["@type"];
-      if (type) {
-        if (Array.isArray(type)) {
-          type.forEach(t => totals.schemaTypes.add(t));
-        } else {
-          totals.schemaTypes.add(type);
-        }
-      }
+    for (const obj of schemaIndex(schemaObjects).nodes) {
+      schemaTypesOf(obj).forEach(t => totals.schemaTypes.add(t));
 
       if (Array.isArray(obj.sameAs)) {
         for (const link of obj.sameAs) {
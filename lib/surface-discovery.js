@@ -3,8 +3,9 @@
 // Static-only | Deterministic | Identity-first
 // Designed to simulate AI surface sampling (not SEO crawling)
 
-import axios from "axios";
-import * as cheerio from "cheerio";
+import { fetchRobotsPolicy } from "./crawl-core/robots-policy.js";
+import { fetchPage, parsePage } from "./crawl-core/crawl-engine.js";
+import { collectSitemapUrls } from "./crawl-core/sitemap.js";
 
 /* ============================================================
    CONFIG
@@ -19,10 +20,6 @@ const SURFACE_PRIORITY = [
 ];
 
 const MAX_SURFACES = 4;
-const TIMEOUT_MS = 15000;
-
-const STATIC_UA =
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) exmxc-discovery/1.0 Safari/537.36";
 
 /* ============================================================
    HELPERS
@@ -44,6 +41,76 @@ function sameOrigin(urlA, urlB) {
   }
 }
 
+// Sitemaps often list the apex and www hosts interchangeably
+function sameSite(urlA, urlB) {
+  try {
+    const a = new URL(urlA).hostname.replace(/^www\./i, "");
+    const b = new URL(urlB).hostname.replace(/^www\./i, "");
+    return a === b;
+  } catch {
+    return false;
+  }
+}
+
+function pathDepth(url) {
+  try {
+    return new URL(url).pathname.split("/").filter(Boolean).length;
+  } catch {
+    return Infinity;
+  }
+}
+
+// Shallowest path wins; ties go to the most recently modified entry
+function betterCandidate(a, b) {
+  if (!b) return true;
+  const depthA = pathDepth(a.loc);
+  const depthB = pathDepth(b.loc);
+  if (depthA !== depthB) return depthA < depthB;
+  return (a.lastmod || "") > (b.lastmod || "");
+}
+
+async function discoverFromSitemaps(homeUrl, knownRobots = null) {
+  const robots = knownRobots || await fetchRobotsPolicy(homeUrl);
+  const { sitemaps, urls } = await collectSitemapUrls(homeUrl, {
+    seeds: robots.sitemaps || []
+  });
+
+  const candidates = new Map();
+
+  for (const entry of urls) {
+    const absolute = normalizeUrl(entry.loc, homeUrl);
+    if (!absolute) continue;
+    if (!sameSite(absolute, homeUrl)) continue;
+
+    const surfaceKey = matchSurface(new URL(absolute).pathname);
+    if (!surfaceKey) continue;
+
+    const candidate = { loc: absolute, lastmod: entry.lastmod };
+    if (betterCandidate(candidate, candidates.get(surfaceKey))) {
+      candidates.set(surfaceKey, candidate);
+    }
+  }
+
+  return {
+    candidates,
+    sitemap: {
+      fromRobots: robots.sitemaps || [],
+      fetched: sitemaps,
+      urlCount: urls.length
+    }
+  };
+}
+
+function fillFromSitemap(surfaces, sources, candidates) {
+  for (const { key } of SURFACE_PRIORITY) {
+    if (surfaces.size >= MAX_SURFACES) break;
+    if (surfaces.has(key) || !candidates.has(key)) continue;
+
+    surfaces.set(key, candidates.get(key).loc);
+    sources[key] = "sitemap";
+  }
+}
+
 function matchSurface(href) {
   for (const surface of SURFACE_PRIORITY) {
     for (const pattern of surface.patterns) {
@@ -59,43 +126,30 @@ function matchSurface(href) {
    DISCOVERY ENGINE
    ============================================================ */
 
-export async function discoverSurfaces(homeUrl) {
+// `home` is an already-crawled homepage (crawl-engine result); without it
+// the homepage is fetched through the same engine
+export async function discoverSurfaces(homeUrl, { home = null } = {}) {
   const surfaces = new Map();
+  const sources = {};
 
   // Always include homepage
   const normalizedHome = homeUrl.replace(/\/$/, "");
   surfaces.set("home", normalizedHome);
-
-  let html = "";
-
-  try {
-    const resp = await axios.get(homeUrl, {
-      timeout: TIMEOUT_MS,
-      maxRedirects: 5,
-      headers: {
-        "User-Agent": STATIC_UA,
-        Accept: "text/html"
-      },
-      validateStatus: (s) => s >= 200 && s < 400
-    });
-
-    html = typeof resp.data === "string" ? resp.data : "";
-  } catch {
-    // If homepage fetch fails, return homepage only
-    return {
-      surfaces: Array.from(surfaces.values()),
-      surfaceMap: Object.fromEntries(surfaces),
-      degraded: true
-    };
+  sources.home = "input";
+
+  let links = home?.pageLinks || [];
+  let degraded = false;
+
+  if (!home) {
+    try {
+      const page = await fetchPage(homeUrl);
+      links = parsePage(page.html, page.finalUrl).pageLinks;
+    } catch {
+      // Homepage fetch failed — sitemaps may still reveal surfaces
+      degraded = true;
+    }
   }
 
-  const $ = cheerio.load(html);
-
-  const links = $("a[href]")
-    .map((_, el) => $(el).attr("href"))
-    .get()
-    .filter(Boolean);
-
   for (const rawHref of links) {
     if (surfaces.size >= MAX_SURFACES) break;
 
@@ -108,11 +162,22 @@ export async function discoverSurfaces(homeUrl) {
     if (surfaces.has(surfaceKey)) continue;
 
     surfaces.set(surfaceKey, absolute);
+    sources[surfaceKey] = "links";
+  }
+
+  let sitemap = null;
+
+  if (surfaces.size < MAX_SURFACES) {
+    const fromSitemaps = await discoverFromSitemaps(homeUrl, home?.robots);
+    fillFromSitemap(surfaces, sources, fromSitemaps.candidates);
+    sitemap = fromSitemaps.sitemap;
   }
 
   return {
     surfaces: Array.from(surfaces.values()),
     surfaceMap: Object.fromEntries(surfaces),
-    degraded: false
+    sources,
+    sitemap,
+    degraded
   };
 }
@@ -0,0 +1,177 @@
+// /shared/ecc.js — ECC scoring pipeline
+// page -> inputs snapshot -> scorers -> weight profile -> ECC + tiers
+// The snapshot is plain JSON, so a scored audit can be re-scored later
+// (what-if simulation) without re-crawling.
+
+import * as cheerio from "cheerio";
+
+import {
+  scoreTitle,
+  scoreMetaDescription,
+  scoreCanonical,
+  scoreSchemaPresence,
+  scoreOrgSchema,
+  scoreBreadcrumbSchema,
+  scoreAuthorPerson,
+  scoreSocialLinks,
+  scoreAICrawlSignals,
+  scoreLlmsTxt,
+  scoreContentDepth,
+  scoreInternalLinks,
+  scoreExternalLinks,
+  scoreFaviconOg,
+  tierFromScore
+} from "./scoring.js";
+import {
+  WEIGHT_PROFILES,
+  applyWeightProfile,
+  totalWeight
+} from "./weights.js";
+
+/* ----------- Tier Mapping ----------- */
+
+export const SIGNAL_TIER = {
+  "Title Precision": "tier3",
+  "Meta Description Integrity": "tier3",
+  "Canonical Clarity": "tier3",
+  "Brand & Technical Consistency": "tier3",
+
+  "Schema Presence & Validity": "tier2",
+  "Organization Schema": "tier2",
+  "Breadcrumb Schema": "tier2",
+  "Author/Person Schema": "tier2",
+
+  "Social Entity Links": "tier1",
+  "Internal Lattice Integrity": "tier1",
+  "External Authority Signal": "tier1",
+  "AI Crawl Fidelity": "tier1",
+  "LLMs.txt Guidance": "tier1",
+  "Inference Efficiency": "tier1"
+};
+
+export const TIER_LABELS = {
+  tier1: "Entity comprehension & trust",
+  tier2: "Structural data fidelity",
+  tier3: "Page-level hygiene"
+};
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+/* ----------- Inputs Snapshot ----------- */
+
+// From a crawl-engine result (lib/crawl-core/crawl-engine.js) and its
+// transport analysis (lib/crawl-core/transport.js) and identity-meta
+// audit (lib/crawl-core/identity-meta.js)
+export function extractScoringInputs(
+  crawl = {},
+  { url, host, llms = null, blocked = false, transport = null, identity = null }
+) {
+  const robots = crawl.robots || null;
+  const { text, ...content } = crawl.content || {};
+
+  return {
+    url,
+    host,
+    blocked,
+    finalUrl: crawl.finalUrl || url,
+    redirectUrls: (crawl.redirectChain || []).map(h => h.url),
+
+    title: crawl.title || "",
+    description: crawl.description || "",
+    canonicalHref: crawl.canonicalHref || "",
+    headerCanonical: transport?.headers.linkCanonical || "",
+    favicon: crawl.favicon || "",
+    ogImage: crawl.ogImage || "",
+    identity: identity ? { fields: identity.fields, summary: identity.summary } : null,
+    metaAuthor: crawl.metaAuthor || "",
+    metaRobots: crawl.metaRobots || "",
+    xRobotsTag: transport?.headers.xRobotsTag.directives || [],
+    aiPing: !!crawl.aiPing,
+    wordCount: crawl.diagnostics?.wordCount || 0,
+    content: crawl.content ? content : null,
+
+    schemaObjects: crawl.schemaObjects || [],
+    pageLinks: crawl.pageLinks || [],
+
+    robotsPolicy: robots
+      ? {
+          url: robots.url,
+          status: robots.status,
+          posture: robots.posture,
+          blockedAgents: robots.blockedAgents || [],
+          agents: robots.agents || {}
+        }
+      : null,
+    llms
+  };
+}
+
+/* ----------- Scoring ----------- */
+
+// Scorers read only the snapshot; an empty document keeps their
+// DOM fallbacks inert
+export function runScorers(inputs) {
+  const $ = cheerio.load("");
+  const schemaObjects = inputs.schemaObjects || [];
+  const pageLinks = inputs.pageLinks || [];
+
+  return [
+    scoreTitle($, inputs),
+    scoreMetaDescription($, inputs),
+    scoreCanonical($, inputs.url, inputs),
+    scoreSchemaPresence(schemaObjects),
+    scoreOrgSchema(schemaObjects),
+    scoreBreadcrumbSchema(schemaObjects),
+    scoreAuthorPerson(schemaObjects, $, inputs),
+    scoreSocialLinks(schemaObjects, pageLinks),
+    scoreAICrawlSignals($, inputs),
+    scoreLlmsTxt(inputs.llms),
+    scoreContentDepth($, inputs),
+    scoreInternalLinks(pageLinks, inputs.host),
+    scoreExternalLinks(pageLinks, inputs.host),
+    scoreFaviconOg($, inputs)
+  ];
+}
+
+export function computeEcc(inputs, profile = WEIGHT_PROFILES.default) {
+  const results = applyWeightProfile(runScorers(inputs), profile);
+
+  let totalRaw = 0;
+  const tierRaw = { tier1: 0, tier2: 0, tier3: 0 };
+  const tierMax = { tier1: 0, tier2: 0, tier3: 0 };
+
+  for (const sig of results) {
+    const safe = clamp(sig.points || 0, 0, sig.max);
+    const tier = SIGNAL_TIER[sig.key] || "tier3";
+    totalRaw += safe;
+    tierRaw[tier] += safe;
+    tierMax[tier] += sig.max;
+  }
+
+  const total = totalWeight(profile.weights);
+  const eccScore = inputs.blocked || !total
+    ? 0
+    : clamp(Math.round((totalRaw * 100) / total), 0, 100);
+
+  const tierScores = {};
+  for (const tier of Object.keys(TIER_LABELS)) {
+    tierScores[tier] = {
+      label: TIER_LABELS[tier],
+      raw: Number(tierRaw[tier].toFixed(2)),
+      maxWeight: tierMax[tier],
+      normalized:
+        tierMax[tier] > 0
+          ? Number(((tierRaw[tier] / tierMax[tier]) * 100).toFixed(2))
+          : 0
+    };
+  }
+
+  return {
+    results,
+    eccScore,
+    tierScores,
+    stage: tierFromScore(eccScore)
+  };
+}
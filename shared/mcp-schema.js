@@ -18,7 +18,8 @@ export function buildMcpAuditOutput({
   signals,
   breakdown,
   notes = [],
-  capability = null
+  capability = null,
+  ecosystems = []
 }) {
   const hostname = hostnameOf(url);
 
@@ -27,6 +28,7 @@ export function buildMcpAuditOutput({
 
   const primary = signals?.primary || {};
   const secondary = signals?.secondary || {};
+  const discovery = signals?.discovery || {};
 
   for (const [key, value] of Object.entries(primary)) {
     if (value?.detected) detected.push(key);
@@ -38,6 +40,11 @@ export function buildMcpAuditOutput({
     else missing.push(key);
   }
 
+  for (const [key, value] of Object.entries(discovery)) {
+    if (value?.detected) detected.push(key);
+    else missing.push(key);
+  }
+
   return {
     success: true,
     url,
@@ -49,16 +56,19 @@ export function buildMcpAuditOutput({
     },
     signals: {
       primary,
-      secondary
+      secondary,
+      discovery
     },
     signals_detected: detected,
     signals_missing: missing,
     breakdown,
+    ecosystems,
     notes,
     capability: capability || {
       mcp_present: false,
       mcp_exposure: "unknown",
       mcp_auth: "unknown",
+      mcp_verified: false,
       evidence: { items: [] }
     },
     timestamp: new Date().toISOString()
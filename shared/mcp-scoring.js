@@ -3,6 +3,8 @@
 
 import {
   MCP_BAND_THRESHOLDS,
+  MCP_DISCOVERY_SIGNALS,
+  MCP_ECOSYSTEMS,
   MCP_MAX_SCORE,
   MCP_PRIMARY_SIGNALS,
   MCP_SECONDARY_SIGNALS
@@ -19,6 +21,15 @@ function resolveBand(score) {
   return "not-ready";
 }
 
+// Which agent ecosystems can find this domain, and through which signals
+function resolveEcosystems(groups) {
+  const all = Object.assign({}, ...groups);
+  return Object.entries(MCP_ECOSYSTEMS).map(([key, eco]) => {
+    const via = eco.signals.filter(name => all[name]?.detected === true);
+    return { key, label: eco.label, discoverable: via.length > 0, via };
+  });
+}
+
 function lineItem(label, points, max, notes, evidence = null) {
   return {
     key: label,
@@ -29,9 +40,11 @@ function lineItem(label, points, max, notes, evidence = null) {
   };
 }
 
-export function calculateMcpScore(signals = {}) {
+// handshake: probeMcpServers result; a live server makes the domain MCP-discoverable
+export function calculateMcpScore(signals = {}, { handshake = null } = {}) {
   const primary = signals.primary || {};
   const secondary = signals.secondary || {};
+  const discovery = signals.discovery || {};
 
   const breakdown = [];
   let total = 0;
@@ -47,12 +60,23 @@ export function calculateMcpScore(signals = {}) {
     if (detected && valid) {
       points = cfg.weight;
       notes = "Detected and schema-valid";
+
+      // OpenAPI: presence is 40%, agent-usability the rest
+      if (key === "openapi" && sig.analysis) {
+        points = Math.round(cfg.weight * (0.4 + 0.6 * (sig.analysis.usability / 100)));
+        notes = `Detected; agent-usability ${sig.analysis.usability}/100 across ${sig.analysis.operations} operation(s)`;
+      }
+      if (key === "toolRegistry" && sig.quality) {
+        notes = `Detected; tool quality grade ${sig.quality.grade} across ${sig.quality.tools} tool(s)`;
+      }
     }
 
     total += points;
     breakdown.push(lineItem(cfg.label, points, cfg.weight, notes, {
       status: sig.status ?? null,
-      url: sig.url ?? null
+      url: sig.url ?? null,
+      ...(sig.analysis ? { usability: sig.analysis.usability, worst: sig.analysis.worst } : {}),
+      ...(sig.quality ? { grade: sig.quality.grade, qualityScore: sig.quality.score } : {})
     }));
   }
 
@@ -81,6 +105,14 @@ export function calculateMcpScore(signals = {}) {
         points = Math.round(cfg.weight * 0.5);
         notes = "Minimal structured data";
       }
+    } else if (key === "llmsTxt") {
+      if (detected && sig.valid === true) {
+        points = cfg.weight;
+        notes = "llms.txt structured and links resolve";
+      } else if (detected) {
+        points = Math.round(cfg.weight * 0.5);
+        notes = "llms.txt present with issues";
+      }
     } else if (detected) {
       points = cfg.weight;
       notes = "Detected";
@@ -93,12 +125,40 @@ export function calculateMcpScore(signals = {}) {
     }));
   }
 
+  for (const [key, cfg] of Object.entries(MCP_DISCOVERY_SIGNALS)) {
+    const sig = discovery[key] || {};
+
+    let points = 0;
+    let notes = "Not found";
+
+    if (sig.detected && sig.valid) {
+      points = cfg.weight;
+      notes = "Detected and valid";
+    } else if (sig.detected) {
+      points = Math.round(cfg.weight * 0.5);
+      notes = sig.issues?.length ? `Present; ${sig.issues[0]}` : "Present but incomplete";
+    }
+
+    total += points;
+    breakdown.push(lineItem(cfg.label, points, cfg.weight, notes, {
+      status: sig.status ?? null,
+      url: sig.url ?? null
+    }));
+  }
+
   const score = clamp(Math.round(total), 0, MCP_MAX_SCORE);
   const band = resolveBand(score);
+  const ecosystems = resolveEcosystems([
+    primary,
+    secondary,
+    discovery,
+    { mcpServer: { detected: handshake?.server?.ok === true } }
+  ]);
 
   return {
     score,
     band,
-    breakdown
+    breakdown,
+    ecosystems
   };
 }
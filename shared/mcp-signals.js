@@ -1,27 +1,64 @@
 // /shared/mcp-signals.js
 // MCP Readiness signal definitions and scoring weights
 
+// paths: candidate locations, most authoritative first (paths[0] is the
+// well-known one). linkPattern: which service-desc / docs-page links can
+// hold this manifest.
 export const MCP_PRIMARY_SIGNALS = {
   toolRegistry: {
     key: "toolRegistry",
     label: "Tool Registry",
-    path: "/.well-known/tool-registry.json",
-    weight: 25
+    paths: [
+      "/.well-known/tool-registry.json",
+      "/tool-registry.json",
+      "/api/tool-registry.json",
+      "/.well-known/tools.json"
+    ],
+    linkPattern: /tool-registry|\/tools\.json/i,
+    weight: 22
   },
   openapi: {
     key: "openapi",
     label: "OpenAPI Specification",
-    path: "/.well-known/openapi.json",
-    weight: 25
+    paths: [
+      "/.well-known/openapi.json",
+      "/.well-known/openapi.yaml",
+      "/openapi.json",
+      "/openapi.yaml",
+      "/api/openapi.json",
+      "/swagger.json",
+      "/v3/api-docs",
+      "/docs/openapi.json",
+      "/api-docs",
+      "/swagger/v1/swagger.json"
+    ],
+    linkPattern: /openapi|swagger|api-docs|\.ya?ml(\?|$)/i,
+    weight: 22
   },
   aiPlugin: {
     key: "aiPlugin",
     label: "AI Plugin Manifest",
-    path: "/.well-known/ai-plugin.json",
-    weight: 20
+    paths: ["/.well-known/ai-plugin.json", "/ai-plugin.json"],
+    linkPattern: /ai-plugin\.json/i,
+    weight: 14
   }
 };
 
+// Requests the primary-signal search may spend per audit (?budget= overrides
+// total). Docs pages fetched to find linked specs count against it.
+// perSignal: declared links + ranked paths; docsLinks: docs-page links on top.
+// deadlineMs: wall-clock cap on the whole search, however many requests remain.
+// discovery: separate allowance for the agent-ecosystem well-known files, so
+// a long manifest search can't starve them (or vice versa)
+export const MCP_PROBE_BUDGET = {
+  total: 24,
+  perSignal: 10,
+  docsLinks: 3,
+  docsPages: 3,
+  deadlineMs: 20000,
+  discovery: 10
+};
+
 export const MCP_ADDITIONAL_WELL_KNOWN = {
   mcpManifest: {
     key: "mcpManifest",
@@ -30,33 +67,91 @@ export const MCP_ADDITIONAL_WELL_KNOWN = {
   }
 };
 
+// All weights share one 100-point scale. New signals are paid for from the
+// weakest evidence rather than by growing the total: llms.txt's 4 points came
+// from jsonEndpoints (8 -> 6) and datasets (6 -> 4), since a 200 at /health or
+// /api, or a data directory, says little about how an agent should use the
+// site. The discovery signals below were funded the same way across the board.
 export const MCP_SECONDARY_SIGNALS = {
   apiDocs: {
     key: "apiDocs",
     label: "API Documentation",
-    weight: 10,
+    weight: 8,
     paths: ["/docs", "/api", "/developers", "/swagger", "/redoc"]
   },
   jsonEndpoints: {
     key: "jsonEndpoints",
     label: "Machine-readable JSON Endpoints",
-    weight: 8,
+    weight: 5,
     paths: ["/api", "/api/v1", "/status.json", "/health", "/version", "/feed.json"]
   },
   datasets: {
     key: "datasets",
     label: "Dataset Exposure",
-    weight: 6,
+    weight: 3,
     paths: ["/data", "/datasets", "/open-data"],
     extensions: [".csv", ".jsonl", ".ndjson", ".parquet"]
   },
   structuredData: {
     key: "structuredData",
     label: "Structured Data for Agents",
+    weight: 5
+  },
+  llmsTxt: {
+    key: "llmsTxt",
+    label: "LLMs.txt Guidance",
+    weight: 4,
+    paths: ["/llms.txt", "/llms-full.txt"]
+  }
+};
+
+// Discovery formats of other agent ecosystems. paths are tried in order;
+// format "text" is fetched as plain text instead of JSON/YAML.
+export const MCP_DISCOVERY_SIGNALS = {
+  a2aAgentCard: {
+    key: "a2aAgentCard",
+    label: "A2A Agent Card",
+    paths: ["/.well-known/agent-card.json", "/.well-known/agent.json"],
     weight: 6
+  },
+  agentsJson: {
+    key: "agentsJson",
+    label: "agents.json",
+    paths: ["/.well-known/agents.json", "/agents.json"],
+    weight: 3
+  },
+  oauthAuthorizationServer: {
+    key: "oauthAuthorizationServer",
+    label: "OAuth Authorization Server Metadata",
+    paths: ["/.well-known/oauth-authorization-server", "/.well-known/openid-configuration"],
+    weight: 3
+  },
+  oauthProtectedResource: {
+    key: "oauthProtectedResource",
+    label: "OAuth Protected Resource Metadata",
+    paths: ["/.well-known/oauth-protected-resource"],
+    weight: 3
+  },
+  securityTxt: {
+    key: "securityTxt",
+    label: "security.txt",
+    paths: ["/.well-known/security.txt", "/security.txt"],
+    format: "text",
+    weight: 2
   }
 };
 
+// Agent ecosystems a domain can be discovered in; any detected signal counts
+export const MCP_ECOSYSTEMS = {
+  mcp: { label: "MCP", signals: ["toolRegistry", "mcpManifest", "mcpServer"] },
+  openapi: { label: "OpenAPI tool calling", signals: ["openapi"] },
+  chatgptPlugins: { label: "ChatGPT plugins", signals: ["aiPlugin"] },
+  a2a: { label: "A2A", signals: ["a2aAgentCard"] },
+  agentsJson: { label: "agents.json", signals: ["agentsJson"] },
+  oauth: { label: "OAuth-delegated access", signals: ["oauthAuthorizationServer", "oauthProtectedResource"] },
+  llmsTxt: { label: "llms.txt", signals: ["llmsTxt"] }
+};
+
 export const MCP_MAX_SCORE = 100;
 
 export const MCP_BAND_THRESHOLDS = {
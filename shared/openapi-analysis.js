@@ -0,0 +1,334 @@
+// /shared/openapi-analysis.js
+// OpenAPI 3.x / Swagger 2.0 agent-usability analysis: resolves local
+// $refs, scores every operation on what an LLM needs to turn it into a
+// tool (id, docs, typed inputs and outputs, auth) and ranks the worst.
+
+const HTTP_METHODS = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+const MAX_OPERATIONS = 500;
+const MAX_REF_DEPTH = 20;
+const WORST_COUNT = 5;
+
+// Per-operation points (sum 100)
+const OPERATION_WEIGHTS = {
+  operationId: 25,
+  summary: 15,
+  description: 15,
+  parameters: 15,
+  requestBody: 10,
+  response: 20
+};
+
+const SCHEMA_SHAPE_KEYS = ["type", "properties", "items", "allOf", "oneOf", "anyOf", "enum", "const", "additionalProperties"];
+
+/* ================================
+   HELPERS
+   ================================ */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function hasText(v, min = 1) {
+  return typeof v === "string" && v.trim().length >= min;
+}
+
+function decodeToken(raw) {
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return undefined;
+  }
+}
+
+// "#/components/schemas/Pet" -> spec.components.schemas.Pet (RFC 6901)
+// Malformed escapes ("#/components/schemas/Off%") resolve to nothing
+function pointer(spec, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#")) return undefined;
+  let node = spec;
+  for (const raw of ref.slice(1).split("/").filter(Boolean)) {
+    const decoded = decodeToken(raw);
+    if (decoded === undefined) return undefined;
+    const key = decoded.replace(/~1/g, "/").replace(/~0/g, "~");
+    if (!isPlainObject(node) && !Array.isArray(node)) return undefined;
+    node = node[key];
+    if (node === undefined) return undefined;
+  }
+  return node;
+}
+
+function makeResolver(spec) {
+  const broken = new Set();
+  const external = new Set();
+
+  // Follows a $ref chain to the first concrete node
+  const resolve = (node) => {
+    let current = node;
+    for (let depth = 0; isPlainObject(current) && typeof current.$ref === "string"; depth++) {
+      const ref = current.$ref;
+      if (depth >= MAX_REF_DEPTH) {
+        broken.add(ref);
+        return null;
+      }
+      if (!ref.startsWith("#")) {
+        external.add(ref);
+        return null;
+      }
+      const target = pointer(spec, ref);
+      if (target === undefined) {
+        broken.add(ref);
+        return null;
+      }
+      current = target;
+    }
+    return current ?? null;
+  };
+
+  return { resolve, broken, external };
+}
+
+/* ================================
+   SCHEMA CHECKS
+   ================================ */
+
+function isTypedSchema(schema, resolve, seen = new Set()) {
+  const s = resolve(schema);
+  if (!isPlainObject(s)) return false;
+  // Recursive schema: judged where it started
+  if (seen.has(s)) return true;
+  seen.add(s);
+
+  if (SCHEMA_SHAPE_KEYS.some(k => k in s)) {
+    // A bare composition is only as typed as its parts
+    if (!("type" in s) && !("properties" in s) && !("enum" in s) && !("const" in s)) {
+      const parts = [...(s.allOf || []), ...(s.oneOf || []), ...(s.anyOf || [])];
+      if (parts.length) return parts.every(p => isTypedSchema(p, resolve, seen));
+    }
+    return true;
+  }
+  return false;
+}
+
+function contentSchemas(content) {
+  if (!isPlainObject(content)) return [];
+  return Object.values(content).map(media => media?.schema).filter(Boolean);
+}
+
+/* ================================
+   OPERATION CHECKS
+   ================================ */
+
+function checkParameters(params, resolve, swagger) {
+  const list = params.map(resolve).filter(isPlainObject).filter(p => p.in !== "body");
+  if (!list.length) return { applicable: false, ok: true, untyped: [] };
+
+  const untyped = list
+    .filter(p => swagger
+      ? !(hasText(p.type) || isTypedSchema(p.schema, resolve))
+      : !(isTypedSchema(p.schema, resolve) || contentSchemas(p.content).some(s => isTypedSchema(s, resolve))))
+    .map(p => p.name || "?");
+  const undocumented = list.filter(p => !hasText(p.description)).map(p => p.name || "?");
+
+  return { applicable: true, ok: !untyped.length, untyped, undocumented };
+}
+
+// No body at all is fine (plenty of POSTs take none); a body must be typed
+function checkRequestBody(op, params, resolve, swagger) {
+  if (swagger) {
+    const body = params.map(resolve).find(p => isPlainObject(p) && p.in === "body");
+    if (!body) return { applicable: false, ok: true };
+    return { applicable: true, ok: isTypedSchema(body.schema, resolve) };
+  }
+
+  const body = resolve(op.requestBody);
+  if (!isPlainObject(body)) return { applicable: false, ok: true };
+  const schemas = contentSchemas(body.content);
+  return { applicable: true, ok: schemas.length > 0 && schemas.every(s => isTypedSchema(s, resolve)) };
+}
+
+function checkResponses(op, resolve, swagger) {
+  const responses = isPlainObject(op.responses) ? op.responses : {};
+  const success = Object.entries(responses).filter(([code]) => /^2\d\d$|^2XX$/i.test(code));
+  if (!success.length) return { ok: false, reason: "No 2xx response" };
+
+  for (const [code, raw] of success) {
+    const r = resolve(raw);
+    if (!isPlainObject(r)) continue;
+    if (code === "204") return { ok: true };
+    if (swagger ? isTypedSchema(r.schema, resolve) : contentSchemas(r.content).some(s => isTypedSchema(s, resolve))) {
+      return { ok: true };
+    }
+  }
+  return { ok: false, reason: "2xx response has no typed schema" };
+}
+
+function checkSecurity(op, spec, schemes) {
+  const requirements = op.security ?? spec.security;
+  // No requirement anywhere: undeclared. [] or [{}]: explicitly public.
+  if (requirements == null) return { declared: false, undefinedSchemes: [] };
+  if (!Array.isArray(requirements)) return { declared: false, undefinedSchemes: [] };
+
+  const names = requirements.flatMap(r => (isPlainObject(r) ? Object.keys(r) : []));
+  return { declared: true, undefinedSchemes: names.filter(n => !schemes.includes(n)) };
+}
+
+/* ================================
+   ANALYZE
+   ================================ */
+
+export function analyzeOpenApi(spec) {
+  if (!isPlainObject(spec) || !isPlainObject(spec.paths)) return null;
+
+  const swagger = typeof spec.swagger === "string";
+  const { resolve, broken, external } = makeResolver(spec);
+
+  const schemes = Object.keys(
+    (swagger ? spec.securityDefinitions : spec.components?.securitySchemes) || {}
+  );
+  const servers = swagger
+    ? (spec.host ? [`${(spec.schemes || ["https"])[0]}://${spec.host}${spec.basePath || ""}`] : [])
+    : (Array.isArray(spec.servers) ? spec.servers.map(s => s?.url).filter(hasText) : []);
+
+  const operations = [];
+  // Pass/fail per check, parallel to operations (coverage reads these)
+  const passed = [];
+  const idCounts = {};
+  let total = 0;
+
+  for (const [path, rawItem] of Object.entries(spec.paths)) {
+    const item = resolve(rawItem);
+    if (!isPlainObject(item)) continue;
+
+    for (const method of HTTP_METHODS) {
+      const op = item[method];
+      if (!isPlainObject(op)) continue;
+      total++;
+      if (operations.length >= MAX_OPERATIONS) continue;
+
+      // Path-level parameters apply unless the operation overrides them
+      const own = Array.isArray(op.parameters) ? op.parameters : [];
+      const inherited = (Array.isArray(item.parameters) ? item.parameters : []).filter(p => {
+        const r = resolve(p);
+        return !own.some(o => {
+          const x = resolve(o);
+          return x?.name === r?.name && x?.in === r?.in;
+        });
+      });
+      const params = [...inherited, ...own];
+
+      const checks = {
+        operationId: hasText(op.operationId),
+        summary: hasText(op.summary),
+        description: hasText(op.description, 20),
+        parameters: checkParameters(params, resolve, swagger),
+        requestBody: checkRequestBody(op, params, resolve, swagger),
+        response: checkResponses(op, resolve, swagger),
+        security: checkSecurity(op, spec, schemes)
+      };
+
+      if (checks.operationId) idCounts[op.operationId] = (idCounts[op.operationId] || 0) + 1;
+
+      let score = 0;
+      const missing = [];
+      const award = (key, ok, label) => {
+        if (ok) score += OPERATION_WEIGHTS[key];
+        else missing.push(label);
+      };
+      award("operationId", checks.operationId, "operationId");
+      award("summary", checks.summary, "summary");
+      award("description", checks.description, "description");
+      award("parameters", checks.parameters.ok, `typed parameters (${checks.parameters.untyped.join(", ")})`);
+      award("requestBody", checks.requestBody.ok, "typed request body");
+      award("response", checks.response.ok, checks.response.reason || "typed response");
+      if (!checks.security.declared) missing.push("security requirement");
+      if (checks.security.undefinedSchemes.length) {
+        missing.push(`undefined security scheme(s): ${checks.security.undefinedSchemes.join(", ")}`);
+      }
+
+      passed.push({
+        operationId: checks.operationId,
+        summary: checks.summary,
+        description: checks.description,
+        parameters: checks.parameters.ok,
+        requestBody: checks.requestBody.ok,
+        response: checks.response.ok,
+        security: checks.security.declared
+      });
+      operations.push({
+        method: method.toUpperCase(),
+        path,
+        operationId: checks.operationId ? op.operationId : null,
+        deprecated: op.deprecated === true,
+        score,
+        securityDeclared: checks.security.declared,
+        undocumentedParams: checks.parameters.undocumented?.length || 0,
+        missing
+      });
+    }
+  }
+
+  const duplicateIds = Object.keys(idCounts).filter(id => idCounts[id] > 1);
+  const count = operations.length;
+  const share = fn => (count ? passed.filter(fn).length / count : 0);
+  const pct = v => Math.round(v * 100);
+
+  const coverage = {
+    operationId: pct(share(p => p.operationId)),
+    summary: pct(share(p => p.summary)),
+    description: pct(share(p => p.description)),
+    typedParameters: pct(share(p => p.parameters)),
+    typedRequestBody: pct(share(p => p.requestBody)),
+    typedResponse: pct(share(p => p.response)),
+    security: pct(share(p => p.security))
+  };
+
+  const operationScore = count ? operations.reduce((s, o) => s + o.score, 0) / count : 0;
+
+  // Spec level: where to call it, how to authenticate, what it is
+  const specChecks = {
+    servers: servers.length > 0,
+    securitySchemes: schemes.length > 0 || share(p => p.security) === 1,
+    securityCoverage: share(p => p.security),
+    info: hasText(spec.info?.title) && hasText(spec.info?.description, 20),
+    refsResolve: broken.size === 0,
+    uniqueOperationIds: duplicateIds.length === 0
+  };
+  const specScore =
+    (specChecks.servers ? 25 : 0) +
+    (specChecks.securitySchemes ? 15 : 0) +
+    specChecks.securityCoverage * 20 +
+    (specChecks.info ? 15 : 0) +
+    (specChecks.refsResolve ? 15 : 0) +
+    (specChecks.uniqueOperationIds ? 10 : 0);
+
+  const usability = count ? Math.round(operationScore * 0.75 + specScore * 0.25) : 0;
+
+  const issues = [];
+  if (!count) issues.push("No operations under paths");
+  if (!servers.length) issues.push(swagger ? "No host declared" : "No servers declared");
+  if (!schemes.length) issues.push("No security schemes declared");
+  const unsecured = operations.filter(o => !o.securityDeclared).length;
+  if (unsecured) issues.push(`${unsecured} operation(s) declare no security requirement`);
+  if (broken.size) issues.push(`${broken.size} unresolvable $ref(s): ${[...broken].slice(0, 5).join(", ")}`);
+  if (external.size) issues.push(`${external.size} external $ref(s) not followed`);
+  if (duplicateIds.length) issues.push(`Duplicate operationId(s): ${duplicateIds.slice(0, 5).join(", ")}`);
+  if (total > count) issues.push(`Analyzed ${count} of ${total} operations`);
+
+  return {
+    version: spec.openapi || spec.swagger,
+    title: spec.info?.title || null,
+    operations: total,
+    analyzed: count,
+    servers,
+    securitySchemes: schemes,
+    refs: { broken: [...broken].slice(0, 20), external: external.size },
+    coverage,
+    specChecks: { ...specChecks, securityCoverage: pct(specChecks.securityCoverage) },
+    usability,
+    worst: [...operations]
+      .sort((a, b) => a.score - b.score || b.missing.length - a.missing.length)
+      .slice(0, WORST_COUNT)
+      .filter(o => o.score < 100 || o.missing.length),
+    issues
+  };
+}
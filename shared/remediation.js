@@ -0,0 +1,532 @@
+// /shared/remediation.js — EEI Remediation Planner
+// Turns scored signals into concrete fixes, ranked by points recoverable
+// per unit of effort, plus a markdown checklist export
+
+import { SOCIAL_HOSTS } from "./scoring.js";
+import { validateSchemaObjects } from "./schema-validator.js";
+
+// 1 = copy/paste in minutes, 2 = template or config change, 3 = content work
+const EFFORT_LABELS = { 1: "low", 2: "medium", 3: "high" };
+
+const MAX_SNIPPET_LINKS = 8;
+
+/* ================================
+   PAGE FACTS
+   ================================ */
+
+function absolute(href, base) {
+  if (!href) return "";
+  try {
+    return new URL(href, base).toString();
+  } catch {
+    return "";
+  }
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    // Stray "%" (e.g. /sale-50%): keep it as written
+    return segment;
+  }
+}
+
+function titleCase(segment) {
+  return decodeSegment(segment)
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/[-_]+/g, " ")
+    .replace(/\b\w/g, c => c.toUpperCase())
+    .trim();
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./i, "");
+  } catch {
+    return "";
+  }
+}
+
+function pageFacts({ url, $, pageLinks = [] }) {
+  const meta = (sel) => ($(sel).attr("content") || "").trim();
+  const title = ($("title").first().text() || "").trim();
+
+  let origin = "";
+  try {
+    origin = new URL(url).origin;
+  } catch {}
+
+  // "Pricing | Acme" -> "Acme"
+  const titleParts = title.split(/\s+[|\-–—]\s+/).filter(Boolean);
+  const siteName =
+    meta('meta[property="og:site_name"]') ||
+    (titleParts.length > 1 ? titleParts[titleParts.length - 1] : "") ||
+    title ||
+    hostOf(url);
+
+  const logoEl = $('img[src*="logo" i], img[alt*="logo" i], img[class*="logo" i]').first();
+  const logo =
+    absolute(logoEl.attr("src"), url) ||
+    absolute($('link[rel="apple-touch-icon"]').attr("href"), url) ||
+    "";
+
+  const ogImage = absolute(meta('meta[property="og:image"]'), url);
+
+  const description =
+    meta('meta[name="description"]') ||
+    meta('meta[property="og:description"]') ||
+    $("main p, article p, p").first().text().replace(/\s+/g, " ").trim();
+
+  const social = [];
+  const seenSocial = new Set();
+  for (const href of pageLinks) {
+    const abs = absolute(href, url);
+    const host = hostOf(abs);
+    if (!host || !SOCIAL_HOSTS.some(s => host.endsWith(s)) || seenSocial.has(host)) continue;
+    seenSocial.add(host);
+    social.push(abs);
+  }
+
+  const internal = [];
+  const seenInternal = new Set();
+  for (const href of pageLinks) {
+    const abs = absolute(href, url);
+    if (!abs || hostOf(abs) !== hostOf(url)) continue;
+    const clean = abs.replace(/[?#].*$/, "");
+    if (seenInternal.has(clean) || clean.replace(/\/$/, "") === origin) continue;
+    seenInternal.add(clean);
+    internal.push(clean);
+  }
+
+  return { url, origin, title, siteName, logo, ogImage, description, social, internal };
+}
+
+function truncate(text, max) {
+  if (!text || text.length <= max) return text || "";
+  return text.slice(0, max - 1).replace(/\s+\S*$/, "") + "…";
+}
+
+function jsonLd(obj) {
+  return [
+    '<script type="application/ld+json">',
+    JSON.stringify({ "@context": "https://schema.org", ...obj }, null, 2),
+    "</script>"
+  ].join("\n");
+}
+
+/* ================================
+   SNIPPET BUILDERS
+   ================================ */
+
+function organizationSnippet(facts) {
+  const org = {
+    "@type": "Organization",
+    "@id": `${facts.origin}/#organization`,
+    name: facts.siteName,
+    url: facts.origin
+  };
+  if (facts.logo || facts.ogImage) org.logo = facts.logo || facts.ogImage;
+  if (facts.ogImage) org.image = facts.ogImage;
+  if (facts.description) org.description = truncate(facts.description, 300);
+  if (facts.social.length) org.sameAs = facts.social;
+  return jsonLd(org);
+}
+
+function breadcrumbSnippet(facts) {
+  let segments = [];
+  try {
+    segments = new URL(facts.url).pathname.split("/").filter(Boolean);
+  } catch {}
+
+  const items = [{ name: "Home", item: `${facts.origin}/` }];
+  let path = "";
+  for (const segment of segments) {
+    path += `/${segment}`;
+    items.push({ name: titleCase(segment), item: `${facts.origin}${path}` });
+  }
+
+  return jsonLd({
+    "@type": "BreadcrumbList",
+    itemListElement: items.map((entry, i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      name: entry.name,
+      item: entry.item
+    }))
+  });
+}
+
+function llmsTxtSnippet(facts) {
+  const links = facts.internal.slice(0, MAX_SNIPPET_LINKS).map(href => {
+    const segment = new URL(href).pathname.split("/").filter(Boolean).pop() || "home";
+    return `- [${titleCase(segment)}](${href})`;
+  });
+
+  return [
+    `# ${facts.siteName}`,
+    "",
+    `> ${truncate(facts.description, 200) || `What ${facts.siteName} is and does, in one sentence.`}`,
+    "",
+    "## Key pages",
+    ...(links.length ? links : [`- [Home](${facts.origin}/)`]),
+    "",
+    "## Optional",
+    `- [Sitemap](${facts.origin}/sitemap.xml)`
+  ].join("\n");
+}
+
+// Pre-identity-audit snapshots: just the two tags the old check looked for
+function brandingFix(facts) {
+  return [{
+    title: "Declare a favicon and og:image",
+    detail: "Gives crawlers and previews a consistent brand mark.",
+    effort: 1,
+    snippetLang: "html",
+    snippet: [
+      `<link rel="icon" href="${facts.origin}/favicon.ico">`,
+      `<meta property="og:image" content="${facts.logo || `${facts.origin}/og-image.png`}">`
+    ].join("\n")
+  }];
+}
+
+/* ================================
+   FIXES PER SIGNAL
+   Each fix: { title, detail, effort, share?, snippet?, snippetLang? }
+   `share` is the fraction of the signal's gap the fix recovers (default 1)
+   ================================ */
+
+const FIXES = {
+  "Title Precision": (sig, facts) => [{
+    title: sig.raw?.title ? "Make the page title specific" : "Add a page title",
+    detail: "Lead with the page topic, end with the brand; keep it 30–65 characters.",
+    effort: 1,
+    snippetLang: "html",
+    snippet: `<title>${sig.raw?.title && sig.raw.title !== facts.siteName
+      ? truncate(sig.raw.title, 45)
+      : "Primary topic of this page"} | ${facts.siteName}</title>`
+  }],
+
+  "Meta Description Integrity": (sig, facts) => [{
+    title: sig.raw?.meta ? "Expand the meta description" : "Add a meta description",
+    detail: "Describe what the entity is and offers in 120–160 characters.",
+    effort: 1,
+    snippetLang: "html",
+    snippet: `<meta name="description" content="${
+      (truncate(facts.description, 160) || `${facts.siteName} — what it is, who it serves and what it offers.`)
+        .replace(/"/g, "&quot;")
+    }">`
+  }],
+
+  "Canonical Clarity": (sig, facts) => [{
+    title: sig.raw?.canonical ? "Point the canonical at a clean absolute URL" : "Add a canonical tag",
+    detail: "Same origin, absolute, no query string or fragment.",
+    effort: 1,
+    snippetLang: "html",
+    snippet: `<link rel="canonical" href="${String(facts.url).replace(/[?#].*$/, "")}">`
+  }],
+
+  "Brand & Technical Consistency": (sig, facts) => {
+    if (!sig.raw?.expected) return brandingFix(facts);
+
+    const attr = v => String(v || "").replace(/"/g, "&quot;");
+    const canonical = String(facts.url).replace(/[?#].*$/, "");
+    const TAGS = {
+      "og:title": `<meta property="og:title" content="${attr(facts.title || facts.siteName)}">`,
+      "og:type": `<meta property="og:type" content="website">`,
+      "og:url": `<meta property="og:url" content="${canonical}">`,
+      "og:site_name": `<meta property="og:site_name" content="${attr(facts.siteName)}">`,
+      "og:image": [
+        `<meta property="og:image" content="${facts.ogImage || `${facts.origin}/og-image.png`}">`,
+        `<meta property="og:image:width" content="1200">`,
+        `<meta property="og:image:height" content="630">`
+      ].join("\n"),
+      "twitter:card": `<meta name="twitter:card" content="summary_large_image">`,
+      "twitter:site": `<meta name="twitter:site" content="@${attr(String(facts.siteName).toLowerCase().replace(/[^a-z0-9_]/g, "").slice(0, 15))}">`,
+      "favicon": `<link rel="icon" href="${facts.origin}/favicon.ico">`,
+      "apple-touch-icon": `<link rel="apple-touch-icon" href="${facts.origin}/apple-touch-icon.png">`,
+      "manifest": `<link rel="manifest" href="${facts.origin}/site.webmanifest">`,
+      "theme-color": `<meta name="theme-color" content="#ffffff">`
+    };
+
+    const fixes = [];
+    const missing = (sig.raw.missing || []).filter(f => TAGS[f]);
+    const wrong = [...new Set([...(sig.raw.disagreements || []), ...(sig.raw.invalid || [])])].filter(f => TAGS[f]);
+
+    if (missing.length) {
+      fixes.push({
+        title: `Add ${missing.length} missing identity tag(s)`,
+        detail: `Missing: ${missing.join(", ")}. Values are pre-filled from the page; verify before publishing.`,
+        effort: 1,
+        share: wrong.length ? 0.6 : 1,
+        snippetLang: "html",
+        snippet: missing.map(f => TAGS[f]).join("\n")
+      });
+    }
+    if (wrong.length) {
+      fixes.push({
+        title: "Align identity tags with the title, canonical and Organization name",
+        detail: `Inconsistent or invalid: ${wrong.join(", ")}. og:image should be at least 1200×630.`,
+        effort: 1,
+        share: missing.length ? 0.4 : 1,
+        snippetLang: "html",
+        snippet: wrong.map(f => TAGS[f]).join("\n")
+      });
+    }
+    return fixes.length ? fixes : brandingFix(facts);
+  },
+
+  "Schema Presence & Validity": (sig, facts, ctx) => {
+    const validation = validateSchemaObjects(ctx.schemaObjects || []);
+    if (!validation.objects.length) {
+      return [{
+        title: "Publish JSON-LD structured data",
+        detail: "Start with an Organization block (see the Organization Schema fix).",
+        effort: 1
+      }];
+    }
+
+    const errors = validation.objects.flatMap(o => o.errors).slice(0, 10);
+    const warnings = validation.objects.flatMap(o => o.warnings).slice(0, 10);
+    const fixes = [];
+
+    if (errors.length) {
+      fixes.push({
+        title: `Fix ${validation.summary.errors} schema error(s)`,
+        detail: errors.map(e => `${e.path}: ${e.message}`).join("\n"),
+        effort: 1,
+        share: 0.8
+      });
+    }
+    if (warnings.length) {
+      fixes.push({
+        title: `Resolve ${validation.summary.warnings} schema warning(s)`,
+        detail: warnings.map(w => `${w.path}: ${w.message}`).join("\n"),
+        effort: 2,
+        share: errors.length ? 0.2 : 1
+      });
+    }
+    if (!fixes.length) {
+      fixes.push({
+        title: "Add more schema objects",
+        detail: "Describe the page itself (WebPage / Article / Product) alongside the Organization.",
+        effort: 2
+      });
+    }
+    return fixes;
+  },
+
+  "Organization Schema": (sig, facts) => [{
+    title: sig.raw ? "Complete the Organization schema" : "Add Organization JSON-LD",
+    detail: "Pre-filled from the page; verify name, logo and profiles before publishing.",
+    effort: 1,
+    snippetLang: "html",
+    snippet: organizationSnippet(facts)
+  }],
+
+  "Breadcrumb Schema": (sig, facts) => [{
+    title: "Add BreadcrumbList JSON-LD",
+    detail: "Derived from the URL path; emit the same structure on every inner page.",
+    effort: 1,
+    snippetLang: "html",
+    snippet: breadcrumbSnippet(facts)
+  }],
+
+  "Author/Person Schema": (sig, facts) => [{
+    title: "Attribute content to a Person",
+    detail: "Add a Person (author, founder or editor) linked to the Organization.",
+    effort: 2,
+    snippetLang: "html",
+    snippet: jsonLd({
+      "@type": "Person",
+      name: "Author Name",
+      jobTitle: "Role",
+      url: `${facts.origin}/about`,
+      worksFor: { "@id": `${facts.origin}/#organization` },
+      sameAs: ["https://www.linkedin.com/in/author-profile"]
+    })
+  }],
+
+  "Social Entity Links": (sig, facts) => {
+    const have = new Set(sig.raw?.distinctSocialHosts || []);
+    const missing = ["linkedin.com", "x.com", "youtube.com", "github.com", "wikipedia.org"]
+      .filter(h => ![...have].some(host => host.endsWith(h)));
+
+    return [{
+      title: "Link official profiles (footer + sameAs)",
+      detail: `Have ${have.size}; aim for 3+. Candidates: ${missing.slice(0, 4).join(", ")}.`,
+      effort: 1,
+      snippetLang: "json",
+      snippet: JSON.stringify({
+        sameAs: [
+          ...facts.social,
+          ...missing.slice(0, Math.max(0, 3 - facts.social.length))
+            .map(h => `https://${h}/your-profile`)
+        ]
+      }, null, 2)
+    }];
+  },
+
+  "AI Crawl Fidelity": (sig) => {
+    const fixes = [];
+    const robotsTxt = sig.raw?.robotsTxt;
+
+    if (sig.raw?.robots && !/index/.test(sig.raw.robots)) {
+      fixes.push({
+        title: "Remove noindex from meta robots",
+        detail: `Current: "${sig.raw.robots}".`,
+        effort: 1,
+        snippetLang: "html",
+        snippet: '<meta name="robots" content="index, follow">'
+      });
+    }
+
+    if (/\b(noindex|none)\b/.test(sig.raw?.xRobotsTag || "")) {
+      fixes.push({
+        title: "Drop noindex from the X-Robots-Tag header",
+        detail: `Current: "${sig.raw.xRobotsTag}". Usually set by the CDN or server config.`,
+        effort: 2
+      });
+    }
+
+    if (robotsTxt?.blockedAgents?.length) {
+      fixes.push({
+        title: `Allow ${robotsTxt.blockedAgents.length} blocked AI crawler(s) in robots.txt`,
+        detail: "Only if AI visibility is the goal; keep private paths disallowed.",
+        effort: 1,
+        snippetLang: "text",
+        snippet: robotsTxt.blockedAgents
+          .map(agent => `User-agent: ${agent}\nAllow: /`)
+          .join("\n\n")
+      });
+    }
+
+    if (!fixes.length && !sig.raw?.aiPing) {
+      fixes.push({
+        title: "Add an explicit AI crawl ping",
+        detail: "A tracking pixel lets you confirm which AI crawlers actually fetch the page.",
+        effort: 2
+      });
+    }
+
+    return fixes;
+  },
+
+  "LLMs.txt Guidance": (sig, facts) => {
+    if (sig.raw?.llmsTxt?.detected && sig.raw?.broken?.length) {
+      return [{
+        title: `Fix ${sig.raw.broken.length} broken llms.txt entr${sig.raw.broken.length === 1 ? "y" : "ies"}`,
+        detail: sig.raw.broken.map(b => `${b.name || b.url}: ${b.reason}`).join("\n"),
+        effort: 1
+      }];
+    }
+
+    return [{
+      title: sig.raw?.llmsTxt?.detected ? "Restructure /llms.txt" : "Publish /llms.txt",
+      detail: "H1 name, blockquote summary, then H2 sections of annotated links.",
+      effort: 1,
+      snippetLang: "markdown",
+      snippet: llmsTxtSnippet(facts)
+    }];
+  },
+
+  "Inference Efficiency": (sig) => {
+    const fixes = [{
+      title: "Deepen on-page context",
+      detail: `${sig.raw?.wordCount || 0} main-content words today; aim for 1,200+ describing what the entity is, does and for whom.`,
+      effort: 3
+    }];
+
+    if (sig.raw?.h1Unique === false) {
+      fixes.push({
+        title: sig.raw.h1Count ? "Keep a single H1" : "Add an H1",
+        detail: "One H1 naming the page's subject, then H2/H3 sections in order.",
+        effort: 1
+      });
+    }
+
+    return fixes;
+  },
+
+  "Internal Lattice Integrity": (sig, facts) => [{
+    title: "Strengthen internal linking",
+    detail: `${sig.raw?.internal || 0} internal of ${sig.raw?.total || 0} links; aim for 10+ and over half internal (nav, footer, related pages).`,
+    effort: 2
+  }],
+
+  "External Authority Signal": () => [{
+    title: "Cite authoritative external sources",
+    detail: "Link to standards bodies, press coverage, partners or registries that corroborate the entity.",
+    effort: 2
+  }]
+};
+
+/* ================================
+   PLAN
+   ================================ */
+
+export function buildRemediationPlan(results = [], ctx = {}) {
+  const facts = pageFacts(ctx);
+  const plan = [];
+
+  for (const sig of results) {
+    const gap = (sig.max || 0) - (sig.points || 0);
+    if (gap <= 0 || !FIXES[sig.key]) continue;
+
+    for (const fix of FIXES[sig.key](sig, facts, ctx)) {
+      const recoverable = Number((gap * (fix.share ?? 1)).toFixed(2));
+      plan.push({
+        signal: sig.key,
+        title: fix.title,
+        detail: fix.detail,
+        effort: EFFORT_LABELS[fix.effort],
+        recoverablePoints: recoverable,
+        priority: Number((recoverable / fix.effort).toFixed(2)),
+        snippet: fix.snippet || null,
+        snippetLang: fix.snippet ? fix.snippetLang || "text" : null
+      });
+    }
+  }
+
+  plan.sort((a, b) => b.priority - a.priority || b.recoverablePoints - a.recoverablePoints);
+  return plan.map((item, i) => ({ rank: i + 1, ...item }));
+}
+
+/* ================================
+   MARKDOWN EXPORT
+   ================================ */
+
+export function remediationMarkdown({ url, ecc, profile, remediation = [] }) {
+  const total = remediation.reduce((sum, r) => sum + r.recoverablePoints, 0);
+  const lines = [
+    `# EEI remediation checklist — ${hostOf(url) || url}`,
+    "",
+    `- URL: ${url}`,
+    `- Current score: ${ecc?.score ?? "n/a"} / ${ecc?.max ?? 100}`,
+    profile ? `- Weight profile: ${profile.id} (v${profile.version}, ${profile.total} pts)` : null,
+    `- Recoverable: ${Number(total.toFixed(2))} weighted pts across ${remediation.length} fixes`,
+    `- Generated: ${new Date().toISOString()}`,
+    ""
+  ].filter(line => line !== null);
+
+  if (!remediation.length) {
+    lines.push("Nothing to fix: every signal is at max.");
+    return lines.join("\n") + "\n";
+  }
+
+  for (const item of remediation) {
+    lines.push(
+      `- [ ] **${item.title}** — ${item.signal} · +${item.recoverablePoints} pts · ${item.effort} effort`
+    );
+    if (item.detail) {
+      for (const detail of item.detail.split("\n")) lines.push(`  - ${detail}`);
+    }
+    if (item.snippet) {
+      lines.push("", "  ```" + (item.snippetLang || ""));
+      for (const line of item.snippet.split("\n")) lines.push(`  ${line}`);
+      lines.push("  ```", "");
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,152 @@
+// /shared/schema-graph.js
+// JSON-LD normalizer: walks nested objects, merges + resolves @id references,
+// and exposes a subtype-aware typed entity index for every scorer
+
+import {
+  normalizeSchemaType,
+  isSchemaSubtype
+} from "./schema-vocabulary.js";
+
+/* ================================
+   HELPERS
+   ================================ */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function typesOf(node) {
+  const raw = node?.["@type"];
+  const list = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return list.map(normalizeSchemaType).filter(Boolean);
+}
+
+function isReference(value) {
+  return isPlainObject(value) &&
+    typeof value["@id"] === "string" &&
+    Object.keys(value).every(k => k === "@id");
+}
+
+function mergeInto(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (key === "@context") continue;
+
+    if (key === "@type") {
+      const merged = new Set([...typesOf(target), ...typesOf(source)]);
+      target["@type"] = merged.size === 1 ? [...merged][0] : [...merged];
+    } else if (target[key] === undefined) {
+      target[key] = value;
+    }
+  }
+}
+
+/* ================================
+   GRAPH BUILD
+   ================================ */
+
+export function buildSchemaGraph(objects = []) {
+  const byId = new Map();
+  const anonymous = [];
+  const referenced = new Set();
+  const visited = new Set();
+
+  const walk = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(walk);
+      return;
+    }
+    if (!isPlainObject(value) || visited.has(value)) return;
+    visited.add(value);
+
+    const id = typeof value["@id"] === "string" ? value["@id"] : null;
+
+    if (isReference(value)) {
+      referenced.add(id);
+      return;
+    }
+
+    if (id) {
+      if (!byId.has(id)) byId.set(id, { "@id": id });
+      mergeInto(byId.get(id), value);
+    } else if (value["@type"]) {
+      anonymous.push(value);
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (key === "@context" || key.startsWith("_")) continue;
+      if (child && typeof child === "object") walk(child);
+    }
+  };
+
+  walk(objects);
+
+  const nodes = [...byId.values(), ...anonymous].filter(n => n["@type"]);
+  const unresolved = [...referenced].filter(id => !byId.has(id));
+
+  return { nodes, byId, unresolved };
+}
+
+/* ================================
+   TYPED ENTITY INDEX (memoized)
+   ================================ */
+
+const INDEX_CACHE = new WeakMap();
+
+export function schemaIndex(schemaObjects = []) {
+  const key = Array.isArray(schemaObjects) ? schemaObjects : [];
+  if (INDEX_CACHE.has(key)) return INDEX_CACHE.get(key);
+
+  const graph = buildSchemaGraph(key);
+
+  const entries = graph.nodes.map(node => ({
+    node,
+    id: node["@id"] || null,
+    types: typesOf(node)
+  }));
+
+  const typeCounts = {};
+  for (const entry of entries) {
+    for (const t of entry.types) typeCounts[t] = (typeCounts[t] || 0) + 1;
+  }
+
+  const ofType = (type) =>
+    entries
+      .filter(e => e.types.some(t => isSchemaSubtype(t, type)))
+      .map(e => e.node);
+
+  const index = {
+    nodes: graph.nodes,
+    typeCounts,
+    unresolvedRefs: graph.unresolved,
+
+    ofType,
+
+    has(type) {
+      return ofType(type).length > 0;
+    },
+
+    // First node of a type (subtypes included), optionally the first
+    // that satisfies `prefer`
+    first(type, prefer = null) {
+      const matches = ofType(type);
+      if (prefer) {
+        const preferred = matches.find(prefer);
+        if (preferred) return preferred;
+      }
+      return matches[0] || null;
+    },
+
+    resolve(value) {
+      if (Array.isArray(value)) return value.map(v => index.resolve(v));
+      if (isReference(value)) return graph.byId.get(value["@id"]) || value;
+      return value;
+    }
+  };
+
+  INDEX_CACHE.set(key, index);
+  return index;
+}
+
+export function schemaTypesOf(node) {
+  return typesOf(node);
+}
@@ -0,0 +1,307 @@
+// /shared/schema-validator.js
+// Offline schema.org validation: unknown types, misspelled properties,
+// value-type mismatches and rich-result requirements, per object
+
+import {
+  normalizeSchemaType,
+  isKnownSchemaType,
+  isKnownSchemaProperty,
+  isSchemaSubtype,
+  propertyRange,
+  richResultRequirements,
+  suggestSchemaType,
+  suggestSchemaProperty,
+  SCHEMA_PROPERTIES
+} from "./schema-vocabulary.js";
+import { schemaIndex } from "./schema-graph.js";
+
+const MAX_DEPTH = 6;
+
+const DATA_TYPES = new Set([
+  "Text", "URL", "Date", "DateTime", "Time",
+  "Number", "Integer", "Boolean", "Duration"
+]);
+
+/* ================================
+   HELPERS
+   ================================ */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function typesOf(node) {
+  const raw = node?.["@type"];
+  const list = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return list.map(normalizeSchemaType).filter(Boolean);
+}
+
+function isReference(value) {
+  return isPlainObject(value) &&
+    typeof value["@id"] === "string" &&
+    Object.keys(value).every(k => k === "@id" || k.startsWith("_"));
+}
+
+function isPresent(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === "string") return value.trim() !== "";
+  if (Array.isArray(value)) return value.some(isPresent);
+  return true;
+}
+
+// Only types with bundled property definitions (directly or inherited)
+// can say a property "does not belong"
+function hasDefinitions(types) {
+  return types.some(t => isKnownSchemaType(t) &&
+    Object.keys(SCHEMA_PROPERTIES).some(d => isSchemaSubtype(t, d)));
+}
+
+function rangeFor(types, property) {
+  const ranges = new Set();
+  for (const t of types) {
+    for (const r of propertyRange(t, property) || []) ranges.add(r);
+  }
+  return ranges.size ? [...ranges] : null;
+}
+
+/* ================================
+   DATATYPE CHECKS
+   ================================ */
+
+const DATE_RE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const TIME_RE = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DURATION_RE = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+const NUMBER_RE = /^[+-]?\d+(\.\d+)?$/;
+
+const DATATYPE_CHECKS = {
+  Text: v => typeof v === "string" || typeof v === "number",
+  URL: v => {
+    if (typeof v !== "string") return false;
+    try {
+      new URL(v);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  Date: v => typeof v === "string" &&
+    (DATE_RE.test(v.trim()) || DATETIME_RE.test(v.trim())),
+  DateTime: v => typeof v === "string" &&
+    (DATETIME_RE.test(v.trim()) || DATE_RE.test(v.trim())),
+  Time: v => typeof v === "string" && TIME_RE.test(v.trim()),
+  Number: v => (typeof v === "number" && Number.isFinite(v)) ||
+    (typeof v === "string" && NUMBER_RE.test(v.trim().replace(/,/g, ""))),
+  Integer: v => (typeof v === "number" && Number.isInteger(v)) ||
+    (typeof v === "string" && /^[+-]?\d+$/.test(v.trim())),
+  Boolean: v => typeof v === "boolean" ||
+    (typeof v === "string" &&
+      /^(true|false|(https?:\/\/)?schema\.org\/(True|False))$/i.test(v.trim())),
+  Duration: v => typeof v === "string" && DURATION_RE.test(v.trim())
+};
+
+function looksRelativeUrl(value) {
+  return typeof value === "string" &&
+    /^(\/|\.\/|\.\.\/|[\w-]+(\.[\w-]+)+(\/|$))/.test(value.trim());
+}
+
+/* ================================
+   OBJECT WALK
+   ================================ */
+
+function validateNode(node, ctx, path, depth, nested) {
+  if (depth > MAX_DEPTH || ctx.visited.has(node)) return;
+  ctx.visited.add(node);
+
+  const types = typesOf(node);
+  const known = [];
+
+  if (!types.length && !nested) {
+    ctx.error(path, "Missing @type");
+  }
+
+  for (const t of types) {
+    if (isKnownSchemaType(t)) {
+      known.push(t);
+      continue;
+    }
+    // A near-miss still gets its properties checked as the intended type
+    const suggestion = suggestSchemaType(t);
+    if (suggestion) {
+      ctx.error(path, `Unknown type "${t}" — did you mean ${suggestion}?`);
+      known.push(suggestion);
+    } else {
+      ctx.warn(path, `Unknown type "${t}"`);
+    }
+  }
+
+  const defined = hasDefinitions(known);
+
+  for (const [prop, value] of Object.entries(node)) {
+    if (prop.startsWith("@") || prop.startsWith("_")) continue;
+
+    const propPath = `${path}.${prop}`;
+    const range = rangeFor(known, prop);
+
+    if (!range) {
+      if (!isKnownSchemaProperty(prop)) {
+        const suggestion = suggestSchemaProperty(prop);
+        if (suggestion) {
+          ctx.error(propPath, `Unknown property "${prop}" — did you mean ${suggestion}?`);
+        } else if (defined) {
+          ctx.warn(propPath, `Unknown property "${prop}"`);
+        }
+      } else if (defined) {
+        ctx.warn(propPath, `"${prop}" is not defined for ${known.join("/")}`);
+      }
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((v, i) => {
+      const valuePath = Array.isArray(value) ? `${propPath}[${i}]` : propPath;
+      validateValue(v, range, ctx, valuePath, depth);
+    });
+  }
+
+  if (!types.length) return;
+  checkRequirements(node, known, ctx, path, nested);
+}
+
+function validateValue(value, range, ctx, path, depth) {
+  if (value === undefined || value === null || value === "") return;
+
+  if (isPlainObject(value)) {
+    if (isReference(value)) return;
+
+    const valueTypes = typesOf(value);
+    if (range && valueTypes.length) {
+      const objectRange = range.filter(r => !DATA_TYPES.has(r));
+      const fits = valueTypes.some(vt =>
+        !isKnownSchemaType(vt) || objectRange.some(r => isSchemaSubtype(vt, r))
+      );
+      if (!fits) {
+        ctx.error(path, `Expected ${range.join(" or ")}, got ${valueTypes.join("/")}`);
+      }
+    }
+
+    // JSON-LD value objects: { "@value": ..., "@language": ... }
+    if (value["@value"] !== undefined) {
+      validateValue(value["@value"], range, ctx, path, depth);
+      return;
+    }
+
+    validateNode(value, ctx, path, depth + 1, true);
+    return;
+  }
+
+  if (!range) return;
+
+  const dataRange = range.filter(r => DATA_TYPES.has(r));
+
+  if (!dataRange.length) {
+    ctx.warn(path, `Expected ${range.join(" or ")} object, got text`);
+    return;
+  }
+
+  if (dataRange.some(r => DATATYPE_CHECKS[r](value))) return;
+
+  if (dataRange.includes("URL") && looksRelativeUrl(value)) {
+    ctx.warn(path, `Relative URL "${value}" — use an absolute URL`);
+    return;
+  }
+
+  const shown = String(value).slice(0, 60);
+  ctx.error(path, `Expected ${dataRange.join(" or ")}, got "${shown}"`);
+}
+
+/* ================================
+   RICH-RESULT REQUIREMENTS
+   ================================ */
+
+function checkRequirements(node, types, ctx, path, nested) {
+  // Merged @id node carries properties declared in other blocks
+  const full = node["@id"] ? ctx.index.resolve({ "@id": node["@id"] }) : node;
+  const has = prop => isPresent(full?.[prop]) || isPresent(node[prop]);
+  const seen = new Set();
+
+  for (const t of types) {
+    const req = richResultRequirements(t);
+    if (!req || seen.has(req.type)) continue;
+    seen.add(req.type);
+
+    // Nested stubs (author: {Person, name}) are advisory, not rich-result roots
+    const report = nested ? ctx.warn : ctx.error;
+
+    for (const prop of req.required || []) {
+      if (!has(prop)) report(path, `${req.type} is missing required "${prop}"`);
+    }
+    for (const group of req.oneOf || []) {
+      if (!group.some(has)) {
+        report(path, `${req.type} needs one of ${group.map(p => `"${p}"`).join(", ")}`);
+      }
+    }
+    if (nested) continue;
+    for (const prop of req.recommended || []) {
+      if (!has(prop)) ctx.warn(path, `${req.type} is missing recommended "${prop}"`);
+    }
+  }
+}
+
+/* ================================
+   PUBLIC API (memoized per array)
+   ================================ */
+
+export function validateSchemaObject(obj, index = schemaIndex([obj])) {
+  const errors = [];
+  const warnings = [];
+  const ctx = {
+    index,
+    visited: new Set(),
+    error: (path, message) => errors.push({ path, message }),
+    warn: (path, message) => warnings.push({ path, message })
+  };
+
+  const types = typesOf(obj);
+  const root = types[0] || "object";
+
+  if (isPlainObject(obj)) validateNode(obj, ctx, root, 0, false);
+  else ctx.error(root, "Not a JSON object");
+
+  return {
+    types,
+    id: obj?.["@id"] || null,
+    syntax: obj?._syntax || "json-ld",
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+const VALIDATION_CACHE = new WeakMap();
+
+export function validateSchemaObjects(schemaObjects = []) {
+  const key = Array.isArray(schemaObjects) ? schemaObjects : [];
+  if (VALIDATION_CACHE.has(key)) return VALIDATION_CACHE.get(key);
+
+  const index = schemaIndex(key);
+  const objects = key.map(obj => validateSchemaObject(obj, index));
+
+  const result = {
+    objects,
+    summary: {
+      objects: objects.length,
+      valid: objects.filter(o => o.valid).length,
+      errors: objects.reduce((n, o) => n + o.errors.length, 0),
+      warnings: objects.reduce((n, o) => n + o.warnings.length, 0)
+    }
+  };
+
+  VALIDATION_CACHE.set(key, result);
+  return result;
+}
+
+// 1 for a clean object, eroded by warnings; objects with errors cap at 0.4
+export function schemaObjectQuality({ errors = [], warnings = [] } = {}) {
+  if (errors.length) return Math.max(0, 0.4 - 0.1 * (errors.length - 1));
+  return Math.max(0.6, 1 - 0.1 * warnings.length);
+}
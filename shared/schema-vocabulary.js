@@ -0,0 +1,1109 @@
+// /shared/schema-vocabulary.js
+// Bundled (offline) schema.org vocabulary subset — type hierarchy,
+// property ranges and rich-result requirements.
+// Only the branches EEI scorers care about; unknown types fall back to Thing
+
+/* ================================
+   TYPE HIERARCHY (child -> parents)
+   ================================ */
+
+const TREE = {
+  Thing: {
+    Organization: {
+      Airline: {},
+      Consortium: {},
+      Corporation: {},
+      EducationalOrganization: {
+        CollegeOrUniversity: {},
+        ElementarySchool: {},
+        HighSchool: {},
+        MiddleSchool: {},
+        Preschool: {},
+        School: {}
+      },
+      FundingScheme: {},
+      GovernmentOrganization: {},
+      LibrarySystem: {},
+      LocalBusiness: {
+        AnimalShelter: {},
+        AutomotiveBusiness: {
+          AutoDealer: {},
+          AutoRepair: {},
+          AutoRental: {},
+          GasStation: {}
+        },
+        ChildCare: {},
+        Dentist: {},
+        DryCleaningOrLaundry: {},
+        EmergencyService: {
+          FireStation: {},
+          PoliceStation: {}
+        },
+        EmploymentAgency: {},
+        EntertainmentBusiness: {
+          AmusementPark: {},
+          ArtGallery: {},
+          Casino: {},
+          ComedyClub: {},
+          MovieTheater: {},
+          NightClub: {}
+        },
+        FinancialService: {
+          AccountingService: {},
+          AutomatedTeller: {},
+          BankOrCreditUnion: {},
+          InsuranceAgency: {}
+        },
+        FoodEstablishment: {
+          Bakery: {},
+          BarOrPub: {},
+          Brewery: {},
+          CafeOrCoffeeShop: {},
+          Distillery: {},
+          FastFoodRestaurant: {},
+          IceCreamShop: {},
+          Restaurant: {},
+          Winery: {}
+        },
+        GovernmentOffice: {},
+        HealthAndBeautyBusiness: {
+          BeautySalon: {},
+          DaySpa: {},
+          HairSalon: {},
+          HealthClub: {},
+          NailSalon: {},
+          TattooParlor: {}
+        },
+        HomeAndConstructionBusiness: {
+          Electrician: {},
+          GeneralContractor: {},
+          HVACBusiness: {},
+          Locksmith: {},
+          MovingCompany: {},
+          Plumber: {},
+          RoofingContractor: {}
+        },
+        LegalService: {
+          Attorney: {},
+          Notary: {}
+        },
+        Library: {},
+        LodgingBusiness: {
+          BedAndBreakfast: {},
+          Campground: {},
+          Hostel: {},
+          Hotel: {},
+          Motel: {},
+          Resort: {},
+          VacationRental: {}
+        },
+        MedicalBusiness: {
+          MedicalClinic: {},
+          Optician: {},
+          Pharmacy: {},
+          Physician: {}
+        },
+        ProfessionalService: {},
+        RadioStation: {},
+        RealEstateAgent: {},
+        SelfStorage: {},
+        ShoppingCenter: {},
+        SportsActivityLocation: {
+          ExerciseGym: {},
+          GolfCourse: {},
+          SkiResort: {}
+        },
+        Store: {
+          BookStore: {},
+          ClothingStore: {},
+          ComputerStore: {},
+          DepartmentStore: {},
+          ElectronicsStore: {},
+          Florist: {},
+          FurnitureStore: {},
+          GroceryStore: {},
+          HardwareStore: {},
+          JewelryStore: {},
+          LiquorStore: {},
+          OutletStore: {},
+          PetStore: {},
+          ShoeStore: {},
+          SportingGoodsStore: {},
+          ToyStore: {}
+        },
+        TelevisionStation: {},
+        TouristInformationCenter: {},
+        TravelAgency: {}
+      },
+      MedicalOrganization: {
+        DiagnosticLab: {},
+        Hospital: {},
+        VeterinaryCare: {}
+      },
+      NGO: {},
+      NewsMediaOrganization: {},
+      OnlineBusiness: {
+        OnlineStore: {}
+      },
+      PerformingGroup: {
+        DanceGroup: {},
+        MusicGroup: {},
+        TheaterGroup: {}
+      },
+      PoliticalParty: {},
+      Project: {
+        FundingAgency: {},
+        ResearchProject: {}
+      },
+      ResearchOrganization: {},
+      SportsOrganization: {
+        SportsTeam: {}
+      },
+      WorkersUnion: {}
+    },
+    Person: {
+      Patient: {}
+    },
+    Place: {
+      AdministrativeArea: {
+        City: {},
+        Country: {},
+        State: {}
+      },
+      CivicStructure: {},
+      Landform: {},
+      Residence: {}
+    },
+    CreativeWork: {
+      Article: {
+        NewsArticle: {},
+        Report: {},
+        ScholarlyArticle: {},
+        SocialMediaPosting: {
+          BlogPosting: {
+            LiveBlogPosting: {}
+          },
+          DiscussionForumPosting: {}
+        },
+        TechArticle: {
+          APIReference: {}
+        }
+      },
+      Blog: {},
+      Book: {},
+      Comment: {
+        Answer: {}
+      },
+      Course: {},
+      Dataset: {},
+      HowTo: {
+        Recipe: {}
+      },
+      MediaObject: {
+        AudioObject: {},
+        ImageObject: {},
+        VideoObject: {}
+      },
+      Movie: {},
+      MusicRecording: {},
+      Question: {},
+      Review: {},
+      SoftwareApplication: {
+        MobileApplication: {},
+        WebApplication: {}
+      },
+      WebPage: {
+        AboutPage: {},
+        CheckoutPage: {},
+        CollectionPage: {},
+        ContactPage: {},
+        FAQPage: {},
+        ItemPage: {},
+        MedicalWebPage: {},
+        ProfilePage: {},
+        QAPage: {},
+        RealEstateListing: {},
+        SearchResultsPage: {}
+      },
+      WebPageElement: {
+        SiteNavigationElement: {},
+        WPFooter: {},
+        WPHeader: {}
+      },
+      WebSite: {}
+    },
+    Event: {
+      BusinessEvent: {},
+      EducationEvent: {},
+      MusicEvent: {},
+      SportsEvent: {}
+    },
+    Product: {
+      IndividualProduct: {},
+      ProductGroup: {},
+      ProductModel: {},
+      Vehicle: {
+        Car: {}
+      }
+    },
+    Intangible: {
+      Brand: {},
+      ItemList: {
+        BreadcrumbList: {},
+        HowToSection: {},
+        OfferCatalog: {}
+      },
+      JobPosting: {},
+      ListItem: {
+        HowToStep: {}
+      },
+      Offer: {
+        AggregateOffer: {}
+      },
+      Rating: {
+        AggregateRating: {}
+      },
+      Service: {
+        FinancialProduct: {}
+      },
+      StructuredValue: {
+        ContactPoint: {
+          PostalAddress: {}
+        },
+        GeoCoordinates: {},
+        MonetaryAmount: {},
+        OpeningHoursSpecification: {},
+        PropertyValue: {},
+        QuantitativeValue: {}
+      }
+    },
+    Action: {
+      SearchAction: {}
+    }
+  }
+};
+
+// Multi-parent types schema.org defines outside the primary tree
+const EXTRA_PARENTS = {
+  LocalBusiness: ["Place"],
+  Dentist: ["MedicalBusiness"],
+  Hospital: ["CivicStructure", "EmergencyService"],
+  Physician: ["MedicalOrganization"],
+  Pharmacy: ["MedicalOrganization"],
+  MedicalClinic: ["MedicalOrganization"],
+  CollegeOrUniversity: ["CivicStructure"],
+  School: ["CivicStructure"],
+  Library: ["CivicStructure"]
+};
+
+export const SCHEMA_TYPE_PARENTS = (() => {
+  const parents = {};
+  const walk = (node, parent) => {
+    for (const [type, children] of Object.entries(node)) {
+      parents[type] = parent ? [parent] : [];
+      walk(children, type);
+    }
+  };
+  walk(TREE, null);
+
+  for (const [type, extra] of Object.entries(EXTRA_PARENTS)) {
+    parents[type] = [...(parents[type] || []), ...extra];
+  }
+
+  return parents;
+})();
+
+// Real schema.org types outside the bundled tree: known, but carry no
+// property definitions here (so only near-miss spellings are flagged)
+const OTHER_SCHEMA_TYPES = [
+  "Accommodation", "Airport", "AlignmentObject", "Apartment",
+  "ApartmentComplex", "Audience", "BroadcastService", "BuyAction",
+  "CategoryCode", "Claim", "ClaimReview", "Clip", "Collection",
+  "CourseInstance", "CreativeWorkSeries", "CriticReview", "DataCatalog",
+  "DataDownload", "DefinedTerm", "DefinedTermSet", "Demand", "Distance",
+  "Drug", "Duration", "EducationalOccupationalCredential", "EmployerReview",
+  "EntryPoint", "Enumeration", "Episode", "Game", "GeoShape",
+  "GovernmentService", "Grant", "Guide", "HotelRoom", "House",
+  "HowToDirection", "HowToSupply", "HowToTip", "HowToTool",
+  "InteractionCounter", "Invoice", "Language", "Legislation",
+  "LocationFeatureSpecification", "Map", "MedicalCondition", "MedicalEntity",
+  "MedicalProcedure", "MedicalSpecialty", "MedicalTherapy", "Menu",
+  "MenuItem", "MenuSection", "MerchantReturnPolicy",
+  "MonetaryAmountDistribution", "Museum", "MusicAlbum", "MusicPlaylist",
+  "NutritionInformation", "Observation", "Occupation",
+  "OccupationalExperienceRequirements", "OfferShippingDetails", "Order",
+  "OrderAction", "OwnershipInfo", "Painting", "Park", "PeopleAudience",
+  "Periodical", "Photograph", "Podcast", "PodcastEpisode", "PodcastSeries",
+  "PriceSpecification", "ProductCollection", "ProgramMembership",
+  "PropertyValueSpecification", "PublicationIssue", "PublicationVolume",
+  "Quotation", "ReadAction", "Reservation", "Room", "Schedule",
+  "ServiceChannel", "SingleFamilyResidence", "SpeakableSpecification",
+  "SpecialAnnouncement", "Specialty", "StadiumOrArena", "Statement", "Suite",
+  "Table", "Taxon", "Thesis", "Ticket", "TouristAttraction",
+  "TouristDestination", "Trip", "TVSeries", "UnitPriceSpecification",
+  "UserReview", "VideoGame", "ViewAction", "VirtualLocation", "WatchAction",
+  "WebContent"
+];
+
+/* ================================
+   PROPERTIES (type -> property -> range)
+   Ranges are "|"-separated schema.org types or
+   DataTypes: Text, URL, Date, DateTime, Time, Number, Integer, Boolean, Duration
+   ================================ */
+
+export const SCHEMA_PROPERTIES = {
+  Thing: {
+    name: "Text",
+    alternateName: "Text",
+    description: "Text",
+    disambiguatingDescription: "Text",
+    url: "URL",
+    image: "ImageObject|URL",
+    sameAs: "URL",
+    identifier: "PropertyValue|Text|URL",
+    additionalType: "URL|Text",
+    mainEntityOfPage: "CreativeWork|URL",
+    potentialAction: "Action",
+    subjectOf: "CreativeWork|Event"
+  },
+  Organization: {
+    legalName: "Text",
+    logo: "ImageObject|URL",
+    foundingDate: "Date",
+    dissolutionDate: "Date",
+    founder: "Person|Organization",
+    foundingLocation: "Place",
+    address: "PostalAddress|Text",
+    location: "Place|PostalAddress|Text|VirtualLocation",
+    contactPoint: "ContactPoint",
+    email: "Text",
+    telephone: "Text",
+    faxNumber: "Text",
+    member: "Organization|Person",
+    memberOf: "Organization|ProgramMembership",
+    employee: "Person",
+    numberOfEmployees: "QuantitativeValue",
+    parentOrganization: "Organization",
+    subOrganization: "Organization",
+    department: "Organization",
+    brand: "Brand|Organization",
+    areaServed: "AdministrativeArea|GeoShape|Place|Text",
+    award: "Text",
+    slogan: "Text",
+    knowsAbout: "Text|Thing|URL",
+    knowsLanguage: "Language|Text",
+    aggregateRating: "AggregateRating",
+    review: "Review",
+    hasOfferCatalog: "OfferCatalog",
+    makesOffer: "Offer",
+    owns: "Product|OwnershipInfo",
+    taxID: "Text",
+    vatID: "Text",
+    duns: "Text",
+    leiCode: "Text",
+    naics: "Text",
+    iso6523Code: "Text",
+    globalLocationNumber: "Text",
+    ethicsPolicy: "CreativeWork|URL",
+    publishingPrinciples: "CreativeWork|URL",
+    diversityPolicy: "CreativeWork|URL",
+    keywords: "DefinedTerm|Text|URL",
+    hasCredential: "EducationalOccupationalCredential",
+    event: "Event",
+    funder: "Organization|Person",
+    sponsor: "Organization|Person"
+  },
+  Place: {
+    address: "PostalAddress|Text",
+    geo: "GeoCoordinates|GeoShape",
+    latitude: "Number|Text",
+    longitude: "Number|Text",
+    telephone: "Text",
+    faxNumber: "Text",
+    hasMap: "Map|URL",
+    logo: "ImageObject|URL",
+    photo: "ImageObject|Photograph",
+    containedInPlace: "Place",
+    containsPlace: "Place",
+    openingHoursSpecification: "OpeningHoursSpecification",
+    specialOpeningHoursSpecification: "OpeningHoursSpecification",
+    amenityFeature: "LocationFeatureSpecification",
+    isAccessibleForFree: "Boolean",
+    publicAccess: "Boolean",
+    maximumAttendeeCapacity: "Integer",
+    smokingAllowed: "Boolean",
+    aggregateRating: "AggregateRating",
+    review: "Review",
+    branchCode: "Text",
+    globalLocationNumber: "Text",
+    keywords: "DefinedTerm|Text|URL"
+  },
+  LocalBusiness: {
+    openingHours: "Text",
+    priceRange: "Text",
+    currenciesAccepted: "Text",
+    paymentAccepted: "Text",
+    branchOf: "Organization"
+  },
+  FoodEstablishment: {
+    servesCuisine: "Text",
+    hasMenu: "Menu|Text|URL",
+    menu: "Menu|Text|URL",
+    acceptsReservations: "Boolean|Text|URL",
+    starRating: "Rating"
+  },
+  LodgingBusiness: {
+    checkinTime: "DateTime|Time",
+    checkoutTime: "DateTime|Time",
+    numberOfRooms: "Number|QuantitativeValue",
+    petsAllowed: "Boolean|Text",
+    starRating: "Rating",
+    availableLanguage: "Language|Text",
+    audience: "Audience"
+  },
+  MedicalOrganization: {
+    medicalSpecialty: "MedicalSpecialty|Text",
+    isAcceptingNewPatients: "Boolean",
+    healthPlanNetworkId: "Text"
+  },
+  Physician: {
+    availableService: "MedicalProcedure|MedicalTherapy|Text",
+    hospitalAffiliation: "Hospital",
+    usNPI: "Text"
+  },
+  EducationalOrganization: {
+    alumni: "Person"
+  },
+  Person: {
+    givenName: "Text",
+    familyName: "Text",
+    additionalName: "Text",
+    honorificPrefix: "Text",
+    honorificSuffix: "Text",
+    jobTitle: "DefinedTerm|Text",
+    worksFor: "Organization",
+    affiliation: "Organization",
+    alumniOf: "EducationalOrganization|Organization",
+    memberOf: "Organization|ProgramMembership",
+    birthDate: "Date",
+    deathDate: "Date",
+    birthPlace: "Place",
+    email: "Text",
+    telephone: "Text",
+    address: "PostalAddress|Text",
+    homeLocation: "ContactPoint|Place",
+    workLocation: "ContactPoint|Place",
+    nationality: "Country",
+    gender: "Text",
+    award: "Text",
+    knowsAbout: "Text|Thing|URL",
+    knowsLanguage: "Language|Text",
+    hasOccupation: "Occupation",
+    hasCredential: "EducationalOccupationalCredential",
+    colleague: "Person|URL",
+    follows: "Person",
+    spouse: "Person",
+    parent: "Person",
+    children: "Person",
+    sibling: "Person",
+    contactPoint: "ContactPoint",
+    brand: "Brand|Organization"
+  },
+  CreativeWork: {
+    headline: "Text",
+    alternativeHeadline: "Text",
+    abstract: "Text",
+    text: "Text",
+    author: "Organization|Person",
+    creator: "Organization|Person",
+    contributor: "Organization|Person",
+    editor: "Person",
+    publisher: "Organization|Person",
+    sourceOrganization: "Organization",
+    copyrightHolder: "Organization|Person",
+    copyrightYear: "Number",
+    datePublished: "Date|DateTime",
+    dateModified: "Date|DateTime",
+    dateCreated: "Date|DateTime",
+    expires: "Date|DateTime",
+    inLanguage: "Language|Text",
+    keywords: "DefinedTerm|Text|URL",
+    about: "Thing",
+    mentions: "Thing",
+    mainEntity: "Thing",
+    isPartOf: "CreativeWork|URL",
+    hasPart: "CreativeWork",
+    thumbnailUrl: "URL",
+    license: "CreativeWork|URL",
+    genre: "Text|URL",
+    audience: "Audience",
+    aggregateRating: "AggregateRating",
+    review: "Review",
+    comment: "Comment",
+    commentCount: "Integer",
+    video: "VideoObject|Clip",
+    audio: "AudioObject|Clip|MusicRecording",
+    offers: "Demand|Offer",
+    isAccessibleForFree: "Boolean",
+    citation: "CreativeWork|Text",
+    position: "Integer|Text",
+    version: "Number|Text",
+    award: "Text",
+    accountablePerson: "Person",
+    speakable: "SpeakableSpecification|URL",
+    contentLocation: "Place",
+    locationCreated: "Place",
+    spatialCoverage: "Place",
+    temporalCoverage: "DateTime|Text|URL",
+    timeRequired: "Duration",
+    educationalLevel: "DefinedTerm|Text|URL",
+    learningResourceType: "DefinedTerm|Text",
+    creativeWorkStatus: "DefinedTerm|Text",
+    encoding: "MediaObject",
+    associatedMedia: "MediaObject",
+    publishingPrinciples: "CreativeWork|URL",
+    funder: "Organization|Person",
+    sponsor: "Organization|Person",
+    translator: "Organization|Person",
+    exampleOfWork: "CreativeWork",
+    workExample: "CreativeWork"
+  },
+  Article: {
+    articleBody: "Text",
+    articleSection: "Text",
+    wordCount: "Integer",
+    backstory: "CreativeWork|Text",
+    pageStart: "Integer|Text",
+    pageEnd: "Integer|Text"
+  },
+  NewsArticle: {
+    dateline: "Text",
+    printColumn: "Text",
+    printEdition: "Text",
+    printPage: "Text",
+    printSection: "Text"
+  },
+  WebPage: {
+    breadcrumb: "BreadcrumbList|Text",
+    lastReviewed: "Date",
+    reviewedBy: "Organization|Person",
+    primaryImageOfPage: "ImageObject",
+    relatedLink: "URL",
+    significantLink: "URL",
+    mainContentOfPage: "WebPageElement",
+    specialty: "Specialty"
+  },
+  WebSite: {
+    issn: "Text"
+  },
+  MediaObject: {
+    contentUrl: "URL",
+    embedUrl: "URL",
+    encodingFormat: "Text|URL",
+    contentSize: "Text",
+    width: "Distance|QuantitativeValue|Integer",
+    height: "Distance|QuantitativeValue|Integer",
+    duration: "Duration",
+    uploadDate: "Date|DateTime",
+    bitrate: "Text",
+    playerType: "Text",
+    regionsAllowed: "Place",
+    caption: "MediaObject|Text"
+  },
+  ImageObject: {
+    representativeOfPage: "Boolean",
+    exifData: "PropertyValue|Text",
+    embeddedTextCaption: "Text"
+  },
+  VideoObject: {
+    transcript: "Text",
+    videoQuality: "Text",
+    thumbnail: "ImageObject",
+    actor: "Person",
+    director: "Person"
+  },
+  ItemList: {
+    itemListElement: "ListItem|Text|Thing",
+    numberOfItems: "Integer",
+    itemListOrder: "Text"
+  },
+  ListItem: {
+    item: "Thing|URL",
+    position: "Integer|Text",
+    nextItem: "ListItem",
+    previousItem: "ListItem"
+  },
+  Product: {
+    brand: "Brand|Organization",
+    manufacturer: "Organization",
+    model: "ProductModel|Text",
+    sku: "Text",
+    mpn: "Text",
+    gtin: "Text|URL",
+    gtin8: "Text",
+    gtin12: "Text",
+    gtin13: "Text",
+    gtin14: "Text",
+    productID: "Text",
+    category: "Text|Thing|URL",
+    color: "Text",
+    material: "Product|Text|URL",
+    pattern: "DefinedTerm|Text",
+    size: "DefinedTerm|QuantitativeValue|Text",
+    weight: "QuantitativeValue",
+    width: "Distance|QuantitativeValue",
+    height: "Distance|QuantitativeValue",
+    depth: "Distance|QuantitativeValue",
+    offers: "AggregateOffer|Offer|Demand",
+    aggregateRating: "AggregateRating",
+    review: "Review",
+    logo: "ImageObject|URL",
+    releaseDate: "Date",
+    itemCondition: "URL|Text",
+    isRelatedTo: "Product|Service",
+    isSimilarTo: "Product|Service",
+    isVariantOf: "ProductGroup|ProductModel",
+    additionalProperty: "PropertyValue",
+    audience: "Audience",
+    award: "Text",
+    countryOfOrigin: "Country",
+    hasMerchantReturnPolicy: "MerchantReturnPolicy",
+    slogan: "Text",
+    keywords: "DefinedTerm|Text|URL"
+  },
+  ProductGroup: {
+    hasVariant: "Product",
+    productGroupID: "Text",
+    variesBy: "DefinedTerm|Text"
+  },
+  Offer: {
+    price: "Number|Text",
+    priceCurrency: "Text",
+    priceValidUntil: "Date",
+    priceSpecification: "PriceSpecification",
+    availability: "URL|Text",
+    availabilityStarts: "Date|DateTime|Time",
+    availabilityEnds: "Date|DateTime|Time",
+    itemCondition: "URL|Text",
+    itemOffered: "Product|Service|Thing",
+    seller: "Organization|Person",
+    offeredBy: "Organization|Person",
+    validFrom: "Date|DateTime",
+    validThrough: "Date|DateTime",
+    sku: "Text",
+    mpn: "Text",
+    gtin: "Text|URL",
+    category: "Text|Thing|URL",
+    eligibleRegion: "GeoShape|Place|Text",
+    areaServed: "AdministrativeArea|GeoShape|Place|Text",
+    shippingDetails: "OfferShippingDetails",
+    hasMerchantReturnPolicy: "MerchantReturnPolicy",
+    acceptedPaymentMethod: "Text|URL",
+    businessFunction: "URL|Text",
+    inventoryLevel: "QuantitativeValue",
+    serialNumber: "Text",
+    warranty: "Text"
+  },
+  AggregateOffer: {
+    lowPrice: "Number|Text",
+    highPrice: "Number|Text",
+    offerCount: "Integer",
+    offers: "Offer|Demand"
+  },
+  Rating: {
+    ratingValue: "Number|Text",
+    bestRating: "Number|Text",
+    worstRating: "Number|Text",
+    author: "Organization|Person",
+    reviewAspect: "Text",
+    ratingExplanation: "Text"
+  },
+  AggregateRating: {
+    ratingCount: "Integer",
+    reviewCount: "Integer",
+    itemReviewed: "Thing"
+  },
+  Review: {
+    reviewRating: "Rating",
+    itemReviewed: "Thing",
+    reviewBody: "Text",
+    reviewAspect: "Text",
+    positiveNotes: "ItemList|ListItem|Text|WebContent",
+    negativeNotes: "ItemList|ListItem|Text|WebContent"
+  },
+  Event: {
+    startDate: "Date|DateTime",
+    endDate: "Date|DateTime",
+    doorTime: "DateTime|Time",
+    duration: "Duration",
+    location: "Place|PostalAddress|Text|VirtualLocation",
+    organizer: "Organization|Person",
+    performer: "Organization|Person",
+    attendee: "Organization|Person",
+    sponsor: "Organization|Person",
+    funder: "Organization|Person",
+    eventStatus: "URL|Text",
+    eventAttendanceMode: "URL|Text",
+    previousStartDate: "Date",
+    offers: "Demand|Offer",
+    inLanguage: "Language|Text",
+    isAccessibleForFree: "Boolean",
+    maximumAttendeeCapacity: "Integer",
+    remainingAttendeeCapacity: "Integer",
+    subEvent: "Event",
+    superEvent: "Event",
+    typicalAgeRange: "Text",
+    audience: "Audience",
+    about: "Thing",
+    keywords: "DefinedTerm|Text|URL",
+    aggregateRating: "AggregateRating",
+    review: "Review",
+    workFeatured: "CreativeWork",
+    recordedIn: "CreativeWork",
+    translator: "Organization|Person"
+  },
+  ContactPoint: {
+    contactType: "Text",
+    telephone: "Text",
+    email: "Text",
+    faxNumber: "Text",
+    areaServed: "AdministrativeArea|GeoShape|Place|Text",
+    availableLanguage: "Language|Text",
+    contactOption: "URL|Text",
+    hoursAvailable: "OpeningHoursSpecification",
+    productSupported: "Product|Text"
+  },
+  PostalAddress: {
+    streetAddress: "Text",
+    addressLocality: "Text",
+    addressRegion: "Text",
+    postalCode: "Text",
+    addressCountry: "Country|Text",
+    postOfficeBoxNumber: "Text"
+  },
+  GeoCoordinates: {
+    latitude: "Number|Text",
+    longitude: "Number|Text",
+    elevation: "Number|Text",
+    address: "PostalAddress|Text",
+    addressCountry: "Country|Text",
+    postalCode: "Text"
+  },
+  OpeningHoursSpecification: {
+    dayOfWeek: "URL|Text",
+    opens: "Time|Text",
+    closes: "Time|Text",
+    validFrom: "Date|DateTime",
+    validThrough: "Date|DateTime"
+  },
+  MonetaryAmount: {
+    currency: "Text",
+    value: "Number|Text|StructuredValue|Boolean",
+    minValue: "Number",
+    maxValue: "Number",
+    validFrom: "Date|DateTime",
+    validThrough: "Date|DateTime"
+  },
+  QuantitativeValue: {
+    value: "Number|Text|StructuredValue|Boolean",
+    minValue: "Number",
+    maxValue: "Number",
+    unitCode: "Text|URL",
+    unitText: "Text",
+    valueReference: "Thing",
+    additionalProperty: "PropertyValue"
+  },
+  PropertyValue: {
+    propertyID: "Text|URL",
+    value: "Number|Text|StructuredValue|Boolean",
+    minValue: "Number",
+    maxValue: "Number",
+    unitCode: "Text|URL",
+    unitText: "Text",
+    valueReference: "Thing",
+    measurementTechnique: "Text|URL"
+  },
+  Question: {
+    acceptedAnswer: "Answer|ItemList",
+    suggestedAnswer: "Answer|ItemList",
+    answerCount: "Integer",
+    upvoteCount: "Integer",
+    downvoteCount: "Integer",
+    eduQuestionType: "Text"
+  },
+  Comment: {
+    upvoteCount: "Integer",
+    downvoteCount: "Integer",
+    parentItem: "Comment|CreativeWork"
+  },
+  Answer: {
+    answerExplanation: "Comment|WebContent"
+  },
+  Action: {
+    target: "EntryPoint|URL",
+    object: "Thing",
+    result: "Thing",
+    agent: "Organization|Person",
+    participant: "Organization|Person",
+    instrument: "Thing",
+    location: "Place|PostalAddress|Text|VirtualLocation",
+    actionStatus: "URL|Text",
+    startTime: "DateTime|Time",
+    endTime: "DateTime|Time",
+    error: "Thing"
+  },
+  SearchAction: {
+    query: "Text",
+    "query-input": "PropertyValueSpecification|Text"
+  },
+  Brand: {
+    logo: "ImageObject|URL",
+    slogan: "Text",
+    aggregateRating: "AggregateRating",
+    review: "Review"
+  },
+  Service: {
+    serviceType: "Text",
+    provider: "Organization|Person",
+    broker: "Organization|Person",
+    brand: "Brand|Organization",
+    areaServed: "AdministrativeArea|GeoShape|Place|Text",
+    audience: "Audience",
+    category: "Text|Thing|URL",
+    offers: "Demand|Offer",
+    hasOfferCatalog: "OfferCatalog",
+    availableChannel: "ServiceChannel",
+    serviceOutput: "Thing",
+    termsOfService: "Text|URL",
+    aggregateRating: "AggregateRating",
+    review: "Review",
+    logo: "ImageObject|URL",
+    slogan: "Text",
+    isRelatedTo: "Product|Service",
+    isSimilarTo: "Product|Service"
+  },
+  JobPosting: {
+    title: "Text",
+    datePosted: "Date|DateTime",
+    validThrough: "Date|DateTime",
+    hiringOrganization: "Organization|Person",
+    jobLocation: "Place",
+    jobLocationType: "Text",
+    applicantLocationRequirements: "AdministrativeArea",
+    employmentType: "Text",
+    baseSalary: "MonetaryAmount|Number|PriceSpecification",
+    estimatedSalary: "MonetaryAmount|MonetaryAmountDistribution|Number",
+    salaryCurrency: "Text",
+    directApply: "Boolean",
+    experienceRequirements: "OccupationalExperienceRequirements|Text",
+    educationRequirements: "EducationalOccupationalCredential|Text",
+    qualifications: "EducationalOccupationalCredential|Text",
+    responsibilities: "Text",
+    skills: "DefinedTerm|Text",
+    industry: "DefinedTerm|Text",
+    occupationalCategory: "CategoryCode|Text",
+    workHours: "Text",
+    jobBenefits: "Text",
+    incentiveCompensation: "Text",
+    totalJobOpenings: "Integer"
+  },
+  SoftwareApplication: {
+    applicationCategory: "Text|URL",
+    applicationSubCategory: "Text|URL",
+    operatingSystem: "Text",
+    softwareVersion: "Text",
+    downloadUrl: "URL",
+    installUrl: "URL",
+    screenshot: "ImageObject|URL",
+    featureList: "Text|URL",
+    fileSize: "Text",
+    memoryRequirements: "Text|URL",
+    storageRequirements: "Text|URL",
+    softwareRequirements: "Text|URL",
+    permissions: "Text",
+    releaseNotes: "Text|URL",
+    countriesSupported: "Text"
+  },
+  HowTo: {
+    step: "CreativeWork|HowToSection|HowToStep|Text",
+    totalTime: "Duration",
+    prepTime: "Duration",
+    performTime: "Duration",
+    tool: "HowToTool|Text",
+    supply: "HowToSupply|Text",
+    yield: "QuantitativeValue|Text",
+    estimatedCost: "MonetaryAmount|Text"
+  },
+  Recipe: {
+    recipeIngredient: "Text",
+    recipeInstructions: "CreativeWork|ItemList|Text",
+    recipeYield: "QuantitativeValue|Text",
+    recipeCategory: "Text",
+    recipeCuisine: "Text",
+    cookTime: "Duration",
+    cookingMethod: "Text",
+    nutrition: "NutritionInformation",
+    suitableForDiet: "URL|Text"
+  },
+  Course: {
+    courseCode: "Text",
+    provider: "Organization|Person",
+    hasCourseInstance: "CourseInstance",
+    coursePrerequisites: "AlignmentObject|Course|Text",
+    educationalCredentialAwarded: "EducationalOccupationalCredential|Text|URL",
+    numberOfCredits: "Integer|StructuredValue",
+    teaches: "DefinedTerm|Text",
+    availableLanguage: "Language|Text"
+  },
+  Dataset: {
+    distribution: "DataDownload",
+    includedInDataCatalog: "DataCatalog",
+    variableMeasured: "PropertyValue|Text",
+    measurementTechnique: "Text|URL",
+    issn: "Text"
+  }
+};
+
+/* ================================
+   RICH-RESULT REQUIREMENTS
+   required -> error when missing
+   oneOf    -> error when none present
+   recommended -> warning when missing
+   ================================ */
+
+export const RICH_RESULT_REQUIREMENTS = {
+  Organization: { required: ["name", "url"], recommended: ["logo", "sameAs"] },
+  LocalBusiness: { required: ["name", "address"], recommended: ["telephone", "url", "geo", "openingHoursSpecification"] },
+  Person: { required: ["name"], recommended: ["url", "sameAs"] },
+  WebSite: { required: ["name", "url"] },
+  Article: { required: ["headline"], recommended: ["author", "datePublished", "dateModified", "image"] },
+  BreadcrumbList: { required: ["itemListElement"] },
+  ListItem: { required: ["position"], oneOf: [["name", "item"]] },
+  Product: { required: ["name"], oneOf: [["offers", "review", "aggregateRating"]], recommended: ["image", "brand", "sku"] },
+  Offer: { required: ["priceCurrency"], oneOf: [["price", "priceSpecification"]], recommended: ["availability"] },
+  AggregateOffer: { required: ["lowPrice", "priceCurrency"], recommended: ["highPrice", "offerCount"] },
+  AggregateRating: { required: ["ratingValue"], oneOf: [["ratingCount", "reviewCount"]] },
+  Review: { required: ["author"], recommended: ["reviewRating", "datePublished"] },
+  Event: { required: ["name", "startDate", "location"], recommended: ["endDate", "eventStatus", "image", "offers"] },
+  FAQPage: { required: ["mainEntity"] },
+  Question: { required: ["name"], oneOf: [["acceptedAnswer", "suggestedAnswer"]] },
+  Answer: { required: ["text"] },
+  JobPosting: { required: ["title", "description", "datePosted", "hiringOrganization"], recommended: ["validThrough", "employmentType", "jobLocation", "baseSalary"] },
+  Recipe: { required: ["name", "image"], recommended: ["recipeIngredient", "recipeInstructions", "author"] },
+  VideoObject: { required: ["name", "thumbnailUrl", "uploadDate"], recommended: ["description", "contentUrl", "duration"] },
+  ImageObject: { oneOf: [["contentUrl", "url"]] },
+  SoftwareApplication: { required: ["name"], oneOf: [["aggregateRating", "review"]], recommended: ["offers", "applicationCategory", "operatingSystem"] },
+  HowTo: { required: ["name", "step"] },
+  Course: { required: ["name", "description"], recommended: ["provider"] },
+  Dataset: { required: ["name", "description"] }
+};
+
+/* ================================
+   LOOKUPS
+   ================================ */
+
+export function normalizeSchemaType(type) {
+  return String(type || "")
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, "")
+    .replace(/^schema:/i, "");
+}
+
+const KNOWN_TYPES = new Set([
+  ...Object.keys(SCHEMA_TYPE_PARENTS),
+  ...OTHER_SCHEMA_TYPES
+]);
+
+const KNOWN_PROPERTIES = new Set(
+  Object.values(SCHEMA_PROPERTIES).flatMap(props => Object.keys(props))
+);
+
+export function isKnownSchemaType(type) {
+  return KNOWN_TYPES.has(normalizeSchemaType(type));
+}
+
+export function isKnownSchemaProperty(name) {
+  return KNOWN_PROPERTIES.has(name);
+}
+
+export function schemaAncestors(type) {
+  const seen = new Set();
+  const queue = [normalizeSchemaType(type)];
+
+  while (queue.length) {
+    const t = queue.shift();
+    if (!t || seen.has(t)) continue;
+    seen.add(t);
+    queue.push(...(SCHEMA_TYPE_PARENTS[t] || []));
+  }
+
+  return Array.from(seen);
+}
+
+// "Restaurant" isA "Organization" -> true
+export function isSchemaSubtype(type, ancestor) {
+  return schemaAncestors(type).includes(normalizeSchemaType(ancestor));
+}
+
+// Property -> range for a type, inherited along the ancestor chain
+export function propertyRange(type, property) {
+  for (const t of schemaAncestors(type)) {
+    const range = SCHEMA_PROPERTIES[t]?.[property];
+    if (range) return range.split("|");
+  }
+  return null;
+}
+
+// Most specific requirement table along the ancestor chain
+export function richResultRequirements(type) {
+  for (const t of schemaAncestors(type)) {
+    if (RICH_RESULT_REQUIREMENTS[t]) {
+      return { type: t, ...RICH_RESULT_REQUIREMENTS[t] };
+    }
+  }
+  return null;
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0];
+    dp[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = dp[j];
+      dp[j] = Math.min(
+        dp[j] + 1,
+        dp[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      prev = tmp;
+    }
+  }
+  return dp[b.length];
+}
+
+// Near-miss lookup ("Organisation" -> "Organization", "sameas" -> "sameAs")
+function closestTerm(term, candidates) {
+  const lower = String(term || "").toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const d = editDistance(lower, candidate.toLowerCase());
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+
+  const tolerance = lower.length <= 5 ? 1 : 2;
+  return bestDistance <= tolerance ? best : null;
+}
+
+export function suggestSchemaType(type) {
+  return closestTerm(normalizeSchemaType(type), KNOWN_TYPES);
+}
+
+export function suggestSchemaProperty(name) {
+  return closestTerm(name, KNOWN_PROPERTIES);
+}
@@ -2,6 +2,11 @@
 // SOURCE-AWARE: prefers extracted crawl fields, falls back to DOM ($)
 
 import { WEIGHTS } from "./weights.js";
+import { schemaIndex } from "./schema-graph.js";
+import {
+  validateSchemaObjects,
+  schemaObjectQuality
+} from "./schema-validator.js";
 
 /* ================================
    UTILITIES
@@ -10,6 +15,11 @@ function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
 }
 
+function textOf(val) {
+  if (Array.isArray(val)) return textOf(val[0]);
+  return typeof val === "string" ? val.trim() : "";
+}
+
 function pick(val, fallback) {
   return val !== undefined && val !== null && val !== ""
     ? val
@@ -81,22 +91,51 @@ export function scoreMetaDescription($, fields = {}) {
   };
 }
 
+function sameUrl(a, b) {
+  try {
+    const x = new URL(a);
+    const y = new URL(b);
+    return x.origin === y.origin &&
+      x.pathname.replace(/\/$/, "") === y.pathname.replace(/\/$/, "") &&
+      x.search === y.search;
+  } catch {
+    return false;
+  }
+}
+
+// Tag canonical, falling back to a Link: rel=canonical header; judged
+// against the post-redirect URL
 export function scoreCanonical($, normalizedUrl, fields = {}) {
-  const href = pick(
+  const tagHref = pick(
     fields.canonicalHref,
     ($('link[rel="canonical"]').attr("href") || "").trim()
   );
+  const headerHref = fields.headerCanonical || "";
+  const href = tagHref || headerHref;
+  const finalUrl = fields.finalUrl || normalizedUrl;
+  const redirectUrls = fields.redirectUrls || [];
 
   let points = 0, notes = "Missing";
 
   if (href) {
     try {
-      const can = new URL(href, normalizedUrl);
-      const sameOrigin = can.origin === new URL(normalizedUrl).origin;
+      const can = new URL(href, finalUrl);
+      const sameOrigin = can.origin === new URL(finalUrl).origin;
       const clean = sameOrigin && !/[?#]/.test(can.href);
-
-      points = clean ? WEIGHTS.canonical : Math.round(WEIGHTS.canonical * 0.5);
-      notes = clean ? "Clean absolute canonical" : "Present but inconsistent";
+      const conflicting = tagHref && headerHref && !sameUrl(can.href, new URL(headerHref, finalUrl).href);
+      const redirecting = redirectUrls.some(u => sameUrl(can.href, u));
+
+      if (conflicting) {
+        points = Math.round(WEIGHTS.canonical * 0.5);
+        notes = "Tag and Link header canonicals disagree";
+      } else if (redirecting) {
+        points = Math.round(WEIGHTS.canonical * 0.5);
+        notes = "Canonical points at a redirecting URL";
+      } else {
+        points = clean ? WEIGHTS.canonical : Math.round(WEIGHTS.canonical * 0.5);
+        notes = clean ? "Clean absolute canonical" : "Present but inconsistent";
+        if (!tagHref) notes += " (Link header)";
+      }
     } catch {
       points = Math.round(WEIGHTS.canonical * 0.3);
       notes = "Invalid canonical URL";
@@ -108,26 +147,61 @@ export function scoreCanonical($, normalizedUrl, fields = {}) {
     points,
     max: WEIGHTS.canonical,
     notes,
-    raw: { canonical: href }
+    raw: { canonical: href, tag: tagHref, header: headerHref || null, finalUrl }
   };
 }
 
-export function scoreFaviconOg($) {
-  const favicon =
+// Identity-meta audit when available (lib/crawl-core/identity-meta.js):
+// completeness 50%, agreement with title / canonical / Organization 30%,
+// a usable og:image 20%. Older snapshots fall back to favicon || og:image.
+export function scoreFaviconOg($, fields = {}) {
+  const favicon = pick(
+    fields.favicon,
     $('link[rel="icon"]').attr("href") ||
     $('link[rel="shortcut icon"]').attr("href") ||
-    "";
-  const ogImage = $('meta[property="og:image"]').attr("content") || "";
+    ""
+  );
+  const ogImage = pick(
+    fields.ogImage,
+    $('meta[property="og:image"]').attr("content") || ""
+  );
+
+  const identity = fields.identity?.summary;
 
-  const points = favicon || ogImage ? WEIGHTS.faviconOg : 0;
-  const notes = favicon || ogImage ? "Branding consistent" : "Missing";
+  if (!identity) {
+    const points = favicon || ogImage ? WEIGHTS.faviconOg : 0;
+    const notes = favicon || ogImage ? "Branding consistent" : "Missing";
+
+    return {
+      key: "Brand & Technical Consistency",
+      points,
+      max: WEIGHTS.faviconOg,
+      notes,
+      raw: { favicon, ogImage }
+    };
+  }
+
+  const ratio =
+    identity.completeness * 0.5 +
+    (identity.agreement ?? identity.completeness) * 0.3 +
+    (identity.ogImageOk ? 0.2 : 0);
+
+  let notes;
+  if (!identity.present) notes = "Missing";
+  else if (identity.disagreements.length) {
+    notes = `${identity.present}/${identity.expected} identity fields; disagree: ${identity.disagreements.join(", ")}`;
+  } else if (identity.missing.length) {
+    notes = `${identity.present}/${identity.expected} identity fields; missing ${identity.missing.slice(0, 3).join(", ")}${identity.missing.length > 3 ? "…" : ""}`;
+  } else {
+    notes = "Identity meta complete & consistent";
+  }
 
   return {
     key: "Brand & Technical Consistency",
-    points,
+    points: Number((clamp(ratio, 0, 1) * WEIGHTS.faviconOg).toFixed(2)),
     max: WEIGHTS.faviconOg,
     notes,
-    raw: { favicon, ogImage }
+    raw: { favicon, ogImage, ...identity }
   };
 }
 
@@ -137,34 +211,60 @@ export function scoreFaviconOg($) {
 
 export function scoreSchemaPresence(schemaObjects) {
   const count = schemaObjects.length;
-  const ratio = clamp(Math.min(count, 3) / 3, 0, 1);
+  const validation = validateSchemaObjects(schemaObjects);
+  const { valid, errors, warnings } = validation.summary;
+
+  // Validity carries the signal; volume only tops it up (up to three objects)
+  const quality = count
+    ? validation.objects.reduce((sum, o) => sum + schemaObjectQuality(o), 0) / count
+    : 0;
+  const volume = Math.min(count, 3) / 3;
+  const ratio = clamp(0.2 * volume + 0.8 * quality, 0, 1);
   const points = Math.round(ratio * WEIGHTS.schemaPresence);
 
   const notes =
-    count === 0 ? "No JSON-LD found" :
-    count === 1 ? "1 schema block" :
-    "Multiple schema blocks";
+    count === 0 ? "No structured data found" :
+    errors || warnings
+      ? `${valid} of ${count} objects valid (${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"})`
+      : `${count} valid schema object${count === 1 ? "" : "s"}`;
+
+  const index = schemaIndex(schemaObjects);
+
+  const bySyntax = {};
+  for (const obj of schemaObjects) {
+    const syntax = obj?._syntax || "json-ld";
+    bySyntax[syntax] = (bySyntax[syntax] || 0) + 1;
+  }
 
   return {
     key: "Schema Presence & Validity",
     points,
     max: WEIGHTS.schemaPresence,
     notes,
-    raw: { schemaBlocks: count }
+    raw: {
+      schemaBlocks: count,
+      bySyntax,
+      entities: index.nodes.length,
+      types: index.typeCounts,
+      unresolvedRefs: index.unresolvedRefs,
+      validation: validation.summary,
+      quality: Number(quality.toFixed(2))
+    }
   };
 }
 
 export function scoreOrgSchema(schemaObjects) {
-  const org = schemaObjects.find(o =>
-    o["@type"] === "Organization" ||
-    (Array.isArray(o["@type"]) && o["@type"].includes("Organization"))
+  const index = schemaIndex(schemaObjects);
+  const org = index.first(
+    "Organization",
+    o => textOf(o.name) && textOf(o.url)
   );
 
   let points = 0, notes = "Missing";
 
   if (org) {
-    const name = org.name?.trim();
-    const url = org.url?.trim();
+    const name = textOf(org.name);
+    const url = textOf(org.url);
 
     if (name && url) {
       points = WEIGHTS.orgSchema;
@@ -173,6 +273,8 @@ export function scoreOrgSchema(schemaObjects) {
       points = Math.round(WEIGHTS.orgSchema * 0.5);
       notes = "Incomplete organization schema";
     }
+
+    if (org._syntax && org._syntax !== "json-ld") notes += ` (${org._syntax})`;
   }
 
   return {
@@ -185,10 +287,7 @@ export function scoreOrgSchema(schemaObjects) {
 }
 
 export function scoreBreadcrumbSchema(schemaObjects) {
-  const crumb = schemaObjects.find(o =>
-    o["@type"] === "BreadcrumbList" ||
-    (Array.isArray(o["@type"]) && o["@type"].includes("BreadcrumbList"))
-  );
+  const crumb = schemaIndex(schemaObjects).first("BreadcrumbList");
 
   return {
     key: "Breadcrumb Schema",
@@ -199,16 +298,15 @@ export function scoreBreadcrumbSchema(schemaObjects) {
   };
 }
 
-export function scoreAuthorPerson(schemaObjects, $) {
-  const person = schemaObjects.find(o =>
-    o["@type"] === "Person" ||
-    (Array.isArray(o["@type"]) && o["@type"].includes("Person"))
-  );
+export function scoreAuthorPerson(schemaObjects, $, fields = {}) {
+  const person = schemaIndex(schemaObjects).first("Person");
 
-  const metaAuthor =
+  const metaAuthor = pick(
+    fields.metaAuthor,
     $('meta[name="author"]').attr("content") ||
     $('a[rel="author"]').text() ||
-    "";
+    ""
+  );
 
   let points = 0, notes = "Missing";
 
@@ -233,13 +331,13 @@ export function scoreAuthorPerson(schemaObjects, $) {
    Social Graph
    ================================ */
 
-export function scoreSocialLinks(schemaObjects, pageLinks) {
-  const SOCIAL_HOSTS = [
-    "linkedin.com", "instagram.com", "youtube.com", "x.com",
-    "twitter.com", "facebook.com", "threads.net",
-    "tiktok.com", "wikipedia.org", "github.com"
-  ];
+export const SOCIAL_HOSTS = [
+  "linkedin.com", "instagram.com", "youtube.com", "x.com",
+  "twitter.com", "facebook.com", "threads.net",
+  "tiktok.com", "wikipedia.org", "github.com"
+];
 
+export function scoreSocialLinks(schemaObjects, pageLinks) {
   const seen = new Set();
 
   const add = (url) => {
@@ -249,9 +347,9 @@ export function scoreSocialLinks(schemaObjects, pageLinks) {
     } catch {}
   };
 
-  schemaObjects.forEach(o => {
+  schemaIndex(schemaObjects).nodes.forEach(o => {
     if (Array.isArray(o.sameAs)) o.sameAs.forEach(add);
-    else if (o.sameAs) add(o.sameAs);
+    else if (typeof o.sameAs === "string") add(o.sameAs);
   });
 
   pageLinks.forEach(add);
@@ -335,18 +433,39 @@ export function scoreExternalLinks(pageLinks, originHost) {
   };
 }
 
-export function scoreAICrawlSignals($) {
-  const robots = ($('meta[name="robots"]').attr("content") || "").toLowerCase();
-  const aiPing =
-    $('img[src*="ai-crawl-ping"], img[src*="crawl-ping"]').length > 0;
+export function scoreAICrawlSignals($, fields = {}) {
+  const robots = String(pick(
+    fields.metaRobots,
+    $('meta[name="robots"]').attr("content") || ""
+  )).toLowerCase();
+  const aiPing = pick(
+    fields.aiPing,
+    $('img[src*="ai-crawl-ping"], img[src*="crawl-ping"]').length > 0
+  );
+
+  const robotsTxt = fields.robotsPolicy || null;
+  const agents = Object.keys(robotsTxt?.agents || {});
+  const blockedAgents = robotsTxt?.blockedAgents || [];
+
+  const xRobots = (fields.xRobotsTag || []).join(", ").toLowerCase();
 
   const allowIndex = robots === "" || /index/.test(robots);
+  const headerNoindex = /\b(noindex|none)\b/.test(xRobots);
 
   let points = 0, notes = "Blocked";
 
   if (!allowIndex) {
     points = 0;
     notes = "Robots block indexing";
+  } else if (headerNoindex) {
+    points = 0;
+    notes = "X-Robots-Tag blocks indexing";
+  } else if (robotsTxt?.posture === "blocked") {
+    points = 0;
+    notes = "robots.txt blocks all AI crawlers";
+  } else if (robotsTxt?.posture === "selective") {
+    points = Math.round(WEIGHTS.aiCrawl * 0.3);
+    notes = `robots.txt blocks ${blockedAgents.length} of ${agents.length} AI crawlers`;
   } else if (aiPing) {
     points = WEIGHTS.aiCrawl;
     notes = "Explicit crawl ping";
@@ -360,7 +479,50 @@ export function scoreAICrawlSignals($) {
     points,
     max: WEIGHTS.aiCrawl,
     notes,
-    raw: { robots, aiPing }
+    raw: {
+      robots,
+      xRobotsTag: xRobots,
+      aiPing,
+      robotsTxt: robotsTxt
+        ? {
+            url: robotsTxt.url,
+            status: robotsTxt.status,
+            posture: robotsTxt.posture,
+            blockedAgents,
+            agents: robotsTxt.agents
+          }
+        : null
+    }
+  };
+}
+
+export function scoreLlmsTxt(llms) {
+  let points = 0, notes = "No llms.txt";
+
+  if (llms?.detected) {
+    if (llms.valid) {
+      points = WEIGHTS.llmsTxt;
+      notes = "Structured & links resolve";
+    } else if (llms.structured) {
+      points = Math.round(WEIGHTS.llmsTxt * 0.6);
+      notes = `Structured, ${llms.broken.length} broken entries`;
+    } else {
+      points = Math.round(WEIGHTS.llmsTxt * 0.3);
+      notes = "Present but unstructured";
+    }
+  }
+
+  return {
+    key: "LLMs.txt Guidance",
+    points,
+    max: WEIGHTS.llmsTxt,
+    notes,
+    raw: {
+      llmsTxt: llms?.llmsTxt || null,
+      llmsFullTxt: llms?.llmsFullTxt || null,
+      coverage: llms?.coverage || null,
+      broken: llms?.broken || []
+    }
   };
 }
 
@@ -368,11 +530,13 @@ export function scoreAICrawlSignals($) {
    Content Depth
    ================================ */
 
+// Main-content words (crawl-engine extraction), not raw <body> text
 export function scoreContentDepth($, fields = {}) {
   const words = pick(
     fields.wordCount,
     $("body").text().replace(/\s+/g, " ").trim().split(" ").length
   );
+  const content = fields.content || null;
 
   let points = 0, notes = "Shallow (<300 words)";
 
@@ -384,12 +548,28 @@ export function scoreContentDepth($, fields = {}) {
     notes = "Moderate";
   }
 
+  if (content && !content.h1Unique) {
+    notes += content.h1Count ? `; ${content.h1Count} H1s` : "; no H1";
+  }
+
   return {
     key: "Inference Efficiency",
     points,
     max: WEIGHTS.contentDepth,
     notes,
-    raw: { wordCount: words }
+    raw: {
+      wordCount: words,
+      source: content?.source || null,
+      outline: content?.outline || [],
+      h1Count: content?.h1Count ?? null,
+      h1Unique: content?.h1Unique ?? null,
+      headingSkips: content?.skips || [],
+      hierarchyValid: content?.hierarchyValid ?? null,
+      paragraphs: content?.paragraphs ?? null,
+      paragraphDensity: content?.paragraphDensity ?? null,
+      language: content?.language || null,
+      readingLevel: content?.readingLevel || null
+    }
   };
 }
 
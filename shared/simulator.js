@@ -0,0 +1,276 @@
+// /shared/simulator.js — What-if ECC simulator
+// Applies hypothetical changes to an audit's inputs snapshot and
+// re-scores it through the same pipeline as /api/audit
+
+import { computeEcc } from "./ecc.js";
+import { SOCIAL_HOSTS } from "./scoring.js";
+import { schemaIndex } from "./schema-graph.js";
+import {
+  normalizeSchemaType,
+  isKnownSchemaType,
+  suggestSchemaType
+} from "./schema-vocabulary.js";
+
+/* ================================
+   HELPERS
+   ================================ */
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return "";
+  }
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./i, "");
+  } catch {
+    return "";
+  }
+}
+
+function brandName(inputs) {
+  const parts = String(inputs.title || "").split(/\s+[|\-–—]\s+/).filter(Boolean);
+  return parts[parts.length - 1] || inputs.host || hostOf(inputs.url);
+}
+
+function count(value, fallback = 1) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Plausible values for properties named in shorthand ("name+url")
+function defaultProperty(prop, inputs) {
+  const origin = originOf(inputs.url);
+  switch (prop) {
+    case "name": return brandName(inputs);
+    case "url": return origin;
+    case "logo": return inputs.ogImage || `${origin}/logo.png`;
+    case "image": return inputs.ogImage || `${origin}/og-image.png`;
+    case "description": return inputs.description || `About ${brandName(inputs)}`;
+    case "sameAs": return [];
+    case "itemListElement":
+      return [{ "@type": "ListItem", position: 1, name: "Home", item: `${origin}/` }];
+    default: return `Simulated ${prop}`;
+  }
+}
+
+function socialUrls(inputs, n) {
+  const have = new Set();
+  for (const node of schemaIndex(inputs.schemaObjects || []).nodes) {
+    for (const href of [].concat(node.sameAs || [])) have.add(hostOf(href));
+  }
+  for (const href of inputs.pageLinks || []) have.add(hostOf(href));
+
+  return SOCIAL_HOSTS
+    .filter(h => ![...have].some(host => host.endsWith(h)))
+    .slice(0, n)
+    .map(h => `https://${h}/${hostOf(inputs.url) || "entity"}`);
+}
+
+/* ================================
+   CHANGES
+   Every change returns a new inputs object; arrays are copied, never
+   mutated (the schema index is memoized per array)
+   ================================ */
+
+const CHANGES = {
+  setTitle: (inputs, c) => ({ ...inputs, title: String(c.value || "") }),
+
+  setMetaDescription: (inputs, c) => ({ ...inputs, description: String(c.value || "") }),
+
+  setCanonical: (inputs, c) => ({
+    ...inputs,
+    canonicalHref: c.value || String(inputs.finalUrl || inputs.url || "").replace(/[?#].*$/, ""),
+    headerCanonical: ""
+  }),
+
+  setBranding: (inputs, c) => ({
+    ...inputs,
+    favicon: c.favicon || inputs.favicon || "/favicon.ico",
+    ogImage: c.ogImage || inputs.ogImage || `${originOf(inputs.url)}/og-image.png`,
+    // Assume the full identity-meta set ships with the branding fix
+    identity: null
+  }),
+
+  addSchema: (inputs, c) => {
+    const requested = normalizeSchemaType(c.schemaType || "Organization");
+    const type = isKnownSchemaType(requested)
+      ? requested
+      : suggestSchemaType(requested) || requested;
+    const props = Array.isArray(c.properties)
+      ? Object.fromEntries(c.properties.map(p => [p, defaultProperty(p, inputs)]))
+      : { ...(c.properties || {}) };
+
+    return {
+      ...inputs,
+      schemaObjects: [
+        ...(inputs.schemaObjects || []),
+        { "@context": "https://schema.org", "@type": type, ...props, _syntax: "json-ld" }
+      ]
+    };
+  },
+
+  // Onto the Organization's sameAs when there is one, else as footer links
+  addSocialProfiles: (inputs, c) => {
+    const urls = c.urls?.length ? c.urls : socialUrls(inputs, count(c.count));
+    const objects = inputs.schemaObjects || [];
+    const org = schemaIndex(objects).first("Organization");
+    const at = org ? objects.indexOf(org) : -1;
+
+    if (at === -1) {
+      return { ...inputs, pageLinks: [...(inputs.pageLinks || []), ...urls] };
+    }
+
+    const updated = { ...org, sameAs: [...[].concat(org.sameAs || []), ...urls] };
+    return {
+      ...inputs,
+      schemaObjects: objects.map((o, i) => (i === at ? updated : o))
+    };
+  },
+
+  setWordCount: (inputs, c) => ({ ...inputs, wordCount: count(c.value, inputs.wordCount) }),
+
+  addInternalLinks: (inputs, c) => {
+    const origin = originOf(inputs.url);
+    const links = Array.from({ length: count(c.count) }, (_, i) => `${origin}/simulated-${i + 1}`);
+    return { ...inputs, pageLinks: [...(inputs.pageLinks || []), ...links] };
+  },
+
+  addExternalLinks: (inputs, c) => {
+    const links = Array.from({ length: count(c.count) }, (_, i) => `https://reference-${i + 1}.example.org/`);
+    return { ...inputs, pageLinks: [...(inputs.pageLinks || []), ...links] };
+  },
+
+  setAiPing: (inputs, c) => ({ ...inputs, aiPing: c.value !== false }),
+
+  allowAiCrawlers: (inputs) => ({
+    ...inputs,
+    metaRobots: /noindex/.test(inputs.metaRobots || "") ? "index, follow" : inputs.metaRobots,
+    xRobotsTag: (inputs.xRobotsTag || []).filter(d => !/^(noindex|none)$/.test(d)),
+    robotsPolicy: inputs.robotsPolicy
+      ? {
+          ...inputs.robotsPolicy,
+          posture: "open",
+          blockedAgents: [],
+          agents: Object.fromEntries(
+            Object.entries(inputs.robotsPolicy.agents || {})
+              .map(([agent, v]) => [agent, { ...v, allowed: true }])
+          )
+        }
+      : null
+  }),
+
+  publishLlmsTxt: (inputs, c) => ({
+    ...inputs,
+    llms: {
+      ...(inputs.llms || {}),
+      detected: true,
+      structured: c.structured !== false,
+      valid: c.valid !== false && c.structured !== false,
+      broken: []
+    }
+  })
+};
+
+/* ================================
+   SHORTHAND ("add Organization schema with name+url")
+   ================================ */
+
+const SHORTHAND = [
+  [/^add (?:an? )?(\w+) schema(?: with (.+))?$/i, m => ({
+    type: "addSchema",
+    schemaType: m[1],
+    properties: m[2] ? m[2].split(/\s*(?:\+|,|\band\b)\s*/).filter(Boolean) : ["name"]
+  })],
+  [/^add (\d+) social(?: sameas| profiles?| links?)?$/i, m => ({ type: "addSocialProfiles", count: m[1] })],
+  [/^(?:raise|set|increase) word ?count to (\d+)$/i, m => ({ type: "setWordCount", value: m[1] })],
+  [/^add (\d+) internal links?$/i, m => ({ type: "addInternalLinks", count: m[1] })],
+  [/^add (\d+) external links?$/i, m => ({ type: "addExternalLinks", count: m[1] })],
+  [/^(?:set|change) title to "?(.+?)"?$/i, m => ({ type: "setTitle", value: m[1] })],
+  [/^(?:set|change) meta description to "?(.+?)"?$/i, m => ({ type: "setMetaDescription", value: m[1] })],
+  [/^add (?:a )?canonical(?: tag)?$/i, () => ({ type: "setCanonical" })],
+  [/^add (?:favicon|og:?image|branding)(?: and og:?image)?$/i, () => ({ type: "setBranding" })],
+  [/^(?:add|publish) (?:an? )?llms\.txt$/i, () => ({ type: "publishLlmsTxt" })],
+  [/^allow (?:all )?ai crawlers$/i, () => ({ type: "allowAiCrawlers" })],
+  [/^add (?:an? )?(?:ai )?crawl ping$/i, () => ({ type: "setAiPing", value: true })]
+];
+
+export function parseChange(change) {
+  if (change && typeof change === "object") return change;
+
+  const text = String(change || "").trim();
+  for (const [re, build] of SHORTHAND) {
+    const m = text.match(re);
+    if (m) return build(m);
+  }
+  throw new Error(`Unrecognized change: "${text}"`);
+}
+
+export function applyChanges(inputs, changes = []) {
+  const applied = [];
+  let next = inputs;
+
+  for (const raw of changes) {
+    const change = parseChange(raw);
+    const apply = CHANGES[change.type];
+    if (!apply) throw new Error(`Unknown change type "${change.type}"`);
+    next = apply(next, change);
+    applied.push(change);
+  }
+
+  return { inputs: next, applied };
+}
+
+/* ================================
+   SIMULATION
+   ================================ */
+
+function snapshot(scored) {
+  return {
+    ecc: { score: scored.eccScore, max: 100 },
+    stage: scored.stage.stage,
+    verb: scored.stage.verb,
+    tierScores: scored.tierScores
+  };
+}
+
+export function simulate(inputs, changes, profile) {
+  const before = computeEcc(inputs, profile);
+  const { inputs: projectedInputs, applied } = applyChanges(inputs, changes);
+  const after = computeEcc(projectedInputs, profile);
+
+  const tierDelta = {};
+  for (const tier of Object.keys(before.tierScores)) {
+    tierDelta[tier] = Number(
+      (after.tierScores[tier].normalized - before.tierScores[tier].normalized).toFixed(2)
+    );
+  }
+
+  const signals = after.results.map((sig, i) => ({
+    key: sig.key,
+    before: before.results[i].points,
+    after: sig.points,
+    max: sig.max,
+    delta: Number((sig.points - before.results[i].points).toFixed(2)),
+    notes: sig.notes
+  }));
+
+  return {
+    applied,
+    baseline: snapshot(before),
+    projected: snapshot(after),
+    delta: {
+      ecc: after.eccScore - before.eccScore,
+      tiers: tierDelta
+    },
+    transition: {
+      from: before.stage.stage,
+      to: after.stage.stage,
+      changed: before.stage.stage !== after.stage.stage
+    },
+    signals: signals.filter(s => s.delta !== 0)
+  };
+}
@@ -0,0 +1,208 @@
+// /shared/tool-lint.js
+// Tool definition linting for tool registries and MCP tools/list results:
+// what an agent needs to pick the right tool, call it correctly and not
+// be steered by it. Per-tool findings plus a registry grade.
+
+const MAX_TOOLS = 300;
+const MIN_DESCRIPTION = 30;
+
+const SEVERITY_PENALTY = { error: 25, warn: 10, info: 3 };
+
+const GRADES = [
+  [90, "A"],
+  [80, "B"],
+  [70, "C"],
+  [60, "D"]
+];
+
+// Names that say nothing about what the tool does
+const VAGUE_NAMES = new Set([
+  "run", "do", "go", "exec", "execute", "call", "invoke", "action", "process", "handle",
+  "handler", "tool", "tools", "function", "func", "helper", "util", "utils", "misc",
+  "test", "query", "request", "api", "get", "set", "data", "main", "default"
+]);
+
+const DANGEROUS_VERBS = [
+  "delete", "remove", "drop", "destroy", "purge", "wipe", "erase", "truncate", "kill",
+  "terminate", "shutdown", "revoke", "overwrite", "transfer", "pay", "charge", "refund",
+  "send", "deploy", "publish", "exec", "execute"
+];
+
+const CONFIRMATION_RE = /confirm|irreversib|cannot be undone|can't be undone|permanent|destructive|dry[-_ ]?run/i;
+
+// Instructions aimed at the model rather than documentation for it
+const INJECTION_PATTERNS = [
+  [/\b(ignore|disregard|forget)\b[^.]{0,40}\b(previous|prior|above|earlier|other)\b[^.]{0,20}\b(instructions?|prompts?|rules)\b/i, "tells the model to ignore its instructions"],
+  [/<\/?\s*(system|important|instructions?|secret|admin)\s*>/i, "contains pseudo-system tags"],
+  // Only as the object of an instruction: tools may well handle prompts or jailbreaks
+  [/\b(ignore|override|overwrite|bypass|disregard|reveal|leak|print|output|repeat|dump|disclose)\b[^.]{0,30}\b(system prompt|developer message|safety (rules|guidelines))s?\b/i, "tells the model to override or reveal its system prompt"],
+  [/\b(enter|enable|activate|switch to)\b[^.]{0,20}\b(jailbreak|developer|DAN) mode\b/i, "tells the model to enter a jailbreak mode"],
+  [/\bdo not (tell|inform|mention|reveal|show)\b[^.]{0,40}\buser\b/i, "asks the model to hide things from the user"],
+  [/\b(before|after) (using|calling) (this|any) tool\b[^.]{0,60}\b(read|send|include|pass|upload)\b/i, "asks the model to act before or after calls"],
+  // Reading local secrets, or smuggling data out through tool arguments; plain
+  // auth docs ("Pass your API key in the Authorization header") stay clean
+  [/\b(read|cat|open|load|send|include|pass|attach|upload)\b[^.]{0,40}(~\/\.ssh|\bid_(rsa|ed25519|ecdsa)\b|\/etc\/(passwd|shadow)|(^|[\s"'`(])\.env\b|\.aws\/credentials|\.netrc\b|\.npmrc\b|\bmcp\.json\b)/i, "asks for local secret files to be read or passed along"],
+  [/\b(pass|put|include|send|copy|add)\b[^.]{0,30}\b(its|their|the file'?s?|that file'?s?) (full )?contents?\b[^.]{0,30}\b(as|in|into)\b/i, "asks for file contents to be moved into tool arguments"],
+  [/\b(pass|put|include|send|copy|add)\b[^.]{0,30}\b(conversation|chat history|previous messages|all messages|system prompt|other tools'?)\b[^.]{0,40}\b(parameter|argument|field|note)\b/i, "asks for the conversation to be moved into tool arguments"],
+  [/[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]|[\u{E0000}-\u{E007F}]/u, "contains invisible or bidi control characters"]
+];
+
+// Pushy, but also how honest tools scope themselves ("Always use this tool for refunds")
+const SELECTION_STEERING_RE = /\b(always|instead) (use|call|prefer) this tool\b/i;
+
+const TYPE_KEYS = ["type", "$ref", "anyOf", "oneOf", "allOf", "enum", "const"];
+
+/* ================================
+   HELPERS
+   ================================ */
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// get_user, getUser, get-user -> ["get", "user"]
+function nameWords(name) {
+  return String(name || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(w => w.toLowerCase());
+}
+
+// Registries in the wild use MCP, Anthropic and OpenAI function shapes
+function inputSchemaOf(tool) {
+  return tool.inputSchema ?? tool.input_schema ?? tool.parameters ?? tool.function?.parameters ?? null;
+}
+
+function descriptionOf(tool) {
+  const d = tool.description ?? tool.function?.description;
+  return typeof d === "string" ? d.trim() : "";
+}
+
+function nameOf(tool) {
+  const n = tool.name ?? tool.function?.name;
+  return typeof n === "string" ? n.trim() : "";
+}
+
+function gradeFor(score) {
+  return (GRADES.find(([min]) => score >= min) || [0, "F"])[1];
+}
+
+/* ================================
+   PER-TOOL RULES
+   ================================ */
+
+function lintTool(tool, duplicates) {
+  const findings = [];
+  const add = (rule, severity, message) => findings.push({ rule, severity, message });
+
+  if (!isPlainObject(tool)) {
+    add("not-an-object", "error", "Tool entry is not an object");
+    return { name: null, findings };
+  }
+
+  const name = nameOf(tool);
+  const description = descriptionOf(tool);
+  const words = nameWords(name);
+
+  if (!name) add("name-missing", "error", "No name");
+  else {
+    if (duplicates.has(name)) add("name-duplicate", "error", `Name "${name}" is used by more than one tool`);
+    if (name.length < 3 || words.every(w => VAGUE_NAMES.has(w) || /^\d+$/.test(w))) {
+      add("name-vague", "warn", `Name "${name}" does not say what the tool does`);
+    }
+  }
+
+  if (!description) add("description-missing", "error", "No description");
+  else if (description.length < MIN_DESCRIPTION) {
+    add("description-short", "warn", `Description is ${description.length} characters; say what it does and when to use it`);
+  }
+
+  const schema = inputSchemaOf(tool);
+  if (!isPlainObject(schema)) {
+    add("schema-missing", "error", "No input schema");
+  } else {
+    if (schema.type !== "object") add("schema-untyped", "error", 'Input schema type is not "object"');
+
+    const props = isPlainObject(schema.properties) ? schema.properties : {};
+    const entries = Object.entries(props);
+
+    const untyped = entries.filter(([, def]) => !isPlainObject(def) || !TYPE_KEYS.some(k => k in def)).map(([k]) => k);
+    if (untyped.length) add("param-untyped", "error", `Parameter(s) without a type: ${untyped.join(", ")}`);
+
+    const undescribed = entries
+      .filter(([, def]) => isPlainObject(def) && !(typeof def.description === "string" && def.description.trim()))
+      .map(([k]) => k);
+    if (undescribed.length) add("param-undescribed", "warn", `Parameter(s) without a description: ${undescribed.join(", ")}`);
+
+    if (entries.length && !(Array.isArray(schema.required) && schema.required.length)) {
+      add("schema-no-required", "info", "No required parameters declared");
+    }
+  }
+
+  // MCP annotations (destructiveHint etc.) or wording count as a confirmation hint
+  const dangerous = words.find(w => DANGEROUS_VERBS.includes(w));
+  if (dangerous) {
+    const annotations = isPlainObject(tool.annotations) ? tool.annotations : {};
+    const hinted =
+      "destructiveHint" in annotations ||
+      annotations.readOnlyHint === true ||
+      tool.requiresConfirmation != null ||
+      tool.confirm != null ||
+      CONFIRMATION_RE.test(description);
+    if (!hinted) {
+      add("dangerous-unconfirmed", "warn", `"${dangerous}" action with no destructiveHint or confirmation guidance`);
+    }
+  }
+
+  const texts = [description, ...Object.values(isPlainObject(schema?.properties) ? schema.properties : {})
+    .map(def => (isPlainObject(def) && typeof def.description === "string" ? def.description : ""))];
+  for (const [re, label] of INJECTION_PATTERNS) {
+    if (texts.some(t => re.test(t))) add("prompt-injection", "error", `Description ${label}`);
+  }
+  if (SELECTION_STEERING_RE.test(description)) {
+    add("selection-steering", "warn", "Description tries to win tool selection; say when the tool applies instead");
+  }
+
+  return { name: name || null, findings };
+}
+
+/* ================================
+   REGISTRY
+   ================================ */
+
+export function lintToolRegistry(tools) {
+  if (!Array.isArray(tools)) return null;
+
+  const list = tools.slice(0, MAX_TOOLS);
+  const counts = {};
+  for (const tool of list) {
+    const name = isPlainObject(tool) ? nameOf(tool) : "";
+    if (name) counts[name] = (counts[name] || 0) + 1;
+  }
+  const duplicates = new Set(Object.keys(counts).filter(n => counts[n] > 1));
+
+  const results = list.map(tool => {
+    const { name, findings } = lintTool(tool, duplicates);
+    const penalty = findings.reduce((s, f) => s + SEVERITY_PENALTY[f.severity], 0);
+    return { name, score: Math.max(0, 100 - penalty), findings };
+  });
+
+  const byRule = {};
+  for (const f of results.flatMap(r => r.findings)) byRule[f.rule] = (byRule[f.rule] || 0) + 1;
+
+  const score = results.length ? Math.round(results.reduce((s, r) => s + r.score, 0) / results.length) : 0;
+  const injection = Boolean(byRule["prompt-injection"]);
+
+  return {
+    tools: tools.length,
+    linted: results.length,
+    score,
+    // One poisoned description is enough to distrust the whole registry
+    grade: injection || !results.length ? "F" : gradeFor(score),
+    clean: results.filter(r => !r.findings.length).length,
+    duplicates: [...duplicates],
+    byRule,
+    findings: results.filter(r => r.findings.length)
+  };
+}
@@ -1,8 +1,13 @@
-// /shared/weights.js — EEI v5.1 (C.1 Calibrated Weights, 88-Point Universe — ESM Format)
+// /shared/weights.js — EEI v5.2 (C.1 Calibrated Weights — ESM Format)
+// Named, versioned weight profiles. Totals are derived, never hard-coded.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
 
 export const WEIGHTS = {
   // ------------------------------------
-  // Tier 1 — Entity comprehension & trust (53)
+  // Tier 1 — Entity comprehension & trust (56)
   // ------------------------------------
   title: 3,                    // Title Precision
   metaDescription: 3,          // Meta Description Integrity
@@ -13,6 +18,7 @@ export const WEIGHTS = {
   authorPerson: 5,             // Author/Person Schema
   socialLinks: 8,              // Social Entity Links
   aiCrawl: 6,                  // AI Crawl Fidelity
+  llmsTxt: 3,                  // LLMs.txt Guidance
 
   // ------------------------------------
   // Tier 2 — Structural data fidelity (25)
@@ -27,5 +33,162 @@ export const WEIGHTS = {
   faviconOg: 2                 // Brand & Technical Consistency
 };
 
-// Total = 88
-export const TOTAL_WEIGHT = 88;
+// Signal key (as emitted by scorers) -> weight key
+export const SIGNAL_WEIGHT_KEYS = {
+  "Title Precision": "title",
+  "Meta Description Integrity": "metaDescription",
+  "Canonical Clarity": "canonical",
+  "Schema Presence & Validity": "schemaPresence",
+  "Organization Schema": "orgSchema",
+  "Breadcrumb Schema": "breadcrumbSchema",
+  "Author/Person Schema": "authorPerson",
+  "Social Entity Links": "socialLinks",
+  "AI Crawl Fidelity": "aiCrawl",
+  "LLMs.txt Guidance": "llmsTxt",
+  "Inference Efficiency": "contentDepth",
+  "Internal Lattice Integrity": "internalLinks",
+  "External Authority Signal": "externalLinks",
+  "Brand & Technical Consistency": "faviconOg"
+};
+
+export function totalWeight(weights = WEIGHTS) {
+  return Object.values(weights).reduce((sum, w) => sum + (Number(w) || 0), 0);
+}
+
+// Total = 91 (default profile)
+export const TOTAL_WEIGHT = totalWeight(WEIGHTS);
+
+/* ================================
+   PROFILES
+   Bump `version` whenever a profile's weights change,
+   so historical scores stay attributable.
+   ================================ */
+
+export const DEFAULT_PROFILE = "default";
+
+export const WEIGHT_PROFILES = {
+  default: {
+    id: "default",
+    version: "5.2", // 5.1-c1: the 88-point set before llmsTxt
+    label: "EEI calibrated (all verticals)",
+    weights: WEIGHTS
+  },
+
+  // Bylines, article structure and depth carry the entity
+  news: {
+    id: "news",
+    version: "1.1", // 1.0: before llmsTxt
+    label: "News & publishing",
+    weights: {
+      ...WEIGHTS,
+      schemaPresence: 9,
+      breadcrumbSchema: 6,
+      authorPerson: 10,
+      contentDepth: 14,
+      internalLinks: 12,
+      externalLinks: 10
+    }
+  },
+
+  // Identity, location and off-site profiles matter more than depth
+  "local-business": {
+    id: "local-business",
+    version: "1.1", // 1.0: before llmsTxt
+    label: "Local business",
+    weights: {
+      ...WEIGHTS,
+      canonical: 3,
+      orgSchema: 12,
+      breadcrumbSchema: 3,
+      authorPerson: 2,
+      socialLinks: 10,
+      contentDepth: 6,
+      internalLinks: 10,
+      externalLinks: 8,
+      faviconOg: 4
+    }
+  }
+};
+
+/* ================================
+   RESOLUTION (built-in or data/weight-profiles/<name>.json)
+   ================================ */
+
+function profileHash(weights) {
+  const canonical = JSON.stringify(
+    Object.keys(weights).sort().map(k => [k, weights[k]])
+  );
+  return crypto.createHash("sha256").update(canonical).digest("hex").slice(0, 12);
+}
+
+function buildCustomProfile(name, json) {
+  const baseId = json.extends || DEFAULT_PROFILE;
+  // Own keys only: "constructor" or "__proto__" are not profiles
+  const base = Object.hasOwn(WEIGHT_PROFILES, baseId) ? WEIGHT_PROFILES[baseId] : null;
+  if (!base) throw new Error(`Profile "${name}" extends unknown profile "${json.extends}"`);
+
+  const weights = { ...base.weights };
+  for (const [key, value] of Object.entries(json.weights || {})) {
+    if (!Object.hasOwn(WEIGHTS, key)) throw new Error(`Profile "${name}" has unknown weight "${key}"`);
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) {
+      throw new Error(`Profile "${name}" has invalid weight for "${key}"`);
+    }
+    weights[key] = n;
+  }
+
+  return {
+    id: name,
+    // Unversioned files are pinned to their content
+    version: json.version ? String(json.version) : `sha-${profileHash(weights)}`,
+    label: json.label || name,
+    extends: base.id,
+    custom: true,
+    weights
+  };
+}
+
+export async function resolveWeightProfile(name) {
+  const key = String(name || DEFAULT_PROFILE).trim().toLowerCase();
+  if (Object.hasOwn(WEIGHT_PROFILES, key)) return WEIGHT_PROFILES[key];
+
+  const safeName = key.replace(/[^a-z0-9\-]/g, "");
+  const filePath = path.join(process.cwd(), "data", "weight-profiles", `${safeName}.json`);
+
+  let json;
+  try {
+    json = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`Unknown weight profile "${name}"`);
+    throw new Error(`Invalid weight profile "${name}": ${err.message}`);
+  }
+
+  return buildCustomProfile(safeName, json);
+}
+
+// Summary recorded on every scored response
+export function profileInfo(profile) {
+  return {
+    id: profile.id,
+    version: profile.version,
+    label: profile.label,
+    total: totalWeight(profile.weights)
+  };
+}
+
+// Rescales scorer output (built on the default weights) onto a profile
+export function applyWeightProfile(results = [], profile = WEIGHT_PROFILES.default) {
+  return results.map(r => {
+    const key = SIGNAL_WEIGHT_KEYS[r.key];
+    if (!key || profile.weights[key] === undefined) return r;
+
+    const max = profile.weights[key];
+    const ratio = r.max ? Math.max(0, Math.min(1, (r.points || 0) / r.max)) : 0;
+
+    return {
+      ...r,
+      points: Number((ratio * max).toFixed(2)),
+      max
+    };
+  });
+}
@@ -0,0 +1,61 @@
+// /test/content-extract.test.js
+// Main-content extraction: chrome hints and a time budget on large pages
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { extractMainContent } from "../lib/crawl-core/content-extract.js";
+
+const SENTENCE = "Agents read the main content of this page, so it should be easy to find and quote. ";
+
+function section(i) {
+  const links = Array.from({ length: 5 }, (_, j) => `<li><a href="/s${i}/${j}">Related ${j}</a></li>`).join("");
+  return `<section class="block-${i}">
+    <h2>Section ${i}</h2>
+    <div class="row"><div class="col"><p>${SENTENCE.repeat(4)}</p><p>${SENTENCE.repeat(3)}</p></div></div>
+    <aside class="related"><ul>${links}</ul></aside>
+  </section>`;
+}
+
+function page(sections) {
+  return `<html lang="en"><body>
+    <div class="layout has-sidebar">
+      <div class="menu">${Array.from({ length: 40 }, (_, i) => `<a href="/m${i}">Menu ${i}</a>`).join(" ")}</div>
+      <main><h1>Guide</h1>${Array.from({ length: sections }, (_, i) => section(i)).join("")}</main>
+      <div class="sidebar"><a href="/x">Sidebar link</a></div>
+    </div>
+  </body></html>`;
+}
+
+test("hinted chrome is dropped, wrappers around <main> are kept", () => {
+  const $ = cheerio.load(page(3));
+  const result = extractMainContent($);
+
+  assert.equal(result.source, "main");
+  assert.ok(!result.text.includes("Menu 1"));
+  assert.ok(!result.text.includes("Sidebar link"));
+  assert.ok(!result.text.includes("Related 0"));
+  assert.equal(result.h1Count, 1);
+  assert.equal(result.paragraphs, 6);
+});
+
+// Nested comment threads: every reply wraps the ones below it
+function thread(threads, depth) {
+  const reply = d => `<div class="comment reply-${d}"><p>${SENTENCE}Replies, quotes, links.</p><a href="/u/${d}">user</a>`;
+  const one = Array.from({ length: depth }, (_, d) => reply(d)).join("") + "</div>".repeat(depth);
+  return `<html lang="en"><body><div class="thread">${one.repeat(threads)}</div></body></html>`;
+}
+
+test("a 1 MB page is extracted within a time budget", () => {
+  const html = thread(120, 50);
+  assert.ok(html.length > 1_000_000, `page is ${html.length} bytes`);
+  const $ = cheerio.load(html);
+
+  const started = Date.now();
+  const result = extractMainContent($);
+  const elapsed = Date.now() - started;
+
+  assert.equal(result.source, "scored");
+  assert.equal(result.paragraphs, 6000);
+  assert.ok(elapsed < 3000, `took ${elapsed}ms`);
+});
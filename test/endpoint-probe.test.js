@@ -0,0 +1,58 @@
+// /test/endpoint-probe.test.js
+// Untyped (text/plain) bodies: sniffed, but never structured on their own
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { probeEndpoint } from "../lib/crawl-core/endpoint-probe.js";
+
+const BODIES = {
+  "/error": "Error: not found",
+  "/robots": "User-agent: *\nDisallow: /private\n",
+  "/spec": "openapi: 3.0.3\ninfo:\n  title: Shop\n  version: '1'\npaths: {}\n",
+  "/list": "- a\n- b\n"
+};
+
+const isOpenApi = data => typeof data.openapi === "string" && typeof data.paths === "object";
+
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const body = BODIES[req.url];
+    res.writeHead(body ? 200 : 404, { "content-type": "text/plain" });
+    res.end(body || "Error: not found");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test("plain-text error pages and robots-style files are not structured", async () => {
+  for (const path of ["/error", "/robots", "/missing"]) {
+    const probe = await probeEndpoint(`${origin}${path}`, { expectJson: true, accept: isOpenApi });
+    assert.equal(probe.data, null, path);
+    assert.equal(probe.format, null, path);
+    assert.equal(probe.valid, false, path);
+  }
+});
+
+test("an untyped spec counts only when the caller's validator accepts it", async () => {
+  const accepted = await probeEndpoint(`${origin}/spec`, { expectJson: true, accept: isOpenApi });
+  assert.equal(accepted.format, "yaml");
+  assert.equal(accepted.sniffed, true);
+  assert.equal(accepted.valid, true);
+  assert.equal(accepted.data.info.title, "Shop");
+
+  const unvalidated = await probeEndpoint(`${origin}/spec`, { expectJson: true });
+  assert.equal(unvalidated.data, null);
+  assert.equal(unvalidated.valid, false);
+
+  const sequence = await probeEndpoint(`${origin}/list`, { expectJson: true, accept: () => true });
+  assert.equal(sequence.data, null);
+});
@@ -0,0 +1,144 @@
+// /test/fixtures.test.js
+// Fixture record / replay: responses go out once, after the scope closes
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+
+// Archives land in <cwd>/data/fixtures: keep them out of the repo
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-test-"));
+process.chdir(workDir);
+process.env.FIXTURES_RECORD = "1";
+
+const { default: axios } = await import("axios");
+const { withFixtures } = await import("../lib/crawl-core/fixtures.js");
+const { default: auditHandler } = await import("../api/audit.js");
+
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/") {
+      res.writeHead(200, { "content-type": "text/html" });
+      return res.end(`<html><head><title>Acme</title></head><body><p>${"word ".repeat(300)}</p></body></html>`);
+    }
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("not found");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Fails loudly if the handler responds twice
+function mockResponse() {
+  const sent = [];
+  const res = {
+    headersSent: false,
+    setHeader() {
+      if (res.headersSent) throw new Error("headers already sent");
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      if (res.headersSent) throw new Error("headers already sent");
+      res.headersSent = true;
+      sent.push({ status: res.statusCode, body });
+      return res;
+    },
+    send(body) {
+      return res.json(body);
+    },
+    end() {
+      return res.json(undefined);
+    }
+  };
+  return { res, sent };
+}
+
+test("replay fails when the archive is missing a request", async () => {
+  await withFixtures({ mode: "record", name: "partial" }, () =>
+    axios.get(`${origin}/`, { validateStatus: () => true })
+  );
+
+  await assert.rejects(
+    withFixtures({ mode: "replay", name: "partial" }, async () => {
+      await axios.get(`${origin}/`, { validateStatus: () => true });
+      // Swallowed by the caller, as probes do
+      await axios.get(`${origin}/other`).catch(() => null);
+    }),
+    /no recorded response for 1 request/
+  );
+});
+
+test("audit replay of an incomplete archive is a failed replay, not a blocked site", async () => {
+  const { res, sent } = mockResponse();
+  await auditHandler(
+    { method: "GET", headers: {}, query: { url: `${origin}/`, fixtures: "replay", fixture: "partial" } },
+    res
+  );
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].status, 400);
+  assert.match(sent[0].body.error, /no recorded response/);
+});
+
+test("markdown reports record and replay through the buffered response", async () => {
+  for (const mode of ["record", "replay"]) {
+    const { res, sent } = mockResponse();
+    await auditHandler(
+      { method: "GET", headers: {}, query: { url: `${origin}/`, fixtures: mode, fixture: "markdown", format: "md" } },
+      res
+    );
+
+    assert.equal(sent.length, 1, mode);
+    assert.equal(sent[0].status, 200, mode);
+    assert.equal(typeof sent[0].body, "string", mode);
+    assert.match(sent[0].body, /^# /, mode);
+  }
+});
+
+test("recording is refused unless FIXTURES_RECORD=1", async () => {
+  delete process.env.FIXTURES_RECORD;
+  try {
+    const { res, sent } = mockResponse();
+    await auditHandler(
+      { method: "GET", headers: {}, query: { url: `${origin}/`, fixtures: "record", fixture: "anonymous" } },
+      res
+    );
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].status, 400);
+    assert.match(sent[0].body.error, /recording is disabled/);
+    assert.equal(fs.existsSync(path.join(workDir, "data", "fixtures", "anonymous.json")), false);
+  } finally {
+    process.env.FIXTURES_RECORD = "1";
+  }
+});
+
+test("a failed archive save responds once, with the error", async () => {
+  // data/fixtures cannot be created: "data" is a file
+  fs.rmSync(path.join(workDir, "data"), { recursive: true, force: true });
+  fs.writeFileSync(path.join(workDir, "data"), "");
+
+  const { res, sent } = mockResponse();
+  await auditHandler(
+    { method: "GET", headers: {}, query: { url: `${origin}/`, fixtures: "record", fixture: "readonly" } },
+    res
+  );
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].status, 400);
+  assert.equal(sent[0].body.success, false);
+});
@@ -0,0 +1,59 @@
+// /test/llms-txt.test.js
+// llms.txt link checks run side by side, not one timeout after another
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { auditLlmsTxt } from "../lib/crawl-core/llms-txt.js";
+
+const LLMS = `# Shop
+
+> Product catalog and ordering.
+
+## Docs
+
+- [Catalog](/docs/catalog): Browse products
+- [Orders](/docs/orders): Place orders
+- [Returns](/docs/returns): Return policy
+- [Gone](/docs/gone): Removed page
+`;
+
+const SLOW_MS = 600;
+
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/llms.txt") {
+      res.writeHead(200, { "content-type": "text/markdown" });
+      return res.end(LLMS);
+    }
+    setTimeout(() => {
+      const found = req.url.startsWith("/docs/") && req.url !== "/docs/gone";
+      res.writeHead(found ? 200 : 404, { "content-type": "text/html" });
+      res.end("<html><body>page</body></html>");
+    }, req.url.startsWith("/docs/") ? SLOW_MS : 0);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test("slow links are checked in parallel and broken ones reported", async () => {
+  const started = Date.now();
+  const result = await auditLlmsTxt(origin);
+  const elapsed = Date.now() - started;
+
+  assert.equal(result.detected, true);
+  assert.equal(result.coverage.checked, 4);
+  assert.equal(result.coverage.unchecked, 0);
+  assert.equal(result.coverage.reachable, 3);
+  assert.deepEqual(result.broken.map(b => b.name), ["Gone"]);
+  assert.equal(result.valid, false);
+  assert.ok(elapsed < SLOW_MS * 3, `took ${elapsed}ms`);
+});
@@ -0,0 +1,109 @@
+// /test/manifest-locator.test.js
+// Ranked manifest search against a local site
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import {
+  createDocsLinkSource,
+  createProbeBudget,
+  locateManifest
+} from "../lib/crawl-core/manifest-locator.js";
+import { MCP_PRIMARY_SIGNALS, MCP_PROBE_BUDGET } from "../shared/mcp-signals.js";
+
+const SPEC = { openapi: "3.0.3", info: { title: "Shop" }, paths: {} };
+
+const requests = [];
+let server;
+let origin;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === "/developers") {
+      res.writeHead(200, { "content-type": "text/html" });
+      return res.end('<html><body><redoc spec-url="/static/shop-openapi.json"></redoc></body></html>');
+    }
+    if (req.url === "/static/shop-openapi.json") {
+      res.writeHead(200, { "content-type": "application/json" });
+      return res.end(JSON.stringify(SPEC));
+    }
+    res.writeHead(404, { "content-type": "text/html" });
+    res.end("<html></html>");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function locate(budgetLimit) {
+  const budget = createProbeBudget(budgetLimit);
+  const docs = createDocsLinkSource({
+    origin,
+    docsPaths: ["/developers"],
+    budget,
+    maxPages: MCP_PROBE_BUDGET.docsPages
+  });
+  const result = locateManifest(MCP_PRIMARY_SIGNALS.openapi, {
+    origin,
+    budget,
+    perSignal: MCP_PROBE_BUDGET.perSignal,
+    docsLinks: MCP_PROBE_BUDGET.docsLinks,
+    docs,
+    validate: probe => probe.data?.openapi === "3.0.3"
+  });
+  return result.then(located => ({ located, budget }));
+}
+
+test("OpenAPI linked only from a docs page is found after every ranked path misses", async () => {
+  requests.length = 0;
+  const { located, budget } = await locate(MCP_PROBE_BUDGET.total);
+
+  assert.equal(located.found, true);
+  assert.equal(located.source, "docs-link");
+  assert.equal(located.url, `${origin}/static/shop-openapi.json`);
+  assert.equal(located.docsTried, true);
+  assert.equal(located.budgetExhausted, false);
+  // 10 ranked paths + 1 docs page + 1 linked spec
+  assert.equal(budget.used, MCP_PRIMARY_SIGNALS.openapi.paths.length + 2);
+});
+
+test("docs pages are not fetched when no request would be left for their links", async () => {
+  requests.length = 0;
+  const { located } = await locate(MCP_PRIMARY_SIGNALS.openapi.paths.length + 1);
+
+  assert.equal(located.found, false);
+  assert.equal(located.budgetExhausted, true);
+  assert.ok(!requests.includes("/developers"));
+});
+
+test("a tarpitting site is given up on at the budget's deadline", async () => {
+  const stalled = [];
+  const tarpit = http.createServer(req => stalled.push(req.url));
+  await new Promise(resolve => tarpit.listen(0, "127.0.0.1", resolve));
+  const slowOrigin = `http://127.0.0.1:${tarpit.address().port}`;
+
+  try {
+    const budget = createProbeBudget(MCP_PROBE_BUDGET.total, { deadlineMs: 400 });
+    const started = Date.now();
+    const located = await locateManifest(MCP_PRIMARY_SIGNALS.openapi, {
+      origin: slowOrigin,
+      budget,
+      perSignal: MCP_PROBE_BUDGET.perSignal,
+      validate: probe => probe.data?.openapi === "3.0.3"
+    });
+
+    assert.ok(Date.now() - started < 1500, `took ${Date.now() - started}ms`);
+    assert.equal(located.found, false);
+    assert.equal(located.deadlineReached, true);
+    assert.equal(budget.used, 1);
+    assert.equal(budget.take(), false);
+  } finally {
+    tarpit.closeAllConnections();
+    tarpit.close();
+  }
+});
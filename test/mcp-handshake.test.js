@@ -0,0 +1,152 @@
+// /test/mcp-handshake.test.js
+// mcpHandshake against an in-process stand-in MCP server: Streamable HTTP
+// at /mcp (JSON and SSE replies), legacy HTTP+SSE at /sse, auth at /locked
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { mcpHandshake, probeMcpServers } from "../lib/crawl-core/mcp-handshake.js";
+
+const TOOLS = [
+  {
+    name: "search_products",
+    description: "Search the product catalog by keyword and return matching items.",
+    inputSchema: {
+      type: "object",
+      properties: { query: { type: "string", description: "Keywords to search for" } },
+      required: ["query"]
+    }
+  },
+  { name: "bad tool", inputSchema: { type: "string" } }
+];
+
+function rpcResult(message) {
+  if (message.method === "initialize") {
+    return {
+      protocolVersion: message.params.protocolVersion,
+      capabilities: { tools: {}, prompts: {} },
+      serverInfo: { name: "stand-in", version: "0.1.0" },
+      instructions: "Catalog search for the test shop."
+    };
+  }
+  if (message.method === "tools/list") {
+    // Two pages, to exercise cursors
+    return message.params.cursor ? { tools: TOOLS.slice(1) } : { tools: TOOLS.slice(0, 1), nextCursor: "2" };
+  }
+  if (message.method === "prompts/list") return { prompts: [{ name: "summarize" }] };
+  return null;
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+const sseStreams = new Map();
+let server;
+let origin;
+
+async function handle(req, res) {
+  const { pathname, searchParams } = new URL(req.url, "http://localhost");
+
+  if (pathname === "/locked") {
+    res.writeHead(401, { "WWW-Authenticate": 'Bearer resource_metadata="/.well-known/oauth-protected-resource"' });
+    return res.end();
+  }
+
+  if (pathname === "/mcp" && req.method === "POST") {
+    const message = await readBody(req);
+    if (!("id" in message)) {
+      res.writeHead(202);
+      return res.end();
+    }
+    const reply = JSON.stringify({ jsonrpc: "2.0", id: message.id, result: rpcResult(message) });
+    // List calls answer over SSE, initialize as plain JSON
+    if (message.method.endsWith("/list")) {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      return res.end(`event: message\ndata: ${reply}\n\n`);
+    }
+    res.writeHead(200, { "Content-Type": "application/json", "Mcp-Session-Id": "s-1" });
+    return res.end(reply);
+  }
+
+  if (pathname === "/sse" && req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write(": stand-in\n\nevent: endpoint\ndata: /messages?session=1\n\n");
+    sseStreams.set("1", res);
+    return;
+  }
+
+  if (pathname === "/messages" && req.method === "POST") {
+    const message = await readBody(req);
+    const stream = sseStreams.get(searchParams.get("session"));
+    res.writeHead(202);
+    res.end();
+    if (stream && "id" in message) {
+      stream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: "2.0", id: message.id, result: rpcResult(message) })}\n\n`);
+    }
+    return;
+  }
+
+  res.writeHead(405);
+  res.end();
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    handle(req, res).catch(() => {
+      res.writeHead(500);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test("streamable HTTP: initialize, session id, paginated tools over SSE", async () => {
+  const result = await mcpHandshake(`${origin}/mcp`, { timeoutMs: 2000 });
+
+  assert.equal(result.ok, true, result.error);
+  assert.equal(result.transport, "streamable-http");
+  assert.equal(result.auth, "open");
+  assert.equal(result.session, true);
+  assert.deepEqual(result.serverInfo, { name: "stand-in", version: "0.1.0" });
+  assert.deepEqual(result.capabilities, ["tools", "prompts"]);
+  assert.equal(result.instructions, true);
+
+  assert.equal(result.tools.count, 2);
+  assert.equal(result.tools.complete, true);
+  assert.equal(result.tools.schemaValid, 1);
+  assert.equal(result.tools.invalid[0].name, "bad tool");
+  assert.equal(result.prompts.count, 1);
+  assert.equal(result.resources, null);
+});
+
+test("legacy HTTP+SSE: falls back when POST gets no JSON-RPC reply", async () => {
+  const result = await mcpHandshake(`${origin}/sse`, { timeoutMs: 2000 });
+
+  assert.equal(result.ok, true, result.error);
+  assert.equal(result.transport, "sse");
+  assert.equal(result.tools.count, 2);
+  assert.deepEqual(result.prompts.names, ["summarize"]);
+});
+
+test("auth-gated servers stop the search without being listed", async () => {
+  const locked = await mcpHandshake(`${origin}/locked`, { timeoutMs: 2000 });
+  assert.equal(locked.ok, false);
+  assert.equal(locked.auth, "required");
+  assert.match(locked.wwwAuthenticate, /resource_metadata/);
+
+  const search = await probeMcpServers([`${origin}/missing`, `${origin}/mcp`], { timeoutMs: 2000 });
+  assert.equal(search.found, true);
+  assert.equal(search.server.url, `${origin}/mcp`);
+  assert.equal(search.attempts.length, 2);
+});
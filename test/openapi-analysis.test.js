@@ -0,0 +1,48 @@
+// /test/openapi-analysis.test.js
+// OpenAPI agent-usability analysis
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeOpenApi } from "../shared/openapi-analysis.js";
+
+const typedJson = { content: { "application/json": { schema: { type: "object" } } } };
+
+test("malformed $ref escapes are reported as broken, not thrown", () => {
+  const result = analyzeOpenApi({
+    openapi: "3.0.3",
+    info: { title: "Shop" },
+    paths: {
+      "/items": {
+        get: {
+          operationId: "listItems",
+          responses: { 200: { description: "ok", content: { "application/json": { schema: { $ref: "#/components/schemas/Off%" } } } } }
+        }
+      }
+    }
+  });
+
+  assert.deepEqual(result.refs.broken, ["#/components/schemas/Off%"]);
+  assert.equal(result.coverage.typedResponse, 0);
+  assert.equal(result.specChecks.refsResolve, false);
+});
+
+test("coverage comes from per-operation checks, not finding labels", () => {
+  const result = analyzeOpenApi({
+    openapi: "3.0.3",
+    info: { title: "Chat" },
+    paths: {
+      "/complete": {
+        post: {
+          operationId: "complete",
+          summary: "Complete a prompt",
+          parameters: [{ name: "response_format", in: "query" }],
+          responses: { 200: { description: "ok", ...typedJson } }
+        }
+      }
+    }
+  });
+
+  assert.equal(result.coverage.typedParameters, 0);
+  assert.equal(result.coverage.typedResponse, 100);
+  assert.equal(result.coverage.operationId, 100);
+});
@@ -0,0 +1,27 @@
+// /test/remediation.test.js
+// Remediation snippets built from URL paths
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePage } from "../lib/crawl-core/crawl-engine.js";
+import { buildRemediationPlan } from "../shared/remediation.js";
+
+test("malformed percent-escapes in paths do not throw", () => {
+  const url = "https://example.com/sale-50%";
+  const { $ } = parsePage("<html><head><title>Sale | Acme</title></head><body></body></html>", url);
+
+  const plan = buildRemediationPlan(
+    [
+      { key: "Breadcrumb Schema", points: 0, max: 5 },
+      { key: "LLMs.txt Guidance", points: 0, max: 5 }
+    ],
+    { url, $, schemaObjects: [], pageLinks: ["https://example.com/a%zz", "https://example.com/caf%C3%A9"] }
+  );
+
+  const breadcrumb = plan.find(item => item.signal === "Breadcrumb Schema");
+  assert.match(breadcrumb.snippet, /Sale 50%/);
+
+  const llms = plan.find(item => item.signal === "LLMs.txt Guidance");
+  assert.match(llms.snippet, /\[A%Zz\]/);
+  assert.match(llms.snippet, /\[Café\]/);
+});
@@ -0,0 +1,55 @@
+// /test/weights.test.js
+// Weight profile resolution: only real profiles and weight keys are accepted
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Custom profiles are read from <cwd>/data/weight-profiles
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "weights-test-"));
+fs.mkdirSync(path.join(workDir, "data", "weight-profiles"), { recursive: true });
+process.chdir(workDir);
+
+const { resolveWeightProfile, profileInfo, WEIGHTS } = await import("../shared/weights.js");
+
+function writeProfile(name, json) {
+  fs.writeFileSync(path.join(workDir, "data", "weight-profiles", `${name}.json`), JSON.stringify(json));
+}
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("built-in profiles resolve by name", async () => {
+  const profile = await resolveWeightProfile("News");
+  assert.equal(profile.id, "news");
+  assert.equal((await resolveWeightProfile()).weights, WEIGHTS);
+});
+
+test("weights changed since the 88-point baseline carry new versions", async () => {
+  const profile = await resolveWeightProfile();
+  assert.equal(profile.version, "5.2");
+  assert.equal(profileInfo(profile).total, 91);
+  assert.equal((await resolveWeightProfile("news")).version, "1.1");
+});
+
+test("Object.prototype names are unknown profiles", async () => {
+  for (const name of ["constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    await assert.rejects(resolveWeightProfile(name), /Unknown weight profile/, name);
+  }
+});
+
+test("custom profiles reject inherited weight keys and bases", async () => {
+  writeProfile("bad-key", { weights: { toString: 5 } });
+  await assert.rejects(resolveWeightProfile("bad-key"), /unknown weight "toString"/);
+
+  writeProfile("bad-base", { extends: "constructor", weights: { title: 5 } });
+  await assert.rejects(resolveWeightProfile("bad-base"), /extends unknown profile "constructor"/);
+
+  writeProfile("ok", { extends: "news", weights: { title: 5 } });
+  const profile = await resolveWeightProfile("ok");
+  assert.equal(profile.weights.title, 5);
+  assert.equal(profile.extends, "news");
+});